@@ -2,9 +2,31 @@
 // Main Application - SPH Water Sim + MediaPipe Hand Tracking
 // ============================================================
 
-import { SPHSimulation } from './sph.js';
-import { WaterRenderer } from './renderer.js';
+import { SPHSimulation, PARAM_SPECS, PARAM_PRESETS, DEFAULT_PARAMS } from './sph.js';
+import { WorkerSimulation } from './workersim.js';
+import { CircleShape } from './boundaries.js';
+import { createBody, BODY_KINDS } from './rigidbody.js';
+import { Emitter, EMITTER_KINDS } from './sources.js';
+import { OBSTACLE_LAYOUTS, SCENES, buildScene, spawnSceneFluid } from './scenes.js';
+import {
+  createScene, sceneToJSON, encodeSceneBinary, decodeDocument, parseScene, rescaleScene,
+} from './scene.js';
+import {
+  InputRecorder, ReplayPlayer, RECORDING_FORMAT, applyAction, parseRecording, recordingToJSON,
+} from './recorder.js';
+import { MATERIALS } from './materials.js';
+import { WaterRenderer, RENDER_MODES } from './renderer.js';
 import { HandTracker } from './handtracker.js';
+import {
+  createHandInput, LandmarkPlayback, LandmarkRecorder, LANDMARKS_FORMAT, parseLandmarks,
+} from './inputs.js';
+import { validateGestureActions } from './gestures.js';
+import { PointerTracker } from './pointers.js';
+import {
+  DEFAULT_GRAVITY, MAX_GRAVITY, gravityFromPolar, gravityToPolar, nudgeAngle, TiltInput,
+} from './gravitycontrol.js';
+import { contoursToSVG, contoursToJSON } from './contours.js';
+import { captureSequence, validateCaptureOptions } from './capture.js';
 
 // DOM elements
 const canvas = document.getElementById('simCanvas');
@@ -12,7 +34,28 @@ const video = document.getElementById('webcam');
 const statsEl = document.getElementById('stats');
 const loadingEl = document.getElementById('loading');
 const btnGravity = document.getElementById('btnGravity');
+const gravityDial = document.getElementById('gravityDial');
+const gravitySlider = document.getElementById('gravitySlider');
+const btnTilt = document.getElementById('btnTilt');
 const btnColor = document.getElementById('btnColor');
+const btnRender = document.getElementById('btnRender');
+const btnPhysics = document.getElementById('btnPhysics');
+const btnWhitewater = document.getElementById('btnWhitewater');
+const btnObstacles = document.getElementById('btnObstacles');
+const sceneSelect = document.getElementById('sceneSelect');
+const btnBody = document.getElementById('btnBody');
+const btnMaterial = document.getElementById('btnMaterial');
+const btnTool = document.getElementById('btnTool');
+const sceneFileInput = document.getElementById('sceneFile');
+const btnRecord = document.getElementById('btnRecord');
+const btnRecordHands = document.getElementById('btnRecordHands');
+const capturePanel = document.getElementById('capture-panel');
+const btnCaptureStart = document.getElementById('btnCaptureStart');
+const captureStatus = document.getElementById('captureStatus');
+const cameraSelect = document.getElementById('cameraSelect');
+const paramsPanel = document.getElementById('params-panel');
+const paramSlidersEl = document.getElementById('paramSliders');
+const paramPresetsEl = document.getElementById('paramPresets');
 
 // State
 let sim, renderer, tracker;
@@ -22,116 +65,724 @@ let fps = 0;
 let fpsAccum = 0;
 let fpsTimer = 0;
 let running = true;
+const urlParams = new URLSearchParams(location.search);
+let physicsMode = urlParams.has('worker') ? 'worker' : 'main';
+let recorder = null;         // InputRecorder while recording
+let player = null;           // ReplayPlayer while replaying
+let landmarkRecorder = null; // LandmarkRecorder while recording hands
+let capture = null;          // { cancelled } while capturing frames
+let gravityAngle = 90;       // dial setting in degrees (90: down); tilt adds to it
+let gravityMagnitude = DEFAULT_GRAVITY;
+let tilt = null;             // TiltInput while the device sensors are on
+let pendingKick = null;      // shake velocity for the next frame
+let whitewaterEnabled = urlParams.has('foam'); // spray, foam and bubbles (main thread only)
+let obstacleLayout = 'none';
+let sceneName = 'blobs';     // scenes.js scene the picker last loaded
+let nextBodyKind = 0;
+let spawnMaterial = 0;       // material id used by Spawn Blob and double-click
+let tool = 'push';           // what a click on the canvas does, see TOOLS
+const pointerInput = new PointerTracker({ radius: 80 }); // mouse, touch and pen forces
 
 // Initialize
 async function init() {
   const w = window.innerWidth;
   const h = window.innerHeight;
 
-  // Create simulation
-  sim = new SPHSimulation(w, h);
+  // Create simulation; ?seed=N makes the particle jitter reproducible
+  sim = createSimulation(physicsMode, w, h, { seed: readSeed() });
+  updatePhysicsButton();
 
   // Create renderer
+  // ?render=blobs draws with canvas gradients instead of the density field;
+  // ?fieldScale=0.25 sets the field's cells per pixel
   renderer = new WaterRenderer(canvas);
   renderer.resize(w, h);
+  setupRenderOptions();
+  setupGravityControls();
 
-  // Spawn initial water blobs
-  sim.spawnBlob(w * 0.3, h * 0.3, 250, 100);
-  sim.spawnBlob(w * 0.7, h * 0.5, 250, 100);
+  // Starting scene: ?scene=dam or any other SCENES name (see scenes.js)
+  setupScenePicker();
 
-  // Create hand tracker
-  tracker = new HandTracker();
+  // Create the hand input: the camera, or ?input=playback&landmarks=file.json
+  // or ?input=synthetic&path=figure8&gesture=open,fist&hands=2 (see inputs.js).
+  // ?gestures=fist:push,point:none remaps gestures; TRACKER_URL_PARAMS
+  // configure the camera and MediaPipe.
+  await startHandInput(createHandInputFromUrl());
+
+  // Mouse/touch fallback interaction
+  setupMouseInteraction();
+
+  // Keyboard shortcuts: 1-6 toggle debug views, 0 hides them (debugviews.js)
+  setupKeyboard();
+
+  // Runtime parameter tuning
+  buildParamsPanel();
+
+  // Scene files: import button and drag-and-drop anywhere on the page
+  setupSceneImport();
+
+  // Handle resize
+  window.addEventListener('resize', onResize);
+
+  // Start game loop
+  requestAnimationFrame(gameLoop);
+}
+
+// Parses ?gestures=gesture:action,... (see gestures.js); bad entries are
+// reported and the defaults used instead
+function readGestureActions() {
+  if (!urlParams.has('gestures')) return undefined;
+  const actions = Object.fromEntries(
+    urlParams.get('gestures').split(',').map((pair) => pair.split(':').map((s) => s.trim())),
+  );
+  try {
+    validateGestureActions(actions);
+    return actions;
+  } catch (err) {
+    console.warn('Ignoring ?gestures:', err.message);
+    return undefined;
+  }
+}
+
+// URL parameters for the camera tracker (handtracker.js TRACKER_DEFAULTS),
+// e.g. ?assets=vendor/mediapipe/hands/&maxHands=4&modelComplexity=0
+const TRACKER_URL_PARAMS = {
+  assets: 'assetBase',
+  maxHands: 'maxNumHands',
+  modelComplexity: 'modelComplexity',
+  detectConfidence: 'minDetectionConfidence',
+  trackConfidence: 'minTrackingConfidence',
+  camWidth: 'cameraWidth',
+  camHeight: 'cameraHeight',
+  camera: 'deviceId',
+};
+const CAMERA_STORAGE_KEY = 'sph-camera';
+
+function readTrackerOptions() {
+  const options = {};
+  for (const [param, key] of Object.entries(TRACKER_URL_PARAMS)) {
+    if (!urlParams.has(param)) continue;
+    const value = urlParams.get(param);
+    options[key] = param === 'assets' || param === 'camera' ? value : Number(value);
+  }
+  // The camera picked last time, unless the URL names one
+  if (!options.deviceId) options.deviceId = localStorage.getItem(CAMERA_STORAGE_KEY) || null;
+  return options;
+}
+
+function createHandInputFromUrl() {
+  const options = { gestureActions: readGestureActions(), ...readTrackerOptions() };
+  const kind = urlParams.get('input') || 'camera';
+  try {
+    if (kind === 'playback') options.source = urlParams.get('landmarks');
+    if (kind === 'synthetic') {
+      options.path = urlParams.get('path') || undefined;
+      options.gesture = urlParams.has('gesture') ? urlParams.get('gesture').split(',') : undefined;
+      options.hands = Number(urlParams.get('hands')) || 1;
+    }
+    return createHandInput(kind, options);
+  } catch (err) {
+    console.warn('Falling back to the default camera setup:', err.message);
+    return createHandInput('camera', { gestureActions: options.gestureActions });
+  }
+}
+
+// What to try when the camera input fails, by HandTrackerError code
+const TRACKER_ERROR_HINTS = {
+  'script-load': 'Check the network or the ?assets= folder.',
+  'model-load': 'Check that the ?assets= folder holds the model and wasm files.',
+  'no-camera-api': 'Open the page over https or from localhost.',
+  'camera-denied': "Allow camera access in the browser's site settings.",
+  'camera-missing': 'Connect a camera or pick another one.',
+  'camera-busy': 'Close other apps that use the camera.',
+};
+
+// Replaces the hand input, keeping the interaction radius and gesture
+// mapping. Without a usable input the mouse still works.
+async function startHandInput(input) {
+  if (tracker) {
+    input.radiusScale = tracker.radiusScale;
+    input.setGestureActions(tracker.getGestureActions());
+    tracker.stop();
+  }
+  tracker = input;
+  landmarkRecorder = null;
+  updateRecordHandsButton();
 
   try {
-    await tracker.init(video, w, h);
+    await input.init(video, window.innerWidth, window.innerHeight);
     loadingEl.style.display = 'none';
   } catch (err) {
     console.warn('Hand tracking failed to initialize:', err);
+    const hint = TRACKER_ERROR_HINTS[err.code] || '';
+    loadingEl.style.display = '';
     loadingEl.innerHTML = `
       <div style="color:#ffa; font-size:16px; max-width:400px;">
         Camera/hand tracking unavailable.<br>
         <small style="opacity:0.7">You can still interact with mouse/touch.</small>
         <br><br>
         <small style="opacity:0.5">${err.message}</small>
+        ${hint ? `<br><small style="opacity:0.7">${hint}</small>` : ''}
       </div>
     `;
-    setTimeout(() => { loadingEl.style.display = 'none'; }, 4000);
+    setTimeout(() => { loadingEl.style.display = 'none'; }, 6000);
   }
+  updateCameraSelect();
+}
 
-  // Mouse/touch fallback interaction
-  setupMouseInteraction();
+// Lists the cameras while the camera input runs; hidden otherwise
+async function updateCameraSelect() {
+  const camera = tracker instanceof HandTracker && tracker.status === 'ready' ? tracker : null;
+  const cameras = camera ? await HandTracker.listCameras() : [];
+  cameraSelect.hidden = cameras.length === 0;
+  cameraSelect.replaceChildren(...cameras.map(({ deviceId, label }) => {
+    const option = document.createElement('option');
+    option.value = deviceId;
+    option.textContent = label;
+    option.selected = deviceId === camera.deviceId;
+    return option;
+  }));
+}
 
-  // Handle resize
-  window.addEventListener('resize', onResize);
+window.selectCamera = async function (deviceId) {
+  if (!(tracker instanceof HandTracker)) return;
+  try {
+    await tracker.switchCamera(deviceId);
+    localStorage.setItem(CAMERA_STORAGE_KEY, deviceId);
+  } catch (err) {
+    alert(`${err.message}\n${TRACKER_ERROR_HINTS[err.code] || ''}`);
+  }
+  updateCameraSelect();
+};
 
-  // Start game loop
-  requestAnimationFrame(gameLoop);
+// ?seed as an integer, or undefined (a random seed) when absent or invalid
+function readSeed() {
+  if (!urlParams.has('seed')) return undefined;
+  const text = urlParams.get('seed').trim();
+  const seed = Number(text);
+  if (text !== '' && Number.isInteger(seed)) return seed;
+  console.warn(`Ignoring ?seed: not an integer: ${text}`);
+  return undefined;
+}
+
+// Physics runs either in this thread or in a worker (see workersim.js)
+function createSimulation(mode, w, h, params) {
+  if (mode !== 'worker') {
+    const mainSim = new SPHSimulation(w, h, params);
+    mainSim.setWhitewater(whitewaterEnabled);
+    return mainSim;
+  }
+
+  const workerSim = new WorkerSimulation(w, h, params);
+  workerSim.onError = (err) => {
+    if (sim !== workerSim) return;
+    console.warn('Worker physics unavailable, falling back to main thread:', err);
+    setPhysicsMode('main');
+  };
+  return workerSim;
+}
+
+// Switching modes keeps the parameters, gravity, obstacles, emitters and
+// drains but refills the water from the current scene
+function setPhysicsMode(mode) {
+  const params = sim.getParams();
+  const gravityEnabled = sim.gravityEnabled;
+  const gravity = sim.gravity;
+  const obstacles = sim.getObstacles().map(({ shape, restitution, friction }) =>
+    ({ shape, restitution, friction }));
+  const emitters = sim.getEmitters().map((e) => e.toJSON());
+  const drains = sim.getDrains().map((d) => d.shape);
+  if (sim.terminate) sim.terminate();
+
+  physicsMode = mode;
+  sim = createSimulation(mode, window.innerWidth, window.innerHeight, params);
+  sim.gravityEnabled = gravityEnabled;
+  sim.setGravity(gravity.x, gravity.y);
+  for (const { shape, ...options } of obstacles) sim.addObstacle(shape, options);
+  for (const data of emitters) sim.addEmitter(new Emitter(data.x, data.y, data));
+  for (const shape of drains) sim.addDrain(shape);
+  spawnSceneFluid(sim, sceneName, window.innerWidth, window.innerHeight);
+  updatePhysicsButton();
+}
+
+function updatePhysicsButton() {
+  btnPhysics.textContent = `Physics: ${physicsMode === 'worker' ? 'Worker' : 'Main'}`;
+  btnPhysics.classList.toggle('active', physicsMode === 'worker');
+  updateWhitewaterButton();
+}
+
+// The worker does not run whitewater; the setting waits for main thread physics
+function updateWhitewaterButton() {
+  const available = physicsMode !== 'worker';
+  btnWhitewater.textContent = `Foam: ${available ? (whitewaterEnabled ? 'ON' : 'OFF') : 'N/A'}`;
+  btnWhitewater.classList.toggle('active', available && whitewaterEnabled);
+  btnWhitewater.disabled = !available;
+}
+
+// Obstacles loaded from a scene file (layout null) are left alone
+function buildObstacles(layout, w, h) {
+  if (!layout) return;
+  act('clearObstacles');
+  for (const shape of OBSTACLE_LAYOUTS[layout](w, h)) {
+    act('addObstacle', shape);
+  }
 }
 
 function onResize() {
   const w = window.innerWidth;
   const h = window.innerHeight;
-  sim.resize(w, h);
+  // A replay keeps the tank size it was recorded with
+  if (!player) {
+    act('resize', w, h);
+    buildObstacles(obstacleLayout, w, h);
+  }
   renderer.resize(w, h);
   if (tracker) tracker.resize(w, h);
 }
 
-// Mouse / touch interaction as fallback
-let mouseForce = null;
-let prevMouse = null;
+// Click tools: push the fluid, or place and remove sources and sinks
+const TOOLS = ['push', 'faucet', 'fountain', 'drain', 'erase'];
+const DRAIN_RADIUS = 40;
+const ERASE_RADIUS = 40;
+
+function applyTool(x, y) {
+  if (tool === 'faucet' || tool === 'fountain') {
+    act('addEmitter', new Emitter(x, y, { ...EMITTER_KINDS[tool], material: spawnMaterial }));
+  } else if (tool === 'drain') {
+    act('addDrain', new CircleShape(x, y, DRAIN_RADIUS));
+  } else if (tool === 'erase') {
+    const near = (px, py) => Math.hypot(px - x, py - y) < ERASE_RADIUS;
+    for (const e of sim.getEmitters().filter((e) => near(e.x, e.y))) act('removeEmitter', e.id);
+    for (const d of sim.getDrains().filter((d) => d.shape.distance(x, y, {}) < ERASE_RADIUS)) {
+      act('removeDrain', d.id);
+    }
+  }
+}
 
+// Mouse, touch and pen interaction (see pointers.js)
 function setupMouseInteraction() {
   canvas.addEventListener('pointerdown', (e) => {
-    prevMouse = { x: e.clientX, y: e.clientY, t: performance.now() };
-    mouseForce = { x: e.clientX, y: e.clientY, vx: 0, vy: 0, radius: 80 };
+    if (e.button === 0 && tool !== 'push') {
+      applyTool(e.clientX, e.clientY);
+      return;
+    }
+    // Keep following the pointer if it leaves the canvas while down
+    canvas.setPointerCapture(e.pointerId);
+    pointerInput.down(e, performance.now());
   });
 
   canvas.addEventListener('pointermove', (e) => {
-    if (mouseForce) {
-      const now = performance.now();
-      const dt = (now - prevMouse.t) / 1000;
-      if (dt > 0) {
-        mouseForce.vx = mouseForce.vx * 0.5 + ((e.clientX - prevMouse.x) / dt) * 0.5;
-        mouseForce.vy = mouseForce.vy * 0.5 + ((e.clientY - prevMouse.y) / dt) * 0.5;
-      }
-      mouseForce.x = e.clientX;
-      mouseForce.y = e.clientY;
-      prevMouse = { x: e.clientX, y: e.clientY, t: now };
-    }
+    pointerInput.move(e, performance.now());
   });
 
-  canvas.addEventListener('pointerup', () => { mouseForce = null; prevMouse = null; });
-  canvas.addEventListener('pointerleave', () => { mouseForce = null; prevMouse = null; });
+  canvas.addEventListener('pointerup', (e) => pointerInput.up(e));
+  canvas.addEventListener('pointercancel', (e) => pointerInput.up(e));
+  canvas.addEventListener('lostpointercapture', (e) => pointerInput.up(e));
+  // Right-drag swirls the water instead of opening the menu
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
   // Double-click to spawn blob at cursor
   canvas.addEventListener('dblclick', (e) => {
-    sim.spawnBlob(e.clientX, e.clientY, 100, 50);
+    if (tool !== 'push') return;
+    act('spawnBlob', e.clientX, e.clientY, 100, 50, spawnMaterial);
+  });
+}
+
+function setupKeyboard() {
+  window.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    const angle = nudgeAngle(gravityAngle, e.key);
+    if (angle !== null) {
+      setBaseGravity(angle, gravityMagnitude);
+      e.preventDefault();
+    } else if (renderer.debug.handleKey(e.key)) {
+      e.preventDefault();
+    }
+  });
+}
+
+// Fluid parameter panel: one slider per entry in PARAM_SPECS
+const paramInputs = new Map();
+
+function formatParam(key, value) {
+  const step = PARAM_SPECS[key].step;
+  const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+  return value.toFixed(decimals);
+}
+
+function buildParamsPanel() {
+  for (const name of Object.keys(PARAM_PRESETS)) {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = name[0].toUpperCase() + name.slice(1);
+    btn.addEventListener('click', () => applyParamPreset(name));
+    paramPresetsEl.appendChild(btn);
+  }
+
+  const params = sim.getParams();
+  for (const [key, spec] of Object.entries(PARAM_SPECS)) {
+    const label = document.createElement('label');
+    const name = document.createElement('span');
+    const value = document.createElement('span');
+    name.textContent = spec.label;
+    value.textContent = formatParam(key, params[key]);
+    label.append(name, value);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = spec.min;
+    input.max = spec.max;
+    input.step = spec.step;
+    input.value = params[key];
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      try {
+        act('setParams', { [key]: v });
+        value.textContent = formatParam(key, v);
+      } catch (err) {
+        console.warn(err.message);
+      }
+    });
+
+    paramSlidersEl.append(label, input);
+    paramInputs.set(key, { input, value });
+  }
+}
+
+function syncParamsPanel() {
+  const params = sim.getParams();
+  for (const [key, { input, value }] of paramInputs) {
+    input.value = params[key];
+    value.textContent = formatParam(key, params[key]);
+  }
+}
+
+function applyParamPreset(name) {
+  act('setParams', { ...DEFAULT_PARAMS, ...PARAM_PRESETS[name] });
+  syncParamsPanel();
+}
+
+// -- Scene files (see scene.js) --
+
+async function captureScene() {
+  return createScene(await sim.getState(), {
+    width: window.innerWidth,
+    height: window.innerHeight,
+    colorScheme: renderer.getColorName(),
+    hands: {
+      radiusScale: tracker ? tracker.radiusScale : 1,
+      mouseRadius: pointerInput.radius,
+      gestureActions: tracker ? tracker.getGestureActions() : null,
+    },
+  });
+}
+
+// Replaces the running scene, stretched to the current window
+function loadScene(scene) {
+  const fitted = rescaleScene(scene, window.innerWidth, window.innerHeight);
+  act('setState', fitted.simulation);
+
+  if (fitted.colorScheme && renderer.setColorScheme(fitted.colorScheme)) {
+    btnColor.textContent = `Color: ${renderer.getColorName()}`;
+  }
+  if (fitted.hands) {
+    if (tracker) {
+      tracker.radiusScale = fitted.hands.radiusScale;
+      if (fitted.hands.gestureActions) tracker.setGestureActions(fitted.hands.gestureActions);
+    }
+    pointerInput.radius = fitted.hands.mouseRadius;
+  }
+
+  updateGravityButton();
+  syncGravityFromSim();
+  obstacleLayout = null;
+  btnObstacles.textContent = 'Obstacles: Scene';
+  btnObstacles.classList.toggle('active', sim.getObstacles().length > 0);
+  syncParamsPanel();
+}
+
+// Scene files are loaded, recordings replayed
+async function loadSceneFile(file) {
+  try {
+    const doc = decodeDocument(await file.arrayBuffer());
+    if (doc.format === RECORDING_FORMAT) startReplay(parseRecording(doc));
+    else if (doc.format === LANDMARKS_FORMAT) startHandInput(new LandmarkPlayback(parseLandmarks(doc)));
+    else loadScene(parseScene(doc));
+  } catch (err) {
+    console.warn('Could not load scene:', err);
+    alert(`Could not load ${file.name}: ${err.message}`);
+  }
+}
+
+function setupSceneImport() {
+  sceneFileInput.addEventListener('change', () => {
+    const file = sceneFileInput.files[0];
+    sceneFileInput.value = '';
+    if (file) loadSceneFile(file);
+  });
+
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) loadSceneFile(file);
+  });
+}
+
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// -- Frame capture (see capture.js) --
+
+window.toggleCapturePanel = function () {
+  capturePanel.hidden = !capturePanel.hidden;
+};
+
+function readCaptureForm() {
+  const value = (id) => document.getElementById(id).value;
+  const background = value('captureBackground');
+  return {
+    frames: Number(value('captureFrames')),
+    fps: Number(value('captureFps')),
+    scale: Number(value('captureScale')),
+    background: background === 'color' ? value('captureColor') : background,
+    hands: document.getElementById('captureHands').checked,
+  };
+}
+
+function encodePNG(target) {
+  return new Promise((resolve, reject) => {
+    target.toBlob((blob) => {
+      if (!blob) reject(new Error('Could not encode the frame'));
+      else blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
   });
 }
 
+// Steps the simulation 1/fps s per frame on its own clock, renders each
+// frame at the chosen scale and downloads them as a zip of PNGs. The live
+// view keeps drawing but does not step while this runs. Pressing the
+// button again cancels.
+window.startCapture = async function () {
+  if (capture) {
+    capture.cancelled = true;
+    return;
+  }
+  if (physicsMode === 'worker') {
+    captureStatus.textContent = 'Capture needs main-thread physics';
+    return;
+  }
+  if (player || recorder) {
+    captureStatus.textContent = 'Stop recording or replay first';
+    return;
+  }
+  let options;
+  try {
+    options = validateCaptureOptions(readCaptureForm());
+  } catch (err) {
+    captureStatus.textContent = err.message;
+    return;
+  }
+
+  const target = document.createElement('canvas');
+  const frameRenderer = new WaterRenderer(target);
+  frameRenderer.setColorScheme(renderer.getColorName());
+  frameRenderer.setRenderMode(renderer.getRenderMode());
+  frameRenderer.setFieldScale(renderer.getFieldScale());
+  frameRenderer.resize(renderer.width, renderer.height, options.scale);
+  frameRenderer.setBackground(options.background === 'transparent' ? null : options.background);
+
+  capture = { cancelled: false };
+  btnCaptureStart.textContent = 'Cancel';
+  let clock = performance.now();
+  try {
+    const parts = await captureSequence(sim, options, {
+      beforeStep: (dt) => {
+        clock += dt * 1000;
+        applyInput(clock, dt);
+      },
+      renderFrame: () => {
+        const hands = options.hands && tracker;
+        frameRenderer.render(sim, hands ? tracker.getLandmarks() : [], hands ? tracker.getGestures() : []);
+        return encodePNG(target);
+      },
+      onProgress: (done, total) => {
+        captureStatus.textContent = `Frame ${done} / ${total}`;
+      },
+      isCancelled: () => capture.cancelled,
+    });
+    if (parts) {
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+      downloadFile(new Blob(parts), `capture-${stamp}.zip`, 'application/zip');
+      captureStatus.textContent = `Saved ${options.frames} frames`;
+    } else {
+      captureStatus.textContent = 'Capture cancelled';
+    }
+  } catch (err) {
+    captureStatus.textContent = `Capture failed: ${err.message}`;
+  } finally {
+    capture = null;
+    btnCaptureStart.textContent = 'Start';
+  }
+};
+
+// -- Recording and replay (see recorder.js) --
+
+// Every change the UI makes to the simulation goes through here, so an
+// active recording captures it
+function act(name, ...args) {
+  return recorder ? recorder.action(sim, name, ...args) : applyAction(sim, { name, args });
+}
+
+// Recording and replay need the main-thread solver: the worker skips frames
+// when it falls behind, which a replay could not reproduce
+async function startRecording() {
+  if (player || capture) return;
+  if (physicsMode === 'worker') setPhysicsMode('main');
+
+  const scene = await captureScene();
+  sim.setState(scene.simulation);
+  recorder = new InputRecorder(scene);
+  updateRecordButton();
+}
+
+function stopRecording() {
+  const recording = recorder.finish(sim);
+  recorder = null;
+  updateRecordButton();
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  downloadFile(recordingToJSON(recording), `recording-${stamp}.json`, 'application/json');
+}
+
+function startReplay(recording) {
+  if (recorder) stopRecording();
+  if (physicsMode === 'worker') setPhysicsMode('main');
+
+  player = new ReplayPlayer(recording);
+  player.begin(sim);
+  const { colorScheme } = recording.start;
+  if (colorScheme && renderer.setColorScheme(colorScheme)) {
+    btnColor.textContent = `Color: ${renderer.getColorName()}`;
+  }
+  obstacleLayout = null;
+  btnObstacles.textContent = 'Obstacles: Scene';
+  syncParamsPanel();
+}
+
+function finishReplay() {
+  const matched = player.matches(sim);
+  player = null;
+  sim.resize(window.innerWidth, window.innerHeight);
+  updateGravityButton();
+  syncGravityFromSim();
+  syncParamsPanel();
+  alert(matched
+    ? 'Replay finished: the particles match the recording exactly.'
+    : 'Replay finished, but the particles differ from the recording.');
+}
+
+// Records the hand landmarks the current input sees to a file that
+// ?input=playback or dropping it on the page plays back
+window.toggleHandRecording = function () {
+  if (!tracker) return;
+  if (landmarkRecorder) {
+    const doc = landmarkRecorder.finish();
+    tracker.landmarkRecorder = null;
+    landmarkRecorder = null;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(JSON.stringify(doc), `hands-${stamp}.json`, 'application/json');
+  } else {
+    landmarkRecorder = new LandmarkRecorder();
+    tracker.landmarkRecorder = landmarkRecorder;
+  }
+  updateRecordHandsButton();
+};
+
+function updateRecordHandsButton() {
+  btnRecordHands.textContent = landmarkRecorder ? 'Stop Hands' : 'Record Hands';
+  btnRecordHands.classList.toggle('active', landmarkRecorder !== null);
+}
+
+function updateRecordButton() {
+  btnRecord.textContent = recorder ? 'Stop Recording' : 'Record';
+  btnRecord.classList.toggle('active', recorder !== null);
+}
+
+// Pinching hands and two-finger pinches pour water at PINCH_SPAWN_RATE
+// particles per second each, as recorded actions, while the particle
+// budget has room
+const PINCH_SPAWN_RATE = 40;
+let pinchPending = 0;
+
+function spawnAtPinches(points, elapsed) {
+  if (points.length === 0) {
+    pinchPending = 0;
+    return;
+  }
+  pinchPending += PINCH_SPAWN_RATE * Math.min(elapsed, 0.1);
+  const due = Math.floor(pinchPending);
+  if (due === 0) return;
+  pinchPending -= due;
+
+  const room = sim.getParams().maxParticles - sim.getParticleCount();
+  const count = Math.min(due, Math.floor(room / points.length));
+  if (count <= 0) return;
+  for (const p of points) act('spawnBlob', p.x, p.y, count, 6, spawnMaterial);
+}
+
 // Game loop
+// Collects forces from the hand input and pointers for a frame `dt` seconds
+// long at `timestamp` ms, pours water at pinches and hands the forces to
+// the simulation; returns them for the recorder
+function applyInput(timestamp, dt) {
+  const forces = [];
+  const spawnPoints = [];
+  if (tracker) {
+    tracker.update(timestamp);
+    for (const f of tracker.getHandForces()) forces.push(f);
+    for (const p of tracker.getSpawnPoints()) spawnPoints.push(p);
+  }
+  pointerInput.collect(forces, spawnPoints);
+  spawnAtPinches(spawnPoints, dt);
+  sim.setHandForces(forces);
+  if (tilt) applyGravity();
+  if (pendingKick) {
+    act('addVelocity', pendingKick.x, pendingKick.y);
+    pendingKick = null;
+  }
+  return forces;
+}
+
 function gameLoop(timestamp) {
   if (!running) return;
 
   const dt = timestamp - lastTime;
   lastTime = timestamp;
 
-  // Collect forces from hand tracker + mouse
-  const forces = [];
-  if (tracker) {
-    const handForces = tracker.getHandForces();
-    for (const f of handForces) forces.push(f);
-  }
-  if (mouseForce) {
-    forces.push(mouseForce);
-  }
-  sim.setHandForces(forces);
+  if (player) {
+    // Replays take their forces and frame times from the recording
+    if (player.done) finishReplay();
+    else player.stepFrame(sim);
+  } else if (!capture) {
+    const forces = applyInput(timestamp, dt / 1000);
 
-  // Step physics
-  sim.step();
+    // Step physics by the real frame time
+    sim.step(dt / 1000);
+    if (recorder) recorder.frame(dt / 1000, forces);
+  }
 
   // Render
-  renderer.render(sim, tracker ? tracker.getLandmarks() : []);
+  renderer.render(sim, tracker ? tracker.getLandmarks() : [], tracker ? tracker.getGestures() : []);
 
   // FPS counter
   frameCount++;
@@ -144,28 +795,305 @@ function gameLoop(timestamp) {
 
   // Update stats
   const handCount = tracker ? tracker.getLandmarks().length : 0;
+  const stepStats = sim.getStats();
+  const mode = player ? `replay ${Math.round(player.progress * 100)}% | `
+    : (recorder ? `recording ${recorder.frames.length} frames | ` : '');
   statsEl.textContent =
-    `${sim.getParticleCount()} particles | ${fps} fps | ${handCount} hand${handCount !== 1 ? 's' : ''} detected`;
+    `${mode}${sim.getParticleCount()} particles | ${fps} fps | ` +
+    `${stepStats.substeps} steps @ ${(stepStats.dt * 1000).toFixed(2)} ms | ` +
+    `${handCount} hand${handCount !== 1 ? 's' : ''} detected`;
 
   requestAnimationFrame(gameLoop);
 }
 
 // UI callbacks (attached to window for inline onclick)
 window.toggleGravity = function () {
-  sim.gravityEnabled = !sim.gravityEnabled;
+  act('gravity', !sim.gravityEnabled);
+  updateGravityButton();
+};
+
+function updateGravityButton() {
   btnGravity.textContent = `Gravity: ${sim.gravityEnabled ? 'ON' : 'OFF'}`;
   btnGravity.classList.toggle('active', sim.gravityEnabled);
+}
+
+// -- Gravity direction: dial, slider, arrow keys, tilt and shake (see gravitycontrol.js) --
+
+const TILT_TIMEOUT = 1000;  // ms to wait for a first sensor reading
+
+function setupGravityControls() {
+  gravitySlider.max = MAX_GRAVITY;
+  gravityDial.addEventListener('pointerdown', (e) => {
+    gravityDial.setPointerCapture(e.pointerId);
+    turnDialTo(e);
+  });
+  gravityDial.addEventListener('pointermove', (e) => {
+    if (gravityDial.hasPointerCapture(e.pointerId)) turnDialTo(e);
+  });
+  gravitySlider.addEventListener('input', () => setBaseGravity(gravityAngle, Number(gravitySlider.value)));
+  syncGravityFromSim();
+}
+
+function turnDialTo(e) {
+  const rect = gravityDial.getBoundingClientRect();
+  const dx = e.clientX - rect.left - rect.width / 2;
+  const dy = e.clientY - rect.top - rect.height / 2;
+  if (dx !== 0 || dy !== 0) setBaseGravity(gravityToPolar({ x: dx, y: dy }).angle, gravityMagnitude);
+}
+
+function setBaseGravity(angle, magnitude) {
+  if (player) return;
+  gravityAngle = angle;
+  gravityMagnitude = magnitude;
+  syncGravityControls();
+  applyGravity();
+}
+
+// Sends the dial's gravity plus any tilt to the simulation when it changed
+function applyGravity() {
+  const base = gravityFromPolar(gravityAngle, gravityMagnitude);
+  const { x, y } = tilt ? tilt.gravity(base) : base;
+  if (Math.abs(x - sim.gravity.x) > 0.5 || Math.abs(y - sim.gravity.y) > 0.5) act('setGravity', x, y);
+}
+
+// After a scene or replay set the gravity: the dial follows, tilt re-zeroes
+function syncGravityFromSim() {
+  const { angle, magnitude } = gravityToPolar(sim.gravity);
+  if (magnitude > 0) gravityAngle = angle;
+  gravityMagnitude = Math.min(magnitude, MAX_GRAVITY);
+  if (tilt) tilt.calibrate();
+  syncGravityControls();
+}
+
+function syncGravityControls() {
+  gravityDial.style.setProperty('--angle', `${gravityAngle}deg`);
+  gravitySlider.value = gravityMagnitude;
+}
+
+// Straight down again, with the device's current pose as level
+window.zeroGravity = function () {
+  if (tilt) tilt.calibrate();
+  setBaseGravity(90, gravityMagnitude);
+};
+
+// Tilting the device steers gravity and shaking it jolts the water. iOS
+// asks for permission first, from the click; without it (or without
+// sensors) the dial and arrow keys still work.
+window.toggleTilt = async function () {
+  if (tilt) {
+    stopTilt();
+    return;
+  }
+  if (!(await requestSensorPermission())) {
+    btnTilt.textContent = 'Tilt: Denied';
+    return;
+  }
+  tilt = new TiltInput();
+  window.addEventListener('deviceorientation', onDeviceOrientation);
+  window.addEventListener('devicemotion', onDeviceMotion);
+  updateTiltButton();
+  // Desktop browsers have the events but never fire them
+  setTimeout(() => {
+    if (!tilt || tilt.hasReading()) return;
+    stopTilt();
+    btnTilt.textContent = 'Tilt: No Sensor';
+  }, TILT_TIMEOUT);
 };
 
+async function requestSensorPermission() {
+  if (typeof DeviceOrientationEvent === 'undefined') return false;
+  const apis = [DeviceOrientationEvent, globalThis.DeviceMotionEvent]
+    .filter((api) => api && typeof api.requestPermission === 'function');
+  try {
+    // Both requests start inside the click, as iOS requires
+    const answers = await Promise.all(apis.map((api) => api.requestPermission()));
+    return answers.every((answer) => answer === 'granted');
+  } catch {
+    return false;
+  }
+}
+
+function stopTilt() {
+  window.removeEventListener('deviceorientation', onDeviceOrientation);
+  window.removeEventListener('devicemotion', onDeviceMotion);
+  tilt = null;
+  pendingKick = null;
+  applyGravity();
+  updateTiltButton();
+}
+
+function updateTiltButton() {
+  btnTilt.textContent = `Tilt: ${tilt ? 'ON' : 'OFF'}`;
+  btnTilt.classList.toggle('active', tilt !== null);
+}
+
+function screenAngle() {
+  return screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+}
+
+function onDeviceOrientation(e) {
+  if (tilt) tilt.orientation(e.beta, e.gamma, screenAngle());
+}
+
+function onDeviceMotion(e) {
+  if (!tilt || !e.acceleration) return;
+  const kick = tilt.motion(e.acceleration.x, e.acceleration.y, screenAngle(), e.timeStamp / 1000);
+  if (!kick) return;
+  pendingKick = pendingKick ? { x: pendingKick.x + kick.x, y: pendingKick.y + kick.y } : kick;
+}
+
 window.spawnBlob = function () {
   const x = Math.random() * window.innerWidth * 0.6 + window.innerWidth * 0.2;
   const y = Math.random() * window.innerHeight * 0.4 + 50;
-  sim.spawnBlob(x, y, 150, 70);
+  act('spawnBlob', x, y, 150, 70, spawnMaterial);
+};
+
+window.cycleTool = function () {
+  tool = TOOLS[(TOOLS.indexOf(tool) + 1) % TOOLS.length];
+  btnTool.textContent = `Tool: ${tool[0].toUpperCase()}${tool.slice(1)}`;
+  btnTool.classList.toggle('active', tool !== 'push');
+};
+
+window.cycleMaterial = function () {
+  spawnMaterial = (spawnMaterial + 1) % MATERIALS.length;
+  btnMaterial.textContent = `Material: ${MATERIALS[spawnMaterial].name}`;
+};
+
+// Drops the next body kind (box, ball, boat) in from the top
+window.spawnBody = function () {
+  const kind = BODY_KINDS[nextBodyKind];
+  const x = Math.random() * window.innerWidth * 0.6 + window.innerWidth * 0.2;
+  act('addBody', createBody(kind, x, 80, 60));
+
+  nextBodyKind = (nextBodyKind + 1) % BODY_KINDS.length;
+  const next = BODY_KINDS[nextBodyKind];
+  btnBody.textContent = `Spawn ${next[0].toUpperCase()}${next.slice(1)}`;
+};
+
+// -- Scene picker (see scenes.js) --
+
+function setupScenePicker() {
+  for (const [name, { description }] of Object.entries(SCENES)) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = sceneLabel(name);
+    option.title = description;
+    sceneSelect.appendChild(option);
+  }
+  const requested = urlParams.get('scene');
+  if (requested && !(requested in SCENES)) console.warn(`Unknown scene ${requested}, using ${sceneName}`);
+  startScene(requested in SCENES ? requested : sceneName);
+}
+
+// 'double-dam' -> 'Double dam'
+function sceneLabel(name) {
+  const words = name.replace(/-/g, ' ');
+  return words[0].toUpperCase() + words.slice(1);
+}
+
+// Rebuilds the tank from a scene, through act() so a recording captures it
+function startScene(name) {
+  sceneName = name;
+  buildScene(sim, name, window.innerWidth, window.innerHeight, act);
+  obstacleLayout = SCENES[name].obstacles || 'none';
+  updateObstaclesButton();
+  updateGravityButton();
+  syncGravityFromSim();
+  syncParamsPanel();
+  // The picker shows the scene as its placeholder, so picking it again resets
+  sceneSelect.options[0].textContent = `Scene: ${sceneLabel(name)}`;
+  sceneSelect.value = '';
+}
+
+window.pickScene = function (name) {
+  if (player || !(name in SCENES)) return;
+  startScene(name);
+};
+
+window.toggleParamsPanel = function () {
+  paramsPanel.classList.toggle('collapsed');
+};
+
+window.togglePhysicsMode = function () {
+  if (player || capture) return;
+  if (recorder) stopRecording();
+  setPhysicsMode(physicsMode === 'worker' ? 'main' : 'worker');
+};
+
+// Spray, foam and bubbles over the water (whitewater.js)
+window.toggleWhitewater = function () {
+  if (!sim.setWhitewater) return;
+  whitewaterEnabled = !whitewaterEnabled;
+  sim.setWhitewater(whitewaterEnabled);
+  updateWhitewaterButton();
+};
+
+window.cycleObstacles = function () {
+  const names = Object.keys(OBSTACLE_LAYOUTS);
+  obstacleLayout = names[(names.indexOf(obstacleLayout) + 1) % names.length];
+  buildObstacles(obstacleLayout, window.innerWidth, window.innerHeight);
+  updateObstaclesButton();
+};
+
+function updateObstaclesButton() {
+  btnObstacles.textContent = `Obstacles: ${obstacleLayout[0].toUpperCase()}${obstacleLayout.slice(1)}`;
+  btnObstacles.classList.toggle('active', obstacleLayout !== 'none');
+}
+
+window.exportScene = async function (binary) {
+  const scene = await captureScene();
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  if (binary) {
+    downloadFile(encodeSceneBinary(scene), `scene-${stamp}.sph`, 'application/octet-stream');
+  } else {
+    downloadFile(sceneToJSON(scene), `scene-${stamp}.json`, 'application/json');
+  }
+};
+
+// Saves the current frame's water outline as SVG, or as JSON path data
+window.exportOutline = function (format) {
+  const contours = renderer.getOutline(sim);
+  const { width, height } = canvas;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  if (format === 'json') {
+    downloadFile(contoursToJSON(contours, width, height), `outline-${stamp}.json`, 'application/json');
+  } else {
+    const svg = contoursToSVG(contours, width, height, { fill: renderer.getFillColor() });
+    downloadFile(svg, `outline-${stamp}.svg`, 'image/svg+xml');
+  }
+};
+
+window.toggleRecording = function () {
+  if (recorder) stopRecording();
+  else startRecording();
+};
+
+window.importScene = function () {
+  sceneFileInput.click();
 };
 
-window.resetSim = function () {
-  sim.reset();
-  sim.spawnBlob(window.innerWidth * 0.5, window.innerHeight * 0.3, 300, 100);
+function setupRenderOptions() {
+  if (urlParams.has('render') && !renderer.setRenderMode(urlParams.get('render'))) {
+    console.warn(`Ignoring ?render: unknown mode ${urlParams.get('render')} (available: ${RENDER_MODES.join(', ')})`);
+  }
+  if (urlParams.has('fieldScale')) {
+    try {
+      renderer.setFieldScale(Number(urlParams.get('fieldScale')));
+    } catch (err) {
+      console.warn('Ignoring ?fieldScale:', err.message);
+    }
+  }
+  updateRenderButton();
+}
+
+function updateRenderButton() {
+  const mode = renderer.getRenderMode();
+  btnRender.textContent = `Render: ${mode[0].toUpperCase()}${mode.slice(1)}`;
+}
+
+window.cycleRenderMode = function () {
+  renderer.cycleRenderMode();
+  updateRenderButton();
 };
 
 window.cycleColor = function () {
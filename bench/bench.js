@@ -0,0 +1,66 @@
+// ============================================================
+// Solver Benchmark - typed-array solver vs. the legacy solver
+// ============================================================
+// Open bench/index.html from a local server, or run this file under Node.
+
+import { SPHSimulation } from '../sph.js';
+import { SPHSimulation as LegacySimulation } from './legacy-sph.js';
+
+const PARTICLE_COUNTS = [500, 1000, 1500, 2500, 4000];
+const WARMUP_STEPS = 10;
+const MEASURE_STEPS = 40;
+const WIDTH = 1600;
+const HEIGHT = 1000;
+
+const outputEl = typeof document !== 'undefined' ? document.getElementById('output') : null;
+
+function log(line) {
+  if (outputEl) outputEl.textContent += line + '\n';
+  else console.log(line);
+}
+
+// Settled-ish block of water resting on the floor, same layout for both solvers
+function fillTank(sim, count) {
+  const cols = Math.ceil(Math.sqrt(count * 2));
+  const rows = Math.ceil(count / cols);
+  sim.spawnGrid(WIDTH / 2, HEIGHT - rows * 5 - 10, cols, rows, 10);
+}
+
+function measure(Simulation, count) {
+  const sim = new Simulation(WIDTH, HEIGHT);
+  fillTank(sim, count);
+  for (let i = 0; i < WARMUP_STEPS; i++) sim.step();
+
+  const start = performance.now();
+  for (let i = 0; i < MEASURE_STEPS; i++) sim.step();
+  const elapsed = performance.now() - start;
+
+  return {
+    particles: sim.getParticleCount(),
+    msPerStep: elapsed / MEASURE_STEPS,
+  };
+}
+
+// Yield between runs so the browser can paint progress
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function run() {
+  log(`${MEASURE_STEPS} frames per run (${WARMUP_STEPS} warm-up), ${WIDTH}x${HEIGHT} tank`);
+  log('particles | legacy ms/frame | typed ms/frame | speedup');
+
+  for (const count of PARTICLE_COUNTS) {
+    const legacy = measure(LegacySimulation, count);
+    await nextTick();
+    const typed = measure(SPHSimulation, count);
+    await nextTick();
+
+    log([
+      String(typed.particles).padStart(9),
+      legacy.msPerStep.toFixed(2).padStart(15),
+      typed.msPerStep.toFixed(2).padStart(14),
+      `${(legacy.msPerStep / typed.msPerStep).toFixed(2)}x`.padStart(7),
+    ].join(' | '));
+  }
+}
+
+run();
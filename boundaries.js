@@ -0,0 +1,205 @@
+// ============================================================
+// Static Obstacle Shapes for the SPH Tank
+// ============================================================
+// Every shape answers the same query: signed distance from a point to its
+// surface (negative inside) plus the outward surface normal. Coordinates
+// are canvas pixels. Shapes are plain data so they survive structured
+// cloning (workers) and JSON; shapeFromJSON() restores them.
+
+// Distance from (px, py) to segment a-b; writes the closest point to `out`
+function closestOnSegment(px, py, ax, ay, bx, by, out) {
+  const ex = bx - ax;
+  const ey = by - ay;
+  const len2 = ex * ex + ey * ey;
+  let t = len2 > 0 ? ((px - ax) * ex + (py - ay) * ey) / len2 : 0;
+  t = t < 0 ? 0 : (t > 1 ? 1 : t);
+  out.x = ax + ex * t;
+  out.y = ay + ey * t;
+  const dx = px - out.x;
+  const dy = py - out.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Points every `spacing` px along segment a-b (end point excluded), appended to `out`
+function sampleSegment(ax, ay, bx, by, spacing, out) {
+  const len = Math.hypot(bx - ax, by - ay);
+  const n = Math.max(1, Math.round(len / spacing));
+  for (let i = 0; i < n; i++) {
+    const t = i / n;
+    out.push(ax + (bx - ax) * t, ay + (by - ay) * t);
+  }
+}
+
+const tmp = { x: 0, y: 0 };
+
+// A wall between two points, with some thickness (a capsule)
+export class SegmentShape {
+  constructor(x1, y1, x2, y2, thickness = 6) {
+    this.type = 'segment';
+    this.x1 = x1; this.y1 = y1;
+    this.x2 = x2; this.y2 = y2;
+    this.thickness = thickness;
+  }
+
+  distance(x, y, normal) {
+    const d = closestOnSegment(x, y, this.x1, this.y1, this.x2, this.y2, tmp);
+    if (d > 1e-6) {
+      normal.x = (x - tmp.x) / d;
+      normal.y = (y - tmp.y) / d;
+    } else {
+      // Exactly on the center line: use the segment's left-hand normal
+      const len = Math.hypot(this.x2 - this.x1, this.y2 - this.y1) || 1;
+      normal.x = -(this.y2 - this.y1) / len;
+      normal.y = (this.x2 - this.x1) / len;
+    }
+    return d - this.thickness / 2;
+  }
+
+  bounds() {
+    const r = this.thickness / 2;
+    return {
+      minX: Math.min(this.x1, this.x2) - r, minY: Math.min(this.y1, this.y2) - r,
+      maxX: Math.max(this.x1, this.x2) + r, maxY: Math.max(this.y1, this.y2) + r,
+    };
+  }
+
+  // Copy stretched by (sx, sy) about the origin, e.g. for a resized canvas
+  scaled(sx, sy) {
+    return new SegmentShape(this.x1 * sx, this.y1 * sy, this.x2 * sx, this.y2 * sy, this.thickness);
+  }
+
+  samplePerimeter(spacing) {
+    const out = [];
+    sampleSegment(this.x1, this.y1, this.x2, this.y2, spacing, out);
+    out.push(this.x2, this.y2);
+    return out;
+  }
+}
+
+export class CircleShape {
+  constructor(x, y, radius) {
+    this.type = 'circle';
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+  }
+
+  distance(x, y, normal) {
+    const dx = x - this.x;
+    const dy = y - this.y;
+    const d = Math.sqrt(dx * dx + dy * dy);
+    if (d > 1e-6) {
+      normal.x = dx / d;
+      normal.y = dy / d;
+    } else {
+      normal.x = 0;
+      normal.y = -1;
+    }
+    return d - this.radius;
+  }
+
+  bounds() {
+    return {
+      minX: this.x - this.radius, minY: this.y - this.radius,
+      maxX: this.x + this.radius, maxY: this.y + this.radius,
+    };
+  }
+
+  // Circles stay round: the radius scales with the geometric mean of sx, sy
+  scaled(sx, sy) {
+    return new CircleShape(this.x * sx, this.y * sy, this.radius * Math.sqrt(sx * sy));
+  }
+
+  samplePerimeter(spacing) {
+    const out = [];
+    const n = Math.max(8, Math.round((2 * Math.PI * this.radius) / spacing));
+    for (let i = 0; i < n; i++) {
+      const a = (i / n) * Math.PI * 2;
+      out.push(this.x + Math.cos(a) * this.radius, this.y + Math.sin(a) * this.radius);
+    }
+    return out;
+  }
+}
+
+// Closed polygon given as [{x, y}, ...]. May be concave; winding does not
+// matter since inside/outside is decided by even-odd crossing.
+export class PolygonShape {
+  constructor(points) {
+    this.type = 'polygon';
+    this.points = points.map((p) => ({ x: p.x, y: p.y }));
+  }
+
+  contains(x, y) {
+    const pts = this.points;
+    let inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const a = pts[i];
+      const b = pts[j];
+      if ((a.y > y) !== (b.y > y) &&
+          x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  distance(x, y, normal) {
+    const pts = this.points;
+    let best = Infinity;
+    let cx = 0, cy = 0;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const d = closestOnSegment(x, y, pts[j].x, pts[j].y, pts[i].x, pts[i].y, tmp);
+      if (d < best) {
+        best = d;
+        cx = tmp.x;
+        cy = tmp.y;
+      }
+    }
+
+    const sign = this.contains(x, y) ? -1 : 1;
+    if (best > 1e-6) {
+      normal.x = sign * (x - cx) / best;
+      normal.y = sign * (y - cy) / best;
+    } else {
+      normal.x = 0;
+      normal.y = -1;
+    }
+    return sign * best;
+  }
+
+  bounds() {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of this.points) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  scaled(sx, sy) {
+    return new PolygonShape(this.points.map((p) => ({ x: p.x * sx, y: p.y * sy })));
+  }
+
+  samplePerimeter(spacing) {
+    const out = [];
+    const pts = this.points;
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      sampleSegment(a.x, a.y, b.x, b.y, spacing, out);
+    }
+    return out;
+  }
+}
+
+// Rebuilds a shape from its plain-object form (after postMessage or JSON)
+export function shapeFromJSON(data) {
+  switch (data.type) {
+    case 'segment': return new SegmentShape(data.x1, data.y1, data.x2, data.y2, data.thickness);
+    case 'circle': return new CircleShape(data.x, data.y, data.radius);
+    case 'polygon': return new PolygonShape(data.points);
+    default: throw new Error(`Unknown obstacle shape: ${data.type}`);
+  }
+}
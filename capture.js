@@ -0,0 +1,83 @@
+// ============================================================
+// Frame Capture - offline rendering to PNG sequences
+// ============================================================
+// Runs the simulation on its own clock instead of the screen's: each
+// output frame advances it by exactly 1 / fps seconds, however long the
+// frame takes to step, render and encode. The caller renders and encodes
+// (the app uses a WaterRenderer on a canvas of the chosen size); this
+// module drives the clock and packs the frames into a zip.
+
+import { ZipWriter } from './zip.js';
+
+export const CAPTURE_DEFAULTS = {
+  frames: 120,
+  fps: 60,
+  scale: 1,                  // output pixels per simulation pixel
+  background: 'transparent', // or a CSS color painted behind the water
+  hands: false,              // draw the hand overlay
+};
+
+const LIMITS = {
+  frames: [1, 10000],
+  fps: [1, 240],
+  scale: [0.25, 4],
+};
+
+// Fills gaps from CAPTURE_DEFAULTS; throws on values out of range
+export function validateCaptureOptions(options = {}) {
+  const merged = { ...CAPTURE_DEFAULTS, ...options };
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const value = merged[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new RangeError(`Capture ${key} must be between ${min} and ${max}: ${value}`);
+    }
+  }
+  if (!Number.isInteger(merged.frames)) throw new RangeError(`Capture frames must be a whole number: ${merged.frames}`);
+  if (typeof merged.background !== 'string' || merged.background === '') {
+    throw new TypeError('Capture background must be "transparent" or a CSS color');
+  }
+  return merged;
+}
+
+// frame-0000.png, ... padded to fit `total`
+export function frameFileName(index, total) {
+  const digits = Math.max(4, String(total - 1).length);
+  return `frame-${String(index).padStart(digits, '0')}.png`;
+}
+
+// Steps `sim` forward by exactly `seconds` of (unscaled) frame time, in
+// pieces the solver takes whole: step() drops time beyond maxFrameTime or
+// maxSubsteps, which the live loop wants and a capture does not
+export function advanceSimulation(sim, seconds) {
+  const { maxFrameTime, timeScale } = sim.getParams();
+  let remaining = seconds;
+  while (remaining > 1e-9) {
+    const part = Math.min(remaining, maxFrameTime);
+    sim.step(part);
+    const covered = sim.getStats().simTime / timeScale;
+    remaining -= covered > 0 ? Math.min(covered, part) : part;
+  }
+}
+
+// Captures options.frames frames at options.fps into a ZipWriter and
+// returns its parts, or null if cancelled. Frame 0 is the current state.
+// hooks:
+//   beforeStep(dt, frame)  sets up input for the step into `frame`
+//   renderFrame(frame)     async; returns the frame's PNG bytes
+//   onProgress(done, total)
+//   isCancelled()
+export async function captureSequence(sim, options, hooks) {
+  const { frames, fps } = validateCaptureOptions(options);
+  const dt = 1 / fps;
+  const zip = new ZipWriter();
+  for (let frame = 0; frame < frames; frame++) {
+    if (hooks.isCancelled && hooks.isCancelled()) return null;
+    if (frame > 0) {
+      if (hooks.beforeStep) hooks.beforeStep(dt, frame);
+      advanceSimulation(sim, dt);
+    }
+    zip.add(frameFileName(frame, frames), await hooks.renderFrame(frame));
+    if (hooks.onProgress) hooks.onProgress(frame + 1, frames);
+  }
+  return zip.finish();
+}
@@ -0,0 +1,146 @@
+// ============================================================
+// Headless Runner - steps a named scene under Node and prints stats
+// ============================================================
+// Usage: node cli.js [scene] [--steps N] [--dt S] [--seed N]
+//                    [--width W] [--height H] [--json] [--list]
+// Without --dt each step is one fixed frame of params.substeps substeps;
+// with --dt the solver picks its own substeps for a frame of S seconds.
+
+import { parseArgs } from 'node:util';
+import { SPHSimulation } from './sph.js';
+import { SCENES, buildScene } from './scenes.js';
+
+const USAGE = 'Usage: node cli.js [scene] [--steps N] [--dt S] [--seed N] ' +
+  '[--width W] [--height H] [--json] [--list]';
+
+function readOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      steps: { type: 'string', default: '120' },
+      dt: { type: 'string' },
+      seed: { type: 'string', default: '1' },
+      width: { type: 'string', default: '800' },
+      height: { type: 'string', default: '600' },
+      json: { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const number = (name, check) => {
+    const value = Number(values[name]);
+    if (!check(value)) throw new RangeError(`Invalid --${name}: ${values[name]}`);
+    return value;
+  };
+  return {
+    scene: positionals[0] || 'blobs',
+    steps: number('steps', (v) => Number.isInteger(v) && v >= 0),
+    dt: values.dt === undefined ? undefined : number('dt', (v) => v > 0),
+    seed: number('seed', Number.isInteger),
+    width: number('width', (v) => v > 0),
+    height: number('height', (v) => v > 0),
+    json: values.json,
+    list: values.list,
+    help: values.help,
+  };
+}
+
+// Density, speed, energy and centre of mass over the live particles
+function collectStats(sim) {
+  const n = sim.getParticleCount();
+  const pos = sim.getPositions();
+  const vel = sim.getVelocities();
+  const densities = sim.getDensities();
+  const materials = sim.getMaterials();
+
+  let densitySum = 0;
+  let densityMax = 0;
+  let maxSpeed = 0;
+  let kinetic = 0;
+  let mass = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < n; i++) {
+    const m = sim.materialMass[materials[i]];
+    const speed2 = vel[2 * i] ** 2 + vel[2 * i + 1] ** 2;
+    densitySum += densities[i];
+    densityMax = Math.max(densityMax, densities[i]);
+    maxSpeed = Math.max(maxSpeed, speed2);
+    kinetic += 0.5 * m * speed2;
+    mass += m;
+    cx += m * pos[2 * i];
+    cy += m * pos[2 * i + 1];
+  }
+
+  return {
+    particles: n,
+    densityMean: n > 0 ? densitySum / n : 0,
+    densityMax,
+    maxSpeed: Math.sqrt(maxSpeed),
+    kineticEnergy: kinetic,
+    centerOfMass: mass > 0 ? { x: cx / mass, y: cy / mass } : null,
+  };
+}
+
+function main() {
+  const options = readOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.list) {
+    for (const [name, { description }] of Object.entries(SCENES)) {
+      console.log(`${name.padEnd(10)} ${description}`);
+    }
+    return;
+  }
+
+  const sim = new SPHSimulation(options.width, options.height, { seed: options.seed });
+  buildScene(sim, options.scene);
+
+  let substeps = 0;
+  let simTime = 0;
+  const start = performance.now();
+  for (let i = 0; i < options.steps; i++) {
+    sim.step(options.dt);
+    substeps += sim.getStats().substeps;
+    simTime += sim.getStats().simTime;
+  }
+  const wallTime = (performance.now() - start) / 1000;
+
+  const result = {
+    scene: options.scene,
+    seed: options.seed,
+    steps: options.steps,
+    substeps,
+    simTime,
+    wallTime,
+    ...collectStats(sim),
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  const com = result.centerOfMass;
+  console.log([
+    `scene          ${result.scene} (seed ${result.seed}, ${options.width}x${options.height})`,
+    `steps          ${result.steps} (${result.substeps} substeps, ${result.simTime.toFixed(3)} s simulated)`,
+    `particles      ${result.particles}`,
+    `density        mean ${result.densityMean.toFixed(3)}, max ${result.densityMax.toFixed(3)}`,
+    `max speed      ${result.maxSpeed.toFixed(1)} px/s`,
+    `kinetic energy ${result.kineticEnergy.toExponential(3)}`,
+    `centre of mass ${com ? `${com.x.toFixed(1)}, ${com.y.toFixed(1)}` : '-'}`,
+    `wall time      ${result.wallTime.toFixed(2)} s (${(wallTime * 1000 / Math.max(result.steps, 1)).toFixed(2)} ms/step)`,
+  ].join('\n'));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
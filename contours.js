@@ -0,0 +1,228 @@
+// ============================================================
+// Contours - marching squares outlines of the density field
+// ============================================================
+// Traces where a DensityField (densityfield.js) crosses a level as closed
+// polylines in canvas pixels, smooths them, and writes them out as SVG or
+// JSON path data. The field is treated as empty beyond its border, so
+// every outline closes. Outlines wind consistently - water on the right
+// going round in screen coordinates - so holes (bubbles) wind the other
+// way and a nonzero fill leaves them open. No DOM needed.
+
+export const OUTLINE_FORMAT = 'sph-outline';
+export const OUTLINE_VERSION = 1;
+
+// Chaikin passes used unless told otherwise
+const SMOOTHING = 2;
+
+// Cell edges: top, right, bottom, left. Corners: top-left, top-right,
+// bottom-right, bottom-left, as bits 8, 4, 2, 1 of the case index.
+const EDGE_MID = [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]];
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+// The corner two adjacent edges cut off, by edge pair
+const SHARED_CORNER = { '0,3': 0, '0,1': 1, '1,2': 2, '2,3': 3 };
+// Edges between corners k and k + 1
+const CORNER_EDGE = [0, 1, 2, 3];
+
+const inside = (index, corner) => (index & (8 >> corner)) !== 0;
+
+// Points segment e1 -> e2 so the water is on its right (screen y down)
+function orient(index, e1, e2) {
+  const key = `${Math.min(e1, e2)},${Math.max(e1, e2)}`;
+  // A corner on a known side: the one cut off, or for a straight cut the
+  // top-left corner
+  const corner = key in SHARED_CORNER ? SHARED_CORNER[key] : 0;
+  const [x1, y1] = EDGE_MID[e1];
+  const [x2, y2] = EDGE_MID[e2];
+  const [cx, cy] = CORNERS[corner];
+  const right = (x2 - x1) * (cy - y1) - (y2 - y1) * (cx - x1) > 0;
+  return right === inside(index, corner) ? [e1, e2] : [e2, e1];
+}
+
+// Oriented segments per case; saddles (5, 10) have a second entry for a
+// cell whose centre is inside, which joins the two inside corners
+function buildCases() {
+  const cases = [];
+  for (let index = 0; index < 16; index++) {
+    const crossed = CORNER_EDGE.filter((e) => inside(index, e) !== inside(index, (e + 1) % 4));
+    if (crossed.length === 2) {
+      cases.push([[orient(index, crossed[0], crossed[1])]]);
+    } else if (crossed.length === 4) {
+      // Centre outside: cut each inside corner off; inside: each outside one
+      const cutInside = inside(index, 0) ? [[0, 3], [1, 2]] : [[0, 1], [2, 3]];
+      const cutOutside = inside(index, 0) ? [[0, 1], [2, 3]] : [[0, 3], [1, 2]];
+      cases.push([
+        cutInside.map(([a, b]) => orient(index, a, b)),
+        cutOutside.map(([a, b]) => orient(index, a, b)),
+      ]);
+    } else {
+      cases.push([[]]);
+    }
+  }
+  return cases;
+}
+
+const CASES = buildCases();
+
+// Chaikin corner cutting of a closed polyline [x0, y0, x1, y1, ...]
+export function smoothContour(points, iterations = SMOOTHING) {
+  let current = points;
+  for (let it = 0; it < iterations; it++) {
+    const n = current.length / 2;
+    const next = new Array(n * 4);
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      const x0 = current[2 * i];
+      const y0 = current[2 * i + 1];
+      const x1 = current[2 * j];
+      const y1 = current[2 * j + 1];
+      next[4 * i] = 0.75 * x0 + 0.25 * x1;
+      next[4 * i + 1] = 0.75 * y0 + 0.25 * y1;
+      next[4 * i + 2] = 0.25 * x0 + 0.75 * x1;
+      next[4 * i + 3] = 0.25 * y0 + 0.75 * y1;
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Signed area of a closed polyline; positive when it winds clockwise on
+// screen, as outer outlines do
+export function contourArea(points) {
+  let area = 0;
+  const n = points.length / 2;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += points[2 * i] * points[2 * j + 1] - points[2 * j] * points[2 * i + 1];
+  }
+  return area / 2;
+}
+
+// Traces outlines; keeps its edge buffer between calls while the field
+// size stays the same
+export class ContourExtractor {
+  constructor() {
+    this.next = new Int32Array(0);
+    this.padded = new Float32Array(0);
+  }
+
+  // Closed polylines [x0, y0, x1, y1, ...] in canvas px where `field`
+  // crosses `level`. options.smoothing: Chaikin passes (default 2);
+  // options.minArea: drop outlines enclosing less (px², default 0).
+  extract(field, level, { smoothing = SMOOTHING, minArea = 0 } = {}) {
+    const { width, height, values, scale } = field;
+    // Samples padded by one empty row/column on every side
+    const pw = width + 2;
+    const ph = height + 2;
+    const horizontal = (pw - 1) * ph;
+    const edgeCount = horizontal + pw * (ph - 1);
+    if (this.next.length !== edgeCount) {
+      this.next = new Int32Array(edgeCount);
+      this.padded = new Float32Array(pw * ph);
+    }
+    const next = this.next;
+    next.fill(-1);
+    const padded = this.padded;
+    for (let y = 0; y < height; y++) {
+      padded.set(values.subarray(y * width, (y + 1) * width), (y + 1) * pw + 1);
+    }
+    const sample = (px, py) => padded[py * pw + px];
+    // Id of edge e (CORNER_EDGE order) of padded cell (px, py)
+    const edgeId = (px, py, e) => {
+      switch (e) {
+        case 0: return py * (pw - 1) + px;
+        case 1: return horizontal + py * pw + px + 1;
+        case 2: return (py + 1) * (pw - 1) + px;
+        default: return horizontal + py * pw + px;
+      }
+    };
+
+    for (let py = 0; py < ph - 1; py++) {
+      const row = py * pw;
+      for (let px = 0; px < pw - 1; px++) {
+        const a = padded[row + px];
+        const b = padded[row + px + 1];
+        const c = padded[row + pw + px + 1];
+        const d = padded[row + pw + px];
+        const index = (a > level ? 8 : 0) | (b > level ? 4 : 0) | (c > level ? 2 : 0) | (d > level ? 1 : 0);
+        if (index === 0 || index === 15) continue;
+        const variants = CASES[index];
+        const segments = variants.length > 1 && (a + b + c + d) / 4 > level ? variants[1] : variants[0];
+        for (const [e1, e2] of segments) next[edgeId(px, py, e1)] = edgeId(px, py, e2);
+      }
+    }
+
+    // Where the field crosses the level along an edge, in canvas px
+    const point = (id, out, o) => {
+      let x0, y0, x1, y1;
+      if (id < horizontal) {
+        y0 = y1 = Math.floor(id / (pw - 1));
+        x0 = id % (pw - 1);
+        x1 = x0 + 1;
+      } else {
+        const v = id - horizontal;
+        x0 = x1 = v % pw;
+        y0 = Math.floor(v / pw);
+        y1 = y0 + 1;
+      }
+      const v0 = sample(x0, y0);
+      const v1 = sample(x1, y1);
+      const t = v1 === v0 ? 0.5 : (level - v0) / (v1 - v0);
+      // Padded sample (px, py) is the centre of cell (px - 1, py - 1)
+      out[o] = (x0 + (x1 - x0) * t - 0.5) / scale;
+      out[o + 1] = (y0 + (y1 - y0) * t - 0.5) / scale;
+    };
+
+    const contours = [];
+    for (let start = 0; start < edgeCount; start++) {
+      if (next[start] === -1) continue;
+      const points = [];
+      let id = start;
+      while (id !== -1) {
+        const o = points.length;
+        point(id, points, o);
+        const following = next[id];
+        next[id] = -1;
+        id = following === start ? -1 : following;
+      }
+      const contour = smoothing > 0 ? smoothContour(points, smoothing) : points;
+      if (minArea > 0 && Math.abs(contourArea(contour)) < minArea) continue;
+      contours.push(contour);
+    }
+    return contours;
+  }
+}
+
+// -- Export --
+
+const round = (v) => Math.round(v * 10) / 10;
+
+// SVG path data for the outlines, coordinates rounded to 0.1 px
+export function contoursToPath(contours) {
+  return contours.map((points) => {
+    let d = `M${round(points[0])} ${round(points[1])}`;
+    for (let i = 2; i < points.length; i += 2) d += `L${round(points[i])} ${round(points[i + 1])}`;
+    return `${d}Z`;
+  }).join('');
+}
+
+// A standalone SVG document of the outlines on a `width` x `height` canvas.
+// options.fill and options.stroke are CSS colors (stroke 'none' to omit).
+export function contoursToSVG(contours, width, height, { fill = '#1e90ff', stroke = 'none' } = {}) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`
+    + `  <path d="${contoursToPath(contours)}" fill="${fill}" fill-rule="nonzero" stroke="${stroke}"/>\n`
+    + '</svg>\n';
+}
+
+// The outlines as JSON: { format, version, width, height, path, contours }
+// with `path` as SVG path data and `contours` as rounded [x0, y0, ...] lists
+export function contoursToJSON(contours, width, height) {
+  return JSON.stringify({
+    format: OUTLINE_FORMAT,
+    version: OUTLINE_VERSION,
+    width,
+    height,
+    path: contoursToPath(contours),
+    contours: contours.map((points) => points.map(round)),
+  });
+}
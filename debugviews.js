@@ -0,0 +1,163 @@
+// ============================================================
+// Debug Views - what the solver is doing, drawn over the water
+// ============================================================
+// Overlays WaterRenderer can draw while tuning, each toggled by a number
+// key: particles coloured by speed, density or pressure (one at a time),
+// velocity vectors, the solver's spatial grid occupancy, and the force
+// fields passed to setHandForces(). This module holds the bookkeeping and
+// the numbers; renderer.js does the drawing. No DOM needed.
+
+// name -> key that toggles it, legend title, unit
+export const DEBUG_VIEWS = {
+  speed: { key: '1', label: 'Speed', unit: 'px/s' },
+  density: { key: '2', label: 'Density', unit: '' },
+  pressure: { key: '3', label: 'Pressure', unit: '' },
+  vectors: { key: '4', label: 'Velocity', unit: 'px/s' },
+  grid: { key: '5', label: 'Grid occupancy', unit: 'particles' },
+  forces: { key: '6', label: 'Force fields', unit: '' },
+};
+
+// Key that hides every view
+export const DEBUG_CLEAR_KEY = '0';
+
+// Views that colour the particles; only one can show at a time
+export const PARTICLE_VIEWS = ['speed', 'density', 'pressure'];
+
+// Colour ramp for low (0) to high (1) values: blue, cyan, green, yellow, red
+const RAMP = [[40, 60, 220], [0, 200, 230], [40, 220, 90], [250, 220, 40], [230, 40, 30]];
+
+// Writes the ramp colour for `t` (clamped to 0..1) into `out` as integers
+export function rampColor(t, out = [0, 0, 0]) {
+  const x = Math.min(Math.max(t, 0), 1) * (RAMP.length - 1);
+  const i = Math.min(Math.floor(x), RAMP.length - 2);
+  const f = x - i;
+  const a = RAMP[i];
+  const b = RAMP[i + 1];
+  out[0] = Math.round(a[0] + (b[0] - a[0]) * f);
+  out[1] = Math.round(a[1] + (b[1] - a[1]) * f);
+  out[2] = Math.round(a[2] + (b[2] - a[2]) * f);
+  return out;
+}
+
+// Writes one value per particle for a particle view into `out` and returns
+// the frame's { min, max }, or null if the simulation does not expose the
+// data (the worker keeps velocities, densities and pressures to itself)
+export function particleValues(view, simulation, out) {
+  const count = simulation.getParticleCount();
+  let min = Infinity;
+  let max = -Infinity;
+  if (view === 'speed') {
+    if (!simulation.getVelocities) return null;
+    const vel = simulation.getVelocities();
+    for (let i = 0; i < count; i++) {
+      const v = Math.hypot(vel[2 * i], vel[2 * i + 1]);
+      out[i] = v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  } else {
+    const getter = view === 'density' ? simulation.getDensities : simulation.getPressures;
+    if (!getter) return null;
+    const values = getter.call(simulation);
+    for (let i = 0; i < count; i++) {
+      const v = values[i];
+      out[i] = v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return count > 0 ? { min, max } : { min: 0, max: 0 };
+}
+
+// Particles per cell of the solver's grid (sph.js SpatialGrid) as of its
+// last rebuild, written to `out`; returns the busiest cell's count
+export function gridOccupancy(grid, out) {
+  const cellCount = grid.cols * grid.rows;
+  let max = 0;
+  for (let c = 0; c < cellCount; c++) {
+    const n = grid.cellStart[c + 1] - grid.cellStart[c];
+    out[c] = n;
+    if (n > max) max = n;
+  }
+  return max;
+}
+
+// A colour scale range that widens at once to fit new values and narrows
+// slowly, so the legend does not flicker from frame to frame
+export class AutoRange {
+  constructor(relax = 0.05) {
+    this.relax = relax;
+    this.min = 0;
+    this.max = 0;
+    this.empty = true;
+  }
+
+  update(min, max) {
+    if (this.empty) {
+      this.min = min;
+      this.max = max;
+      this.empty = false;
+    } else {
+      this.min = min < this.min ? min : this.min + (min - this.min) * this.relax;
+      this.max = max > this.max ? max : this.max + (max - this.max) * this.relax;
+    }
+    return this;
+  }
+
+  // Where `value` falls in the range, 0..1
+  normalize(value) {
+    const span = this.max - this.min;
+    return span > 0 ? (value - this.min) / span : 0.5;
+  }
+
+  reset() {
+    this.empty = true;
+  }
+}
+
+// Which views are on. Turning on a particle view turns the others off.
+export class DebugViews {
+  constructor() {
+    this.active = new Set();
+  }
+
+  has(name) {
+    return this.active.has(name);
+  }
+
+  // Active views in DEBUG_VIEWS order
+  list() {
+    return Object.keys(DEBUG_VIEWS).filter((name) => this.active.has(name));
+  }
+
+  // The particle view that is on, if any
+  particleView() {
+    return PARTICLE_VIEWS.find((name) => this.active.has(name)) || null;
+  }
+
+  toggle(name) {
+    if (!DEBUG_VIEWS[name]) throw new RangeError(`Unknown debug view: ${name}`);
+    if (this.active.delete(name)) return false;
+    if (PARTICLE_VIEWS.includes(name)) {
+      for (const other of PARTICLE_VIEWS) this.active.delete(other);
+    }
+    this.active.add(name);
+    return true;
+  }
+
+  clear() {
+    this.active.clear();
+  }
+
+  // Handles a KeyboardEvent.key; returns true if it was a debug view key
+  handleKey(key) {
+    if (key === DEBUG_CLEAR_KEY) {
+      this.clear();
+      return true;
+    }
+    const name = Object.keys(DEBUG_VIEWS).find((n) => DEBUG_VIEWS[n].key === key);
+    if (!name) return false;
+    this.toggle(name);
+    return true;
+  }
+}
@@ -0,0 +1,193 @@
+// ============================================================
+// Density Field - particle kernels splatted into a scalar grid
+// ============================================================
+// The metaball look without a canvas: each particle adds a kernel to a
+// Float32Array grid at `scale` cells per canvas pixel, and shade() turns
+// the grid into RGBA pixels in one pass - threshold, edge-to-core colour
+// ramp, and lighting from the field's gradient as if the water were a
+// surface whose height rises with the field. Buffers are only reallocated
+// when the size changes, so a frame allocates nothing. No DOM needed.
+//
+// The kernel is -ln(1 - a(r)) for the blob alpha a(r) the canvas renderer
+// draws (0.8 at the centre, 0.3 halfway, 0 at the edge). Summed kernels S
+// give alpha 1 - exp(-S), exactly what stacking the blobs with
+// 'source-over' gives, so the same threshold and colour ramp apply.
+
+// Alpha above which a cell is water
+export const FIELD_THRESHOLD = 0.35;
+// Grid cells per canvas pixel unless set otherwise; above 1 for supersampling
+export const DEFAULT_FIELD_SCALE = 0.5;
+// Edge brightness relative to the blended color when several materials show
+export const OUTER_SHADE = 0.5;
+
+const KERNEL_SIZE = 256;
+
+// Lighting: light from the upper left, the surface's height in px at full
+// alpha, how strongly slopes darken or brighten, and the highlight
+const LIGHT = normalize3(-0.45, -0.55, 0.7);
+const HALF = normalize3(LIGHT[0], LIGHT[1], LIGHT[2] + 1);
+const RELIEF = 12;
+const DIFFUSE = 0.6;
+const SHININESS = 32;  // a power of two, see shine()
+const SPECULAR = 0.7;
+// Glow screened over all water, standing in for the canvas specular pass
+const GLOW = 0.12;
+
+// c ** SHININESS by repeated squaring, much cheaper than Math.pow per pixel
+function shine(c) {
+  for (let p = 1; p < SHININESS; p *= 2) c *= c;
+  return c;
+}
+
+function normalize3(x, y, z) {
+  const len = Math.hypot(x, y, z);
+  return [x / len, y / len, z / len];
+}
+
+// Field value at which the summed kernels reach `alpha`
+export function alphaToLevel(alpha) {
+  return -Math.log(1 - alpha);
+}
+
+// Kernel by squared distance over squared radius, q = r² / R² in 0..1
+function buildKernel() {
+  const kernel = new Float32Array(KERNEL_SIZE + 1);
+  for (let k = 0; k <= KERNEL_SIZE; k++) {
+    const t = Math.sqrt(k / KERNEL_SIZE);
+    const alpha = t < 0.5 ? 0.8 - t : 0.6 * (1 - t);
+    kernel[k] = alphaToLevel(alpha);
+  }
+  return kernel;
+}
+
+const KERNEL = buildKernel();
+
+export class DensityField {
+  constructor(scale = DEFAULT_FIELD_SCALE) {
+    this.scale = scale;
+    this.width = 0;   // cells
+    this.height = 0;
+    this.values = new Float32Array(0);  // summed kernels per cell
+    this.colors = new Float32Array(0);  // kernel-weighted r, g, b sums per cell
+  }
+
+  // Sizes the grid for a `width` x `height` px canvas at `scale` cells/px
+  resize(width, height, scale = this.scale) {
+    if (!(scale > 0 && scale <= 4)) throw new RangeError(`Field scale must be in (0, 4]: ${scale}`);
+    this.scale = scale;
+    const w = Math.max(1, Math.floor(width * scale));
+    const h = Math.max(1, Math.floor(height * scale));
+    if (w === this.width && h === this.height) return false;
+    this.width = w;
+    this.height = h;
+    this.values = new Float32Array(w * h);
+    this.colors = new Float32Array(w * h * 3);
+    return true;
+  }
+
+  clear() {
+    this.values.fill(0);
+    this.colors.fill(0);
+  }
+
+  // Adds one particle's kernel at canvas (x, y) px with `radius` px. With a
+  // colour (r, g, b) it is also mixed into the cells' colours; leave it out
+  // when every particle looks the same.
+  splat(x, y, radius, r, g, b) {
+    const { width, height, values, colors } = this;
+    const s = this.scale;
+    const cx = x * s;
+    const cy = y * s;
+    const rad = radius * s;
+    const invR2 = 1 / (rad * rad);
+    const x0 = Math.max(0, Math.ceil(cx - rad - 0.5));
+    const x1 = Math.min(width - 1, Math.floor(cx + rad - 0.5));
+    const y0 = Math.max(0, Math.ceil(cy - rad - 0.5));
+    const y1 = Math.min(height - 1, Math.floor(cy + rad - 0.5));
+    const tinted = r !== undefined;
+
+    for (let gy = y0; gy <= y1; gy++) {
+      const dy = gy + 0.5 - cy;
+      const row = gy * width;
+      for (let gx = x0; gx <= x1; gx++) {
+        const dx = gx + 0.5 - cx;
+        const q = (dx * dx + dy * dy) * invR2;
+        if (q >= 1) continue;
+        const k = KERNEL[(q * KERNEL_SIZE) | 0];
+        const cell = row + gx;
+        values[cell] += k;
+        if (tinted) {
+          colors[3 * cell] += k * r;
+          colors[3 * cell + 1] += k * g;
+          colors[3 * cell + 2] += k * b;
+        }
+      }
+    }
+  }
+
+  // Writes the field as RGBA into `data` (width * height * 4 bytes, e.g. an
+  // ImageData's). `uniform` shades from outer to inner at the edge as the
+  // canvas renderer does; otherwise the cells' mixed colours are darkened
+  // toward the edge. `glow` tints the highlights.
+  shade(data, { uniform, inner, outer, glow }) {
+    const { width, height, values, colors } = this;
+    const level = alphaToLevel(FIELD_THRESHOLD);
+    const relief = RELIEF * this.scale * 0.5;  // central differences span two cells
+    const flatLight = LIGHT[2];
+    const flatSpec = shine(HALF[2]);
+    const [gr, gg, gb] = glow;
+
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      const up = y > 0 ? row - width : row;
+      const down = y < height - 1 ? row + width : row;
+      for (let x = 0; x < width; x++) {
+        const cell = row + x;
+        const j = cell * 4;
+        const v = values[cell];
+        if (v <= level) {
+          data[j + 3] = 0;
+          continue;
+        }
+
+        const fade = Math.exp(-v);
+        const alpha = 1 - fade;
+        const t = Math.min((alpha - FIELD_THRESHOLD) / (1 - FIELD_THRESHOLD), 1);
+        const t2 = t * t;
+        let r, g, b;
+        if (uniform) {
+          r = outer[0] + (inner[0] - outer[0]) * t2;
+          g = outer[1] + (inner[1] - outer[1]) * t2;
+          b = outer[2] + (inner[2] - outer[2]) * t2;
+        } else {
+          const shade = (OUTER_SHADE + (1 - OUTER_SHADE) * t2) / v;
+          r = colors[3 * cell] * shade;
+          g = colors[3 * cell + 1] * shade;
+          b = colors[3 * cell + 2] * shade;
+        }
+
+        // Surface normal from the alpha gradient: d(alpha) = exp(-v) dv
+        const left = x > 0 ? cell - 1 : cell;
+        const right = x < width - 1 ? cell + 1 : cell;
+        const nx = -(values[right] - values[left]) * fade * relief;
+        const ny = -(values[down + x] - values[up + x]) * fade * relief;
+        const len = Math.sqrt(nx * nx + ny * ny + 1);
+        const diffuse = (nx * LIGHT[0] + ny * LIGHT[1] + LIGHT[2]) / len;
+        const facing = Math.max(0, (nx * HALF[0] + ny * HALF[1] + HALF[2]) / len);
+
+        // Flat water keeps the plain ramp colour; slopes turned to the light
+        // brighten, slopes turned away darken
+        const lit = Math.max(0, 1 + DIFFUSE * (diffuse - flatLight));
+        const highlight = GLOW + SPECULAR * Math.max(0, shine(facing) - flatSpec);
+        r = Math.min(255, r * lit);
+        g = Math.min(255, g * lit);
+        b = Math.min(255, b * lit);
+        // Screen the glow over the colour
+        data[j] = r + gr * highlight * (1 - r / 255);
+        data[j + 1] = g + gg * highlight * (1 - g / 255);
+        data[j + 2] = b + gb * highlight * (1 - b / 255);
+        data[j + 3] = 180 + 75 * t;
+      }
+    }
+  }
+}
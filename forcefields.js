@@ -0,0 +1,63 @@
+// ============================================================
+// Force Fields - what a hand, mouse or pointer does to the water
+// ============================================================
+// Each entry passed to SPHSimulation.setHandForces() is a field:
+//   { type, x, y, vx, vy, radius, strength, drag, falloff, spin, angle }
+// Only x and y are required; the rest default per type (FORCE_TYPES).
+// Within `radius` px of (x, y) a particle feels strength * falloff(q),
+// where q runs from 1 at the centre to 0 at the edge, in the type's
+// direction. `drag` pulls particles toward the field's velocity (vx, vy).
+
+// Falloff curves over q = 1 - distance / radius
+export const FALLOFFS = {
+  constant: () => 1,
+  linear: (q) => q,
+  quadratic: (q) => q * q,
+  smooth: (q) => q * q * (3 - 2 * q),
+  hump: (q) => 4 * q * (1 - q),  // zero at the centre, so attracted water gathers instead of collapsing
+};
+
+// Field types and their defaults:
+//   repulse - pushes water away from the centre
+//   attract - pulls water toward the centre
+//   vortex  - swirls water around the centre; spin +1 is clockwise on
+//             screen, -1 counter-clockwise
+//   jet     - blows water along `angle` (radians, y down, like emitters)
+//   impulse - one-shot radial kick: changes velocities by strength px/s
+//             (times the falloff) on the next step, then expires. A
+//             negative strength implodes.
+export const FORCE_TYPES = {
+  repulse: { strength: 8000, drag: 3000, falloff: 'quadratic' },
+  attract: { strength: 8000, drag: 3000, falloff: 'hump' },
+  vortex: { strength: 8000, drag: 0, falloff: 'linear' },
+  jet: { strength: 12000, drag: 0, falloff: 'smooth' },
+  impulse: { strength: 600, drag: 0, falloff: 'linear' },
+};
+
+const DEFAULT_RADIUS = 80;
+
+// Fills in the type's defaults. Throws for unknown types or falloffs.
+export function normalizeForce(force) {
+  const type = force.type || 'repulse';
+  const defaults = FORCE_TYPES[type];
+  if (!defaults) throw new RangeError(`Unknown force type: ${type}`);
+  const falloff = force.falloff || defaults.falloff;
+  if (!FALLOFFS[falloff]) throw new RangeError(`Unknown force falloff: ${falloff}`);
+  const angle = force.angle ?? -Math.PI / 2;
+
+  return {
+    type,
+    x: force.x,
+    y: force.y,
+    vx: force.vx || 0,
+    vy: force.vy || 0,
+    radius: force.radius || DEFAULT_RADIUS,
+    strength: force.strength ?? defaults.strength,
+    drag: force.drag ?? defaults.drag,
+    falloff,
+    spin: force.spin || 1,
+    angle,
+    dirX: Math.cos(angle),
+    dirY: Math.sin(angle),
+  };
+}
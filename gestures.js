@@ -0,0 +1,117 @@
+// ============================================================
+// Hand Gesture Recognition from MediaPipe Landmarks
+// ============================================================
+// Classifies each hand's 21 landmarks as an open palm, a fist, a pinch or
+// a pointing finger; two open hands together make a two-hand spread. The
+// tests only compare distances measured from the wrist, so they do not
+// depend on how the hand is turned. HandTracker maps each gesture to an
+// action (see GESTURE_ACTIONS) and builds its forces from that.
+//
+// Landmark indices: 0 wrist; thumb 1-4; index 5-8; middle 9-12;
+// ring 13-16; pinky 17-20 (knuckle, two joints, tip for each finger).
+
+export const GESTURES = ['open', 'fist', 'pinch', 'point', 'spread', 'none'];
+
+// What a hand does to the water:
+//   push   - palm and fingertips push water away and drag it along
+//   grab   - the palm pulls water (and any body under it) with the hand
+//   spawn  - water appears at the pinch point
+//   cut    - a thin blade along the index finger slices through the water
+//   vortex - water swirls around the hand, or between two spread hands
+//   none   - the hand is ignored
+export const HAND_ACTIONS = ['push', 'grab', 'spawn', 'cut', 'vortex', 'none'];
+
+// Default gesture -> action mapping. Unrecognised hands keep pushing.
+export const GESTURE_ACTIONS = {
+  open: 'push',
+  fist: 'grab',
+  pinch: 'spawn',
+  point: 'cut',
+  spread: 'vortex',
+  none: 'push',
+};
+
+// A finger counts as extended when its tip is this much farther from the
+// wrist than its middle joint; folded fingers curl the tip back inside
+const EXTENDED_RATIO = 1.15;
+// Thumb and index tips closer than this fraction of the palm length pinch
+const PINCH_RATIO = 0.3;
+// Frames a new gesture must hold before it replaces the current one
+const GESTURE_HOLD_FRAMES = 3;
+
+// [middle joint, tip] of index, middle, ring and pinky
+const FINGERS = [[6, 8], [10, 12], [14, 16], [18, 20]];
+
+// Checks a gesture -> action mapping, filling gaps from the defaults
+export function validateGestureActions(actions = {}) {
+  for (const [gesture, action] of Object.entries(actions)) {
+    if (!GESTURES.includes(gesture)) throw new RangeError(`Unknown gesture: ${gesture}`);
+    if (!HAND_ACTIONS.includes(action)) {
+      throw new RangeError(`Unknown hand action for ${gesture}: ${action}`);
+    }
+  }
+  return { ...GESTURE_ACTIONS, ...actions };
+}
+
+// Classifies one hand. `aspect` is the camera's width / height: landmarks
+// are normalized per axis, so x is stretched back before measuring.
+export function classifyHand(hand, aspect = 1) {
+  if (!hand || hand.length < 21) return 'none';
+  const dist = (a, b) => Math.hypot((hand[a].x - hand[b].x) * aspect, hand[a].y - hand[b].y);
+
+  const palm = dist(0, 9);
+  if (palm === 0) return 'none';
+  const extended = FINGERS.map(([joint, tip]) => dist(0, tip) > dist(0, joint) * EXTENDED_RATIO);
+  const [index, middle, ring, pinky] = extended;
+
+  if (!index && !middle && !ring && !pinky) return 'fist';
+  if (dist(4, 8) < palm * PINCH_RATIO) return 'pinch';
+  if (index && !middle && !ring && !pinky) return 'point';
+  if (index && middle && ring && pinky) return 'open';
+  return 'none';
+}
+
+// Classifies every hand; two open hands together become a spread
+export function classifyHands(hands, aspect = 1) {
+  const gestures = hands.map((hand) => classifyHand(hand, aspect));
+  if (gestures.length === 2 && gestures[0] === 'open' && gestures[1] === 'open') {
+    return ['spread', 'spread'];
+  }
+  return gestures;
+}
+
+// Debounces per-hand gestures so a single misread frame does not flip the
+// action: a new gesture takes over after GESTURE_HOLD_FRAMES frames in a
+// row. Hands are told apart by `ids` (by default their position in the
+// list); hands missing from an update are forgotten.
+export class GestureStabilizer {
+  constructor(holdFrames = GESTURE_HOLD_FRAMES) {
+    this.holdFrames = holdFrames;
+    this.tracks = new Map();  // id -> { gesture, candidate, frames }
+  }
+
+  update(gestures, ids = gestures.map((g, i) => i)) {
+    const tracks = new Map();
+    const stable = gestures.map((gesture, i) => {
+      let track = this.tracks.get(ids[i]);
+      if (!track) {
+        track = { gesture, candidate: gesture, frames: 0 };
+      } else if (gesture === track.gesture) {
+        track.candidate = gesture;
+        track.frames = 0;
+      } else {
+        track.frames = gesture === track.candidate ? track.frames + 1 : 1;
+        track.candidate = gesture;
+        if (track.frames >= this.holdFrames) track.gesture = gesture;
+      }
+      tracks.set(ids[i], track);
+      return track.gesture;
+    });
+    this.tracks = tracks;
+    return stable;
+  }
+
+  reset() {
+    this.tracks.clear();
+  }
+}
@@ -0,0 +1,119 @@
+// ============================================================
+// Gravity Control - dial, arrow keys, device tilt and shake
+// ============================================================
+// Gravity as an angle and a magnitude: the angle is measured on screen like
+// Math.atan2 with y down, so 90 degrees points straight down. TiltInput
+// turns DeviceOrientationEvent angles into a gravity vector and
+// DeviceMotionEvent accelerations into shake kicks. It takes plain numbers,
+// so it runs without a DOM.
+
+export const DEFAULT_GRAVITY = 400;  // px/s², straight down
+export const MAX_GRAVITY = 2000;
+// Degrees an arrow key turns gravity towards its direction
+export const NUDGE_DEGREES = 15;
+
+// Where each arrow key points gravity (degrees)
+const ARROW_ANGLES = { ArrowRight: 0, ArrowDown: 90, ArrowLeft: 180, ArrowUp: 270 };
+
+// Extra gravity per unit of tilt away from the calibrated pose, as a
+// fraction of the set magnitude (about 1 at 40 degrees)
+const TILT_GAIN = 1.5;
+// Device acceleration (m/s², without gravity) that counts as a shake, how
+// much velocity (px/s per m/s²) it gives the water and how often (s)
+const SHAKE_THRESHOLD = 12;
+const SHAKE_GAIN = 20;
+const SHAKE_COOLDOWN = 0.25;
+const MAX_KICK = 800;
+
+const DEG = Math.PI / 180;
+
+// (x, y) rotated by `degrees` clockwise on screen
+function rotate(x, y, degrees) {
+  const c = Math.cos(degrees * DEG);
+  const s = Math.sin(degrees * DEG);
+  return { x: x * c - y * s, y: x * s + y * c };
+}
+
+// (x, y) shortened to at most `max` long
+function clampLength(x, y, max) {
+  const length = Math.hypot(x, y);
+  const scale = length > max ? max / length : 1;
+  return { x: x * scale, y: y * scale };
+}
+
+export function gravityFromPolar(angle, magnitude) {
+  if (!Number.isFinite(angle)) throw new RangeError(`Gravity angle must be finite: ${angle}`);
+  if (!(magnitude >= 0 && magnitude <= MAX_GRAVITY)) {
+    throw new RangeError(`Gravity magnitude must be between 0 and ${MAX_GRAVITY}: ${magnitude}`);
+  }
+  return { x: Math.cos(angle * DEG) * magnitude, y: Math.sin(angle * DEG) * magnitude };
+}
+
+// { angle, magnitude } of a gravity vector, angle in [0, 360)
+export function gravityToPolar({ x, y }) {
+  const angle = Math.atan2(y, x) / DEG;
+  return { angle: angle < 0 ? angle + 360 : angle, magnitude: Math.hypot(x, y) };
+}
+
+// The gravity angle after pressing arrow key `key`: turned towards the
+// arrow by up to NUDGE_DEGREES. null for other keys.
+export function nudgeAngle(angle, key) {
+  if (!(key in ARROW_ANGLES)) return null;
+  // Signed difference in (-180, 180]
+  const diff = ((ARROW_ANGLES[key] - angle) % 360 + 540) % 360 - 180;
+  const turned = angle + Math.sign(diff) * Math.min(Math.abs(diff), NUDGE_DEGREES);
+  return (turned % 360 + 360) % 360;
+}
+
+export class TiltInput {
+  constructor() {
+    this.tilt = null;     // in-plane gravity (units of g) from the last reading
+    this.rest = null;     // the same at calibration
+    this.lastShake = -Infinity;
+  }
+
+  hasReading() {
+    return this.tilt !== null;
+  }
+
+  // DeviceOrientationEvent beta and gamma (degrees) with the screen turned
+  // `screenAngle` degrees (screen.orientation.angle). The first reading
+  // calibrates.
+  orientation(beta, gamma, screenAngle = 0) {
+    if (!Number.isFinite(beta) || !Number.isFinite(gamma)) return;
+    // Gravity projected onto the screen, device axes with y down
+    const x = Math.cos(beta * DEG) * Math.sin(gamma * DEG);
+    const y = Math.sin(beta * DEG);
+    this.tilt = rotate(x, y, -screenAngle);
+    if (!this.rest) this.calibrate();
+  }
+
+  // Takes the current pose as level: gravity goes back to the dial's
+  calibrate() {
+    this.rest = this.tilt ? { ...this.tilt } : null;
+  }
+
+  // `base` (the dial's gravity) plus the tilt since calibration, at most
+  // MAX_GRAVITY long
+  gravity(base) {
+    if (!this.tilt || !this.rest) return { x: base.x, y: base.y };
+    const magnitude = Math.hypot(base.x, base.y);
+    const gain = TILT_GAIN * magnitude;
+    return clampLength(
+      base.x + (this.tilt.x - this.rest.x) * gain,
+      base.y + (this.tilt.y - this.rest.y) * gain,
+      MAX_GRAVITY,
+    );
+  }
+
+  // DeviceMotionEvent acceleration (m/s², device x right, y up) at `time`
+  // seconds. Returns the velocity kick (px/s) for the water on a shake,
+  // else null. The water lags the device, so it moves the other way.
+  motion(ax, ay, screenAngle = 0, time = 0) {
+    if (!Number.isFinite(ax) || !Number.isFinite(ay)) return null;
+    if (Math.hypot(ax, ay) < SHAKE_THRESHOLD || time - this.lastShake < SHAKE_COOLDOWN) return null;
+    this.lastShake = time;
+    const kick = rotate(-ax * SHAKE_GAIN, ay * SHAKE_GAIN, -screenAngle);
+    return clampLength(kick.x, kick.y, MAX_KICK);
+  }
+}
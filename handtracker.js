@@ -2,59 +2,379 @@
 // MediaPipe Hands Integration for Hand Tracking
 // ============================================================
 
-export class HandTracker {
-  constructor() {
-    this.hands = null;
-    this.camera = null;
-    this.landmarks = [];   // normalized [0..1] landmarks per hand
+import {
+  GestureStabilizer, classifyHands, validateGestureActions,
+} from './gestures.js';
+import { HandTrackSet } from './handtracks.js';
+import { FORCE_TYPES } from './forcefields.js';
+
+// Landmarks that exert force for the point-based actions, with their
+// reach (px) and how much of their velocity they drag the water with
+const ACTION_POINTS = {
+  push: [
+    { idx: 9, radius: 70, weight: 1.0 },    // palm center (middle finger base)
+    { idx: 8, radius: 40, weight: 0.7 },     // index fingertip
+    { idx: 12, radius: 40, weight: 0.6 },    // middle fingertip
+    { idx: 4, radius: 35, weight: 0.5 },     // thumb tip
+    { idx: 20, radius: 35, weight: 0.4 },    // pinky tip
+  ],
+  grab: [
+    { idx: 9, radius: 90, weight: 1.0 },     // palm center
+  ],
+  cut: [
+    { idx: 6, radius: 16, weight: 1.0 },     // index finger, joint to tip
+    { idx: 7, radius: 16, weight: 1.0 },
+    { idx: 8, radius: 18, weight: 1.0 },
+  ],
+};
+
+// Reach of a one-hand vortex, and the least reach of a two-hand one (px)
+const VORTEX_RADIUS = 110;
+// Turn (radians per tracking frame) that sets a two-hand vortex's spin
+const SPIN_DEADBAND = 0.01;
+
+// Common part of every hand input provider (see inputs.js): turns
+// MediaPipe-style results into tracked hands, gestures and forces.
+// Providers feed it through onResults(), either from their own callbacks
+// (the camera) or from update(), which the app calls every frame.
+export class HandInput {
+  // options.gestureActions overrides parts of the gesture -> action mapping;
+  // options.filter (see handtracks.js FILTER_DEFAULTS) and options.graceMs
+  // tune the landmark filtering and how long a lost hand keeps acting
+  constructor(options = {}) {
+    this.landmarks = [];   // filtered normalized [0..1] landmarks per tracked hand
     this.handForces = [];  // computed forces for simulation
-    this.prevPositions = new Map(); // for velocity tracking
     this.ready = false;
-    this.videoElement = null;
+    this.landmarkRecorder = null;  // inputs.js LandmarkRecorder, if recording
     this.canvasWidth = 0;
     this.canvasHeight = 0;
+    this.radiusScale = 1;  // multiplies the interaction radius of every point
+
+    this.gestureActions = validateGestureActions(options.gestureActions);
+    this.trackSet = new HandTrackSet({ filter: options.filter, graceMs: options.graceMs });
+    this.stabilizer = new GestureStabilizer();
+    this.gestures = [];     // { gesture, action, fade } per hand
+    this.spawnPoints = [];  // pinch points asking for water
+    this.spreadAngle = null; // last angle between two spread hands
+    this.spreadSpin = 1;
   }
 
+  // Starts the input for a canvas of the given size. `videoElement` is
+  // only used by the camera.
   async init(videoElement, canvasWidth, canvasHeight) {
-    this.videoElement = videoElement;
-    this.canvasWidth = canvasWidth;
-    this.canvasHeight = canvasHeight;
+    this.resize(canvasWidth, canvasHeight);
+    this.ready = true;
+  }
 
-    // Load MediaPipe Hands via CDN
-    const { Hands } = await this.loadMediaPipe();
+  // Called once per animation frame with performance.now()
+  update(now) {}
 
-    this.hands = new Hands({
-      locateFile: (file) =>
-        `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
-    });
+  // Releases whatever the input holds (camera, timers) when it is replaced
+  stop() {
+    this.ready = false;
+  }
 
-    this.hands.setOptions({
-      maxNumHands: 2,
-      modelComplexity: 1,
-      minDetectionConfidence: 0.6,
-      minTrackingConfidence: 0.5,
-    });
+  // Takes one frame of MediaPipe Hands results ({ multiHandLandmarks,
+  // multiHandedness }); `now` is in ms
+  onResults(results, now = performance.now()) {
+    if (this.landmarkRecorder) this.landmarkRecorder.add(results, now);
+    const tracks = this.trackSet.update(
+      results.multiHandLandmarks || [], results.multiHandedness || [], now,
+    );
+    this.landmarks = tracks.map((track) => track.landmarks);
+    this.computeHandForces(tracks);
+  }
 
-    this.hands.onResults((results) => this.onResults(results));
+  resize(width, height) {
+    this.canvasWidth = width;
+    this.canvasHeight = height;
+  }
+
+  // Builds the force list from each tracked hand's gesture and the action
+  // it is mapped to (see gestures.js). Hands that were just lost keep
+  // acting with their fading strength.
+  computeHandForces(tracks) {
+    const forces = [];
+    const spawnPoints = [];
 
-    // Start webcam
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { facingMode: 'user', width: 1280, height: 720 },
+    // Lost hands keep the gesture they had; only seen ones are classified
+    const visible = tracks.filter((t) => t.visible);
+    const seen = classifyHands(visible.map((t) => t.landmarks), this.trackSet.aspect);
+    const raw = tracks.map((t) => {
+      if (t.visible) return seen[visible.indexOf(t)];
+      const last = this.stabilizer.tracks.get(t.id);
+      return last ? last.gesture : 'none';
     });
-    videoElement.srcObject = stream;
-    await videoElement.play();
+    const gestures = this.stabilizer.update(raw, tracks.map((t) => t.id));
+    this.gestures = gestures.map((gesture, i) => ({
+      gesture, action: this.gestureActions[gesture], fade: tracks[i].fade,
+    }));
+
+    if (gestures.filter((g) => g === 'spread').length !== 2) this.spreadAngle = null;
+    let pairDone = false;
+
+    for (let hi = 0; hi < tracks.length; hi++) {
+      const track = tracks[hi];
+      const { gesture, action } = this.gestures[hi];
+
+      if (action === 'spawn') {
+        // Midway between the pinching thumb and index tips, while seen
+        const a = this.trackPoint(track, 4);
+        const b = this.trackPoint(track, 8);
+        if (track.visible && a && b) {
+          spawnPoints.push({
+            x: (a.x + b.x) / 2, y: (a.y + b.y) / 2,
+            vx: (a.vx + b.vx) / 2, vy: (a.vy + b.vy) / 2,
+          });
+        }
+      } else if (action === 'vortex') {
+        // A spread pair makes one vortex between the palms
+        let vortex;
+        if (gesture === 'spread') {
+          if (pairDone) continue;
+          pairDone = true;
+          const pair = tracks.filter((t, i) => gestures[i] === 'spread');
+          vortex = pair.length === 2 ? this.pairVortex(pair[0], pair[1]) : null;
+        } else {
+          vortex = this.trackPoint(track, 9);
+        }
+        if (vortex) {
+          forces.push({
+            x: vortex.x, y: vortex.y, vx: 0, vy: 0,
+            radius: (vortex.radius || VORTEX_RADIUS) * this.radiusScale,
+            type: 'vortex', spin: vortex.spin || 1,
+            strength: FORCE_TYPES.vortex.strength * (vortex.fade ?? track.fade),
+          });
+        }
+      } else if (action !== 'none') {
+        const type = action === 'grab' ? 'attract' : 'repulse';
+        for (const point of ACTION_POINTS[action]) {
+          const p = this.trackPoint(track, point.idx);
+          if (!p) continue;
+          forces.push({
+            x: p.x, y: p.y,
+            vx: p.vx * point.weight,
+            vy: p.vy * point.weight,
+            radius: point.radius * this.radiusScale,
+            type,
+            strength: FORCE_TYPES[type].strength * track.fade,
+            drag: FORCE_TYPES[type].drag * track.fade,
+          });
+        }
+      }
+    }
+
+    this.handForces = forces;
+    this.spawnPoints = spawnPoints;
+  }
+
+  // Canvas position and velocity (px, px/s) of landmark `idx` of a track,
+  // or null if the landmark is missing
+  trackPoint(track, idx) {
+    const lm = track.landmarks[idx];
+    if (!lm) return null;
+
+    // MediaPipe gives normalized coords (0-1), mirrored
+    // We mirror x since webcam is mirrored
+    return {
+      x: (1.0 - lm.x) * this.canvasWidth,
+      y: lm.y * this.canvasHeight,
+      vx: -track.velocities[2 * idx] * this.canvasWidth,
+      vy: track.velocities[2 * idx + 1] * this.canvasHeight,
+    };
+  }
+
+  // Vortex centred between two palms, reaching just past both. It spins
+  // the way the hands turn around each other and keeps its last direction
+  // while they hold still.
+  pairVortex(first, second) {
+    const a = this.trackPoint(first, 9);
+    const b = this.trackPoint(second, 9);
+    if (!a || !b) return null;
+
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    if (this.spreadAngle !== null) {
+      // Wrap to (-pi, pi] so crossing the +-pi seam is a small turn
+      const turn = Math.atan2(Math.sin(angle - this.spreadAngle), Math.cos(angle - this.spreadAngle));
+      if (Math.abs(turn) > SPIN_DEADBAND) this.spreadSpin = Math.sign(turn);
+    }
+    this.spreadAngle = angle;
+
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      radius: Math.max(VORTEX_RADIUS, Math.hypot(b.x - a.x, b.y - a.y) / 2 + 40),
+      spin: this.spreadSpin,
+      fade: Math.min(first.fade, second.fade),
+    };
+  }
+
+  // Replaces the gesture -> action mapping; gestures left out keep their
+  // default action (see gestures.js GESTURE_ACTIONS)
+  setGestureActions(actions) {
+    this.gestureActions = validateGestureActions(actions);
+  }
+
+  getGestureActions() {
+    return { ...this.gestureActions };
+  }
+
+  // [{ gesture, action, fade }] for each hand in getLandmarks(); fade drops
+  // from 1 to 0 while a lost hand's grace period runs out
+  getGestures() {
+    return this.gestures;
+  }
+
+  // Where pinching hands are asking for water: [{ x, y, vx, vy }] in canvas px
+  getSpawnPoints() {
+    return this.spawnPoints;
+  }
+
+  getHandForces() {
+    return this.handForces;
+  }
+
+  getLandmarks() {
+    return this.landmarks;
+  }
+
+  isReady() {
+    return this.ready;
+  }
+}
+
+// Where MediaPipe Hands comes from and how it and the camera run. For
+// installations without internet, copy the @mediapipe/hands package files
+// (hands.js, the .wasm/.data files and the .tflite/.binarypb models) next
+// to the app and point assetBase at that folder, e.g. 'vendor/mediapipe/hands/'.
+export const TRACKER_DEFAULTS = {
+  assetBase: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/',
+  maxNumHands: 2,
+  modelComplexity: 1,         // 0 = lite (faster), 1 = full
+  minDetectionConfidence: 0.6,
+  minTrackingConfidence: 0.5,
+  cameraWidth: 1280,
+  cameraHeight: 720,
+  deviceId: null,             // a specific camera; null = the front camera
+};
+
+// Why the camera input could not start, for HandTrackerError.code
+export const TRACKER_ERRORS = {
+  'script-load': 'The hand tracking script could not be loaded',
+  'model-load': 'The hand tracking model could not be loaded',
+  'no-camera-api': 'This browser gives no camera access (it needs https or localhost)',
+  'camera-denied': 'Camera access was denied',
+  'camera-missing': 'No matching camera was found',
+  'camera-busy': 'The camera is in use by another application',
+  'camera-failed': 'The camera could not be started',
+};
 
+export class HandTrackerError extends Error {
+  constructor(code, detail, cause) {
+    super(detail ? `${TRACKER_ERRORS[code]}: ${detail}` : TRACKER_ERRORS[code]);
+    this.name = 'HandTrackerError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+// Checks tracker options and fills in TRACKER_DEFAULTS
+export function validateTrackerOptions(options = {}) {
+  const config = { ...TRACKER_DEFAULTS };
+  for (const key of Object.keys(TRACKER_DEFAULTS)) {
+    if (options[key] !== undefined) config[key] = options[key];
+  }
+  const { maxNumHands, modelComplexity, minDetectionConfidence, minTrackingConfidence } = config;
+  if (!Number.isInteger(maxNumHands) || maxNumHands < 1 || maxNumHands > 8) {
+    throw new RangeError(`maxNumHands must be an integer from 1 to 8, got ${maxNumHands}`);
+  }
+  if (modelComplexity !== 0 && modelComplexity !== 1) {
+    throw new RangeError(`modelComplexity must be 0 or 1, got ${modelComplexity}`);
+  }
+  for (const [key, value] of Object.entries({ minDetectionConfidence, minTrackingConfidence })) {
+    if (!(value >= 0 && value <= 1)) throw new RangeError(`${key} must be from 0 to 1, got ${value}`);
+  }
+  for (const key of ['cameraWidth', 'cameraHeight']) {
+    if (!Number.isInteger(config[key]) || config[key] <= 0) {
+      throw new RangeError(`${key} must be a positive integer, got ${config[key]}`);
+    }
+  }
+  if (typeof config.assetBase !== 'string' || config.assetBase === '') {
+    throw new TypeError('assetBase must be a URL or path');
+  }
+  if (!config.assetBase.endsWith('/')) config.assetBase += '/';
+  return config;
+}
+
+// Live hands from the webcam through MediaPipe Hands
+export class HandTracker extends HandInput {
+  // Takes the HandInput options plus any of TRACKER_DEFAULTS
+  constructor(options = {}) {
+    super(options);
+    this.config = validateTrackerOptions(options);
+    this.hands = null;
+    this.videoElement = null;
+    this.status = 'idle';  // idle, loading, starting-camera, ready or error
+    this.error = null;     // HandTrackerError once status is 'error'
+  }
+
+  async init(videoElement, canvasWidth, canvasHeight) {
+    this.videoElement = videoElement;
+    this.resize(canvasWidth, canvasHeight);
+
+    try {
+      this.status = 'loading';
+      await this.loadMediaPipe();
+
+      this.status = 'starting-camera';
+      try {
+        await this.startCamera(this.config.deviceId);
+      } catch (err) {
+        // A remembered camera may be gone; fall back to the front camera
+        if (!this.config.deviceId || err.code !== 'camera-missing') throw err;
+        await this.startCamera(null);
+      }
+    } catch (err) {
+      this.status = 'error';
+      this.error = err instanceof HandTrackerError ? err : new HandTrackerError('camera-failed', err.message, err);
+      throw this.error;
+    }
+
+    this.status = 'ready';
     this.ready = true;
     this.startProcessing();
   }
 
   async loadMediaPipe() {
-    // Dynamically load MediaPipe scripts
-    await this.loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js');
-    await this.loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js');
+    const { assetBase } = this.config;
+    const src = `${assetBase}hands.js`;
+    try {
+      await this.loadScript(src);
+    } catch (err) {
+      throw new HandTrackerError('script-load', src, err);
+    }
+    if (typeof window.Hands !== 'function') {
+      throw new HandTrackerError('script-load', `${src} did not define Hands`);
+    }
 
-    // Access globals set by the scripts
-    return { Hands: window.Hands };
+    this.hands = new window.Hands({
+      locateFile: (file) => `${assetBase}${file}`,
+    });
+    this.hands.setOptions({
+      maxNumHands: this.config.maxNumHands,
+      modelComplexity: this.config.modelComplexity,
+      minDetectionConfidence: this.config.minDetectionConfidence,
+      minTrackingConfidence: this.config.minTrackingConfidence,
+    });
+    this.hands.onResults((results) => this.onResults(results));
+
+    // Fetches the wasm runtime and the model now, so a missing file shows
+    // up here rather than as a silent first frame
+    try {
+      await this.hands.initialize();
+    } catch (err) {
+      throw new HandTrackerError('model-load', `from ${assetBase} (${err.message || err})`, err);
+    }
   }
 
   loadScript(src) {
@@ -67,101 +387,93 @@ export class HandTracker {
       script.src = src;
       script.crossOrigin = 'anonymous';
       script.onload = resolve;
-      script.onerror = reject;
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
       document.head.appendChild(script);
     });
   }
 
-  startProcessing() {
-    const processFrame = async () => {
-      if (this.videoElement && this.videoElement.readyState >= 2) {
-        await this.hands.send({ image: this.videoElement });
-      }
-      requestAnimationFrame(processFrame);
+  // Opens the camera (a deviceId, or the front camera for null) and shows
+  // it in the video element, replacing any camera already running
+  async startCamera(deviceId = null) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new HandTrackerError('no-camera-api');
+    }
+    const { cameraWidth, cameraHeight } = this.config;
+    const video = {
+      width: { ideal: cameraWidth },
+      height: { ideal: cameraHeight },
+      ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
     };
-    processFrame();
-  }
 
-  onResults(results) {
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      this.landmarks = results.multiHandLandmarks;
-      this.computeHandForces();
-    } else {
-      this.landmarks = [];
-      this.handForces = [];
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video });
+    } catch (err) {
+      const code = {
+        NotAllowedError: 'camera-denied',
+        SecurityError: 'camera-denied',
+        NotFoundError: 'camera-missing',
+        OverconstrainedError: 'camera-missing',
+        NotReadableError: 'camera-busy',
+      }[err.name] || 'camera-failed';
+      throw new HandTrackerError(code, err.message, err);
     }
-  }
 
-  resize(width, height) {
-    this.canvasWidth = width;
-    this.canvasHeight = height;
+    this.stopCamera();
+    this.videoElement.srcObject = stream;
+    await this.videoElement.play();
+    const [track] = stream.getVideoTracks();
+    this.config.deviceId = deviceId;
+    this.deviceId = track && track.getSettings ? track.getSettings().deviceId || null : null;
   }
 
-  computeHandForces() {
-    const forces = [];
-    const now = performance.now();
-    const w = this.canvasWidth;
-    const h = this.canvasHeight;
-
-    for (let hi = 0; hi < this.landmarks.length; hi++) {
-      const hand = this.landmarks[hi];
-
-      // Key interaction points: palm center, fingertips
-      const interactionPoints = [
-        { idx: 9, radius: 70, weight: 1.0 },    // palm center (middle finger base)
-        { idx: 8, radius: 40, weight: 0.7 },     // index fingertip
-        { idx: 12, radius: 40, weight: 0.6 },    // middle fingertip
-        { idx: 4, radius: 35, weight: 0.5 },     // thumb tip
-        { idx: 20, radius: 35, weight: 0.4 },    // pinky tip
-      ];
-
-      for (const point of interactionPoints) {
-        const lm = hand[point.idx];
-        if (!lm) continue;
-
-        // MediaPipe gives normalized coords (0-1), mirrored
-        // We mirror x since webcam is mirrored
-        const x = (1.0 - lm.x) * w;
-        const y = lm.y * h;
-
-        const key = `${hi}_${point.idx}`;
-        const prev = this.prevPositions.get(key);
-
-        let vx = 0, vy = 0;
-        if (prev) {
-          const dt = (now - prev.t) / 1000;
-          if (dt > 0 && dt < 0.2) {
-            vx = (x - prev.x) / dt;
-            vy = (y - prev.y) / dt;
-            // Smooth velocity
-            vx = prev.vx * 0.5 + vx * 0.5;
-            vy = prev.vy * 0.5 + vy * 0.5;
-          }
-        }
+  // Switches to another camera; on failure the current one keeps running
+  async switchCamera(deviceId) {
+    await this.startCamera(deviceId);
+    this.trackSet.clear();
+  }
 
-        this.prevPositions.set(key, { x, y, t: now, vx, vy });
+  // The cameras the browser offers: [{ deviceId, label }]. Labels are only
+  // filled in once camera access has been granted.
+  static async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === 'videoinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  }
 
-        forces.push({
-          x, y,
-          vx: vx * point.weight,
-          vy: vy * point.weight,
-          radius: point.radius,
-        });
+  startProcessing() {
+    const processFrame = async () => {
+      if (!this.ready) return;
+      if (this.videoElement && this.videoElement.readyState >= 2) {
+        await this.hands.send({ image: this.videoElement });
       }
-    }
-
-    this.handForces = forces;
+      requestAnimationFrame(processFrame);
+    };
+    processFrame();
   }
 
-  getHandForces() {
-    return this.handForces;
+  stop() {
+    super.stop();
+    this.stopCamera();
+    this.status = 'idle';
   }
 
-  getLandmarks() {
-    return this.landmarks;
+  stopCamera() {
+    const stream = this.videoElement && this.videoElement.srcObject;
+    if (stream) {
+      for (const track of stream.getTracks()) track.stop();
+      this.videoElement.srcObject = null;
+    }
   }
 
-  isReady() {
-    return this.ready;
+  onResults(results) {
+    const video = this.videoElement;
+    if (video && video.videoHeight > 0) this.trackSet.aspect = video.videoWidth / video.videoHeight;
+    super.onResults(results);
   }
 }
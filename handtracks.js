@@ -0,0 +1,163 @@
+// ============================================================
+// Hand Tracks - landmark filtering and stable hand identity
+// ============================================================
+// MediaPipe reports hands as a plain list whose order can change from frame
+// to frame, and a hand can vanish for a frame or two. HandTrackSet follows
+// each hand as a track with a stable id: detections are matched to tracks
+// by handedness and nearest palm. Every landmark coordinate runs through a
+// One Euro filter (Casiez et al. 2012), which smooths jitter when the hand
+// is slow and follows closely when it is fast. A track that loses its hand
+// holds still and fades out over a short grace period, then is removed.
+
+// Filter settings for normalized [0..1] coordinates: the cutoff (Hz) at
+// rest, how fast it rises with speed (per screen/s), and the cutoff used
+// to smooth the speed estimate
+export const FILTER_DEFAULTS = { minCutoff: 1.0, beta: 10, dCutoff: 1.0 };
+
+// How long (ms) a lost hand keeps acting, fading out, before it is dropped
+export const TRACK_GRACE_MS = 300;
+
+// Farthest (normalized, aspect-corrected) a palm may move between frames
+// and still count as the same hand
+const MATCH_DISTANCE = 0.25;
+
+const LANDMARK_COUNT = 21;
+const PALM = 9;
+
+function smoothingFactor(dt, cutoff) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+// One Euro filter for a single value; times are in seconds
+export class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff } = FILTER_DEFAULTS) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = 0;
+    this.speed = 0;     // smoothed rate of change of the raw input
+    this.velocity = 0;  // rate of change of the filtered output
+    this.time = null;
+  }
+
+  filter(value, time) {
+    if (this.time === null) {
+      this.value = value;
+      this.time = time;
+      return value;
+    }
+    const dt = time - this.time;
+    if (dt <= 0) return this.value;
+
+    this.speed += smoothingFactor(dt, this.dCutoff) * ((value - this.value) / dt - this.speed);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    const previous = this.value;
+    this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+    this.velocity = (this.value - previous) / dt;
+    this.time = time;
+    return this.value;
+  }
+}
+
+// One followed hand. `landmarks` are the filtered normalized landmarks and
+// `velocities` their x, y rates of change (per second), interleaved.
+class HandTrack {
+  constructor(id, handedness, filter) {
+    this.id = id;
+    this.handedness = handedness;
+    this.landmarks = [];
+    this.velocities = new Float32Array(LANDMARK_COUNT * 2);
+    this.filters = Array.from({ length: LANDMARK_COUNT * 2 }, () => new OneEuroFilter(filter));
+    this.lastSeen = 0;
+    this.visible = false;
+    this.fade = 1;  // 1 while seen, falling to 0 over the grace period
+  }
+
+  observe(landmarks, now) {
+    const t = now / 1000;
+    this.landmarks = landmarks.map((lm, i) => {
+      if (i >= LANDMARK_COUNT) return lm;
+      const fx = this.filters[2 * i];
+      const fy = this.filters[2 * i + 1];
+      const x = fx.filter(lm.x, t);
+      const y = fy.filter(lm.y, t);
+      this.velocities[2 * i] = fx.velocity;
+      this.velocities[2 * i + 1] = fy.velocity;
+      return { x, y, z: lm.z };
+    });
+    this.lastSeen = now;
+    this.visible = true;
+    this.fade = 1;
+  }
+}
+
+export class HandTrackSet {
+  // `filter` overrides parts of FILTER_DEFAULTS; `aspect` is the camera's
+  // width / height, used when measuring how far a palm moved
+  constructor({ filter = {}, graceMs = TRACK_GRACE_MS, aspect = 16 / 9 } = {}) {
+    this.filter = { ...FILTER_DEFAULTS, ...filter };
+    this.graceMs = graceMs;
+    this.aspect = aspect;
+    this.tracks = [];  // ordered by id, oldest first
+    this.nextId = 1;
+  }
+
+  // Feeds one frame of detections: `hands` are MediaPipe landmark lists and
+  // `handedness` the matching MediaPipe classifications ({ label }), if any.
+  // `now` is in ms.
+  update(hands, handedness = [], now = performance.now()) {
+    const unmatched = new Set(this.tracks);
+    const pairs = [];
+    hands.forEach((hand, h) => {
+      const label = handedness[h] ? handedness[h].label : null;
+      for (const track of this.tracks) {
+        if (label && track.handedness && label !== track.handedness) continue;
+        const d = this.palmDistance(hand, track.landmarks);
+        if (d < MATCH_DISTANCE) pairs.push({ h, track, d });
+      }
+    });
+
+    // Closest pairs first, each detection and track used once
+    pairs.sort((a, b) => a.d - b.d);
+    const assigned = new Array(hands.length).fill(null);
+    for (const { h, track } of pairs) {
+      if (assigned[h] || !unmatched.has(track)) continue;
+      assigned[h] = track;
+      unmatched.delete(track);
+    }
+
+    hands.forEach((hand, h) => {
+      let track = assigned[h];
+      if (!track) {
+        const label = handedness[h] ? handedness[h].label : null;
+        track = new HandTrack(this.nextId++, label, this.filter);
+        this.tracks.push(track);
+      }
+      track.observe(hand, now);
+    });
+
+    // Lost hands hold their last pose and fade out, then are dropped
+    for (const track of unmatched) {
+      track.visible = false;
+      track.fade = Math.max(0, 1 - (now - track.lastSeen) / this.graceMs);
+    }
+    this.tracks = this.tracks.filter((t) => t.visible || now - t.lastSeen < this.graceMs);
+    return this.tracks;
+  }
+
+  palmDistance(hand, landmarks) {
+    const a = hand[PALM];
+    const b = landmarks[PALM];
+    if (!a || !b) return Infinity;
+    return Math.hypot((a.x - b.x) * this.aspect, a.y - b.y);
+  }
+
+  clear() {
+    this.tracks = [];
+  }
+}
@@ -0,0 +1,214 @@
+// ============================================================
+// Hand Input Providers - camera, recorded landmarks, synthetic hands
+// ============================================================
+// Every provider has the HandInput interface (handtracker.js):
+//   init(videoElement, width, height)  async; rejects if the input is unusable
+//   update(now)                         once per animation frame
+//   resize(width, height)
+//   isReady()
+//   getHandForces(), getLandmarks(), getGestures(), getSpawnPoints()
+// The camera runs MediaPipe on the webcam. Playback replays a landmark
+// file recorded with LandmarkRecorder, and the synthetic hand follows a
+// scripted path, so hand interaction can be tried and tested without a
+// camera or network. All three go through the same gesture and force code.
+
+import { HandInput, HandTracker } from './handtracker.js';
+import { GESTURES } from './gestures.js';
+
+export const INPUT_KINDS = ['camera', 'playback', 'synthetic'];
+
+export const LANDMARKS_FORMAT = 'sph-landmarks';
+export const LANDMARKS_VERSION = 1;
+
+// -- Landmark files --
+
+// Collects MediaPipe results as a landmark file:
+//   { format, version, frames: [{ t, hands: [[{ x, y, z } x21]], handedness: [label] }] }
+// with t in ms from the first frame and coordinates rounded to 1/10000
+export class LandmarkRecorder {
+  constructor() {
+    this.frames = [];
+    this.start = null;
+  }
+
+  add(results, now) {
+    if (this.start === null) this.start = now;
+    const round = (v) => Math.round(v * 10000) / 10000;
+    this.frames.push({
+      t: Math.round(now - this.start),
+      hands: (results.multiHandLandmarks || []).map((hand) =>
+        hand.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z || 0) }))),
+      handedness: (results.multiHandedness || []).map((h) => h.label),
+    });
+  }
+
+  finish() {
+    return { format: LANDMARKS_FORMAT, version: LANDMARKS_VERSION, frames: this.frames };
+  }
+}
+
+// Checks a decoded landmark file; throws if this version cannot play it
+export function parseLandmarks(doc) {
+  if (!doc || doc.format !== LANDMARKS_FORMAT) throw new Error('Not a landmark recording');
+  if (doc.version !== LANDMARKS_VERSION) {
+    throw new Error(`Unsupported landmark recording version: ${doc.version}`);
+  }
+  if (!Array.isArray(doc.frames) || doc.frames.length === 0) {
+    throw new Error('Landmark recording has no frames');
+  }
+  for (let i = 1; i < doc.frames.length; i++) {
+    if (!(doc.frames[i].t >= doc.frames[i - 1].t)) {
+      throw new Error(`Landmark frame ${i} is out of time order`);
+    }
+  }
+  return doc;
+}
+
+// Replays a landmark file in real time, from a parsed document or a URL
+export class LandmarkPlayback extends HandInput {
+  // options.loop (default true) starts over at the end
+  constructor(source, options = {}) {
+    super(options);
+    this.source = source;
+    this.loop = options.loop ?? true;
+    this.recording = null;
+    this.startTime = null;
+    this.index = 0;
+  }
+
+  async init(videoElement, width, height) {
+    let doc = this.source;
+    if (typeof doc === 'string') {
+      const response = await fetch(doc);
+      if (!response.ok) throw new Error(`Could not load ${doc}: ${response.status}`);
+      doc = await response.json();
+    }
+    this.recording = parseLandmarks(doc);
+    await super.init(videoElement, width, height);
+  }
+
+  get done() {
+    return !this.loop && this.index >= this.recording.frames.length;
+  }
+
+  update(now) {
+    if (!this.recording || this.done) return;
+    const { frames } = this.recording;
+    if (this.startTime === null) this.startTime = now;
+
+    // Feed every frame that is due, so the filters see the recorded timing
+    const elapsed = now - this.startTime;
+    while (this.index < frames.length && frames[this.index].t <= elapsed) {
+      const frame = frames[this.index++];
+      this.onResults({
+        multiHandLandmarks: frame.hands,
+        multiHandedness: frame.handedness.map((label) => ({ label })),
+      }, this.startTime + frame.t);
+    }
+    if (this.index >= frames.length && this.loop) {
+      // Start over one frame gap after the last frame
+      const gap = frames.length > 1 ? frames[frames.length - 1].t - frames[frames.length - 2].t : 33;
+      this.startTime += frames[frames.length - 1].t + gap;
+      this.index = 0;
+    }
+  }
+}
+
+// -- Synthetic hands --
+
+// Paths over time for the synthetic hand, in screen space: (x, y) in 0..1
+// with x to the right, for a phase p that runs 0..1 once per period
+export const SYNTHETIC_PATHS = {
+  circle: (p) => ({ x: 0.5 + 0.25 * Math.cos(2 * Math.PI * p), y: 0.5 + 0.25 * Math.sin(2 * Math.PI * p) }),
+  figure8: (p) => ({ x: 0.5 + 0.3 * Math.sin(2 * Math.PI * p), y: 0.5 + 0.18 * Math.sin(4 * Math.PI * p) }),
+  sweep: (p) => ({ x: 0.15 + 0.7 * (0.5 - 0.5 * Math.cos(2 * Math.PI * p)), y: 0.65 }),
+  still: () => ({ x: 0.5, y: 0.5 }),
+};
+
+// Finger joint offsets along the finger, in palm lengths, for an extended
+// and a folded finger (knuckle, two joints, tip)
+const EXTENDED = [0, 0.5, 0.85, 1.15];
+const FOLDED = [0, 0.35, 0.1, -0.3];
+// Knuckles of index, middle, ring and pinky relative to the wrist, in palm
+// lengths with the fingers pointing along -y
+const KNUCKLES = [[-0.3, -0.97], [0, -1], [0.3, -0.97], [0.55, -0.85]];
+const THUMB = [[-0.4, -0.25], [-0.6, -0.5], [-0.75, -0.7], [-0.85, -0.9]];
+
+// Extended index, middle, ring and pinky per gesture
+const POSES = {
+  open: [true, true, true, true],
+  fist: [false, false, false, false],
+  point: [true, false, false, false],
+  pinch: [true, true, true, true],
+  none: [true, true, false, false],
+};
+
+// 21 MediaPipe landmarks (camera space, so x is mirrored) for a hand in
+// `gesture` with its palm centre at screen (x, y), a palm `size` in
+// normalized units and fingers pointing up
+export function poseLandmarks(gesture, x, y, size = 0.1) {
+  const fingers = POSES[gesture] || POSES.open;
+  const wrist = { x, y: y + size };
+  const points = [{ ...wrist }];
+  for (const [dx, dy] of THUMB) points.push({ x: wrist.x + dx * size, y: wrist.y + dy * size });
+  KNUCKLES.forEach(([kx, ky], f) => {
+    for (const along of fingers[f] ? EXTENDED : FOLDED) {
+      points.push({ x: wrist.x + kx * size, y: wrist.y + (ky - along) * size });
+    }
+  });
+  if (gesture === 'pinch') points[4] = { x: points[8].x + 0.05 * size, y: points[8].y + 0.05 * size };
+  return points.map((p) => ({ x: 1 - p.x, y: p.y, z: 0 }));
+}
+
+// A scripted hand (or two) for demos and tests without a camera.
+// options: path (SYNTHETIC_PATHS name or function of phase), period (s),
+// gesture (a gesture or a list cycled every gesturePeriod s), size (palm
+// length, normalized), hands (1, or 2 mirrored about the centre)
+export class SyntheticHand extends HandInput {
+  constructor(options = {}) {
+    super(options);
+    const path = options.path || 'figure8';
+    this.path = typeof path === 'function' ? path : SYNTHETIC_PATHS[path];
+    if (!this.path) throw new RangeError(`Unknown synthetic path: ${path}`);
+    this.gestureList = [].concat(options.gesture || 'open');
+    for (const g of this.gestureList) {
+      if (!GESTURES.includes(g) || g === 'spread') throw new RangeError(`Unknown synthetic gesture: ${g}`);
+    }
+    this.period = options.period || 6;
+    this.gesturePeriod = options.gesturePeriod || 4;
+    this.size = options.size || 0.08;
+    this.handCount = options.hands === 2 ? 2 : 1;
+    this.startTime = null;
+  }
+
+  // The hands' landmarks `t` seconds into the script
+  landmarksAt(t) {
+    const gesture = this.gestureList[Math.floor(t / this.gesturePeriod) % this.gestureList.length];
+    const { x, y } = this.path((t / this.period) % 1);
+    const hands = [poseLandmarks(gesture, x, y, this.size)];
+    if (this.handCount === 2) hands.push(poseLandmarks(gesture, 1 - x, y, this.size));
+    return { gesture, hands };
+  }
+
+  update(now) {
+    if (!this.ready) return;
+    if (this.startTime === null) this.startTime = now;
+    const { hands } = this.landmarksAt((now - this.startTime) / 1000);
+    this.onResults({
+      multiHandLandmarks: hands,
+      multiHandedness: hands.map((h, i) => ({ label: i === 0 ? 'Right' : 'Left' })),
+    }, now);
+  }
+}
+
+// Builds the provider named by `kind` (INPUT_KINDS). Playback takes
+// options.source, a landmark document or URL; the synthetic hand takes
+// the SyntheticHand options; all take the HandInput options.
+export function createHandInput(kind, options = {}) {
+  switch (kind) {
+    case 'camera': return new HandTracker(options);
+    case 'playback': return new LandmarkPlayback(options.source, options);
+    case 'synthetic': return new SyntheticHand(options);
+    default: throw new RangeError(`Unknown hand input: ${kind} (available: ${INPUT_KINDS.join(', ')})`);
+  }
+}
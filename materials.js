@@ -0,0 +1,40 @@
+// ============================================================
+// Fluid Materials for Multi-Phase Simulation
+// ============================================================
+// Density, viscosity and tension are multipliers on the simulation's base
+// parameters (particleMass / restDensity, viscosity and surfaceTension), so
+// the tuning panel scales every material together. Particles of materials
+// in the same mixGroup are miscible: with colorDiffusion on, their colors
+// blend where they touch. A material without a color is drawn with the
+// renderer's color scheme.
+
+export const MATERIALS = [
+  {
+    id: 0, name: 'Water', density: 1.0, viscosity: 1, tension: 1, mixGroup: 'water',
+    color: null,
+  },
+  {
+    id: 1, name: 'Oil', density: 0.8, viscosity: 3, tension: 0.6, mixGroup: 'oil',
+    color: { inner: [240, 200, 40], outer: [150, 110, 0], glow: [255, 240, 150] },
+  },
+  {
+    id: 2, name: 'Lava', density: 2.5, viscosity: 12, tension: 2, mixGroup: 'lava',
+    color: { inner: [255, 100, 20], outer: [180, 30, 0], glow: [255, 180, 60] },
+  },
+  {
+    id: 3, name: 'Ink', density: 1.0, viscosity: 1, tension: 1, mixGroup: 'water',
+    color: { inner: [220, 40, 160], outer: [120, 0, 90], glow: [255, 150, 220] },
+  },
+  {
+    id: 4, name: 'Honey', density: 1.4, viscosity: 25, tension: 1.5, mixGroup: 'water',
+    color: { inner: [240, 160, 30], outer: [160, 80, 0], glow: [255, 210, 120] },
+  },
+];
+
+export const MATERIAL_COUNT = MATERIALS.length;
+
+export function getMaterial(id) {
+  const material = MATERIALS[id];
+  if (!material) throw new RangeError(`Unknown material id: ${id}`);
+  return material;
+}
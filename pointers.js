@@ -0,0 +1,168 @@
+// ============================================================
+// Pointer Interaction - mouse, touch and pen forces
+// ============================================================
+// Every pointer that is down (each finger on a touch table, the mouse, a
+// pen) gets its own force field with its own velocity estimate. Pen
+// pressure scales the field's reach and strength. Two fingers together
+// form a gesture once they clearly pinch or turn: pinching pours water at
+// their midpoint and turning swirls a vortex there instead of their own
+// forces. Takes plain PointerEvent-like objects, so it runs without a DOM.
+
+import { FORCE_TYPES } from './forcefields.js';
+
+// Velocity change (px/s) at the centre of a click impulse
+export const POINTER_IMPULSE = 600;
+// Drag speed (px/s) above which a jet turns to follow the pointer
+const JET_STEER_SPEED = 30;
+// How far apart (px) or how far round (radians) two fingers must move
+// before they count as a pinch or a turn
+const PINCH_DISTANCE = 40;
+const TURN_ANGLE = 0.3;
+// Turn per move event (radians) that sets a two-finger vortex's spin
+const SPIN_DEADBAND = 0.005;
+
+// Which force field a press makes (see forcefields.js):
+//   left: repulse, shift+left: attract, alt+left: jet along the drag,
+//   right (or a pen's barrel button): vortex (shift: counter-clockwise),
+//   middle or ctrl+left: impulse (shift: implode)
+export function pointerFieldType(e) {
+  if (e.button === 1 || (e.button === 0 && e.ctrlKey)) return 'impulse';
+  if (e.button === 2) return 'vortex';
+  if (e.shiftKey) return 'attract';
+  if (e.altKey) return 'jet';
+  return 'repulse';
+}
+
+// Reach and strength multiplier for a pen pressing with `pressure` (0..1);
+// 0.5, what browsers report for a mouse button, gives 1
+function pressureScale(e) {
+  return e.pointerType === 'pen' ? 0.4 + 1.2 * e.pressure : 1;
+}
+
+export class PointerTracker {
+  constructor({ radius = 80 } = {}) {
+    this.radius = radius;      // reach of a pointer's force (px)
+    this.pointers = new Map(); // pointerId -> { force, x, y, t, touch }
+    this.impulses = [];        // one-shot fields, sent with the next frame
+    this.pair = null;          // two-finger gesture, see updatePair()
+  }
+
+  get active() {
+    return this.pointers.size > 0;
+  }
+
+  // `now` in ms
+  down(e, now) {
+    const type = pointerFieldType(e);
+    const scale = pressureScale(e);
+    if (type === 'impulse') {
+      this.impulses.push({
+        type, x: e.clientX, y: e.clientY, radius: this.radius * 1.5 * scale,
+        strength: (e.shiftKey ? -POINTER_IMPULSE : POINTER_IMPULSE) * scale,
+      });
+      return;
+    }
+
+    const force = { type, x: e.clientX, y: e.clientY, vx: 0, vy: 0 };
+    if (type === 'vortex') force.spin = e.shiftKey ? -1 : 1;
+    if (type === 'jet') force.angle = -Math.PI / 2;
+    this.applyPressure(force, scale);
+    this.pointers.set(e.pointerId, {
+      force, x: e.clientX, y: e.clientY, t: now, touch: e.pointerType === 'touch',
+    });
+    this.startPair();
+  }
+
+  move(e, now) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    const { force } = pointer;
+    const dt = (now - pointer.t) / 1000;
+    if (dt > 0) {
+      force.vx = force.vx * 0.5 + ((e.clientX - pointer.x) / dt) * 0.5;
+      force.vy = force.vy * 0.5 + ((e.clientY - pointer.y) / dt) * 0.5;
+    }
+    if (force.type === 'jet' && Math.hypot(force.vx, force.vy) > JET_STEER_SPEED) {
+      force.angle = Math.atan2(force.vy, force.vx);
+    }
+    if (e.pointerType === 'pen') this.applyPressure(force, pressureScale(e));
+    force.x = pointer.x = e.clientX;
+    force.y = pointer.y = e.clientY;
+    pointer.t = now;
+    if (this.pair) this.updatePair();
+  }
+
+  up(e) {
+    if (!this.pointers.delete(e.pointerId)) return;
+    this.startPair();
+  }
+
+  clear() {
+    this.pointers.clear();
+    this.pair = null;
+  }
+
+  applyPressure(force, scale) {
+    force.radius = this.radius * scale;
+    force.strength = FORCE_TYPES[force.type].strength * scale;
+  }
+
+  // A gesture pair exists while exactly two fingers touch
+  startPair() {
+    const touches = [...this.pointers.values()].filter((p) => p.touch);
+    if (touches.length !== 2 || this.pointers.size !== 2) {
+      this.pair = null;
+      return;
+    }
+    const [a, b] = touches;
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    this.pair = {
+      a, b, mode: null, spin: 1,
+      startDistance: Math.hypot(b.x - a.x, b.y - a.y),
+      startAngle: angle,
+      lastAngle: angle,
+    };
+  }
+
+  // Decides once whether the fingers pinch or turn, then follows the turn
+  updatePair() {
+    const pair = this.pair;
+    const { a, b } = pair;
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const wrap = (d) => Math.atan2(Math.sin(d), Math.cos(d));
+
+    if (!pair.mode) {
+      if (Math.abs(wrap(angle - pair.startAngle)) > TURN_ANGLE) pair.mode = 'turn';
+      else if (Math.abs(distance - pair.startDistance) > PINCH_DISTANCE) pair.mode = 'pinch';
+    }
+    // Screen y points down, so a growing angle turns clockwise (spin +1)
+    const turn = wrap(angle - pair.lastAngle);
+    if (Math.abs(turn) > SPIN_DEADBAND) pair.spin = Math.sign(turn);
+    pair.lastAngle = angle;
+  }
+
+  // Adds this frame's fields to `forces` and pinch points to `spawnPoints`
+  collect(forces, spawnPoints) {
+    const pair = this.pair && this.pair.mode ? this.pair : null;
+    for (const pointer of this.pointers.values()) {
+      if (pair && (pointer === pair.a || pointer === pair.b)) continue;
+      forces.push(pointer.force);
+    }
+    if (pair) {
+      const { a, b } = pair;
+      const x = (a.x + b.x) / 2;
+      const y = (a.y + b.y) / 2;
+      if (pair.mode === 'pinch') {
+        spawnPoints.push({ x, y, vx: 0, vy: 0 });
+      } else {
+        forces.push({
+          type: 'vortex', x, y, vx: 0, vy: 0, spin: pair.spin,
+          radius: Math.max(this.radius, Math.hypot(b.x - a.x, b.y - a.y) / 2 + 40),
+        });
+      }
+    }
+    for (const impulse of this.impulses) forces.push(impulse);
+    this.impulses = [];
+  }
+}
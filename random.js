@@ -0,0 +1,33 @@
+// ============================================================
+// Seeded Random Numbers for Reproducible Runs
+// ============================================================
+// mulberry32: a tiny 32-bit generator, plenty for particle jitter. The whole
+// state is one integer, so it can be saved and restored with a scene.
+
+export class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.setState(seed);
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    if (!Number.isInteger(state)) throw new TypeError(`Random state must be an integer, got ${state}`);
+    this.state = state | 0;
+  }
+}
+
+// A fresh seed for runs that do not ask for one
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) | 0;
+}
@@ -0,0 +1,151 @@
+// ============================================================
+// Input Recording and Replay
+// ============================================================
+// A recording holds the scene at the moment recording started plus, for
+// every frame, the frame time, the hand/mouse force list and the actions
+// (spawns, toggles, parameter changes...) that happened before it. The
+// solver and its seeded random source are deterministic, so replaying the
+// same inputs on the same start state reproduces the particles bit for bit.
+// A checksum of the final state lets a replay confirm that it did.
+
+import { parseScene } from './scene.js';
+
+export const RECORDING_FORMAT = 'sph-recording';
+export const RECORDING_VERSION = 1;
+
+// Simulation methods a recording may call, plus the 'gravity' toggle
+const REPLAYABLE = new Set([
+  'spawnBlob', 'spawnGrid', 'spawnPoints', 'reset', 'resize', 'setParams', 'setState',
+  'setGravity', 'addVelocity',
+  'addObstacle', 'removeObstacle', 'clearObstacles', 'setBoundaryParticles',
+  'addBody', 'removeBody', 'clearBodies',
+  'addEmitter', 'removeEmitter', 'clearEmitters', 'addDrain', 'removeDrain', 'clearDrains',
+]);
+
+// JSON.stringify replacer that keeps typed arrays exact
+function typedArrayReplacer(key, value) {
+  return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+// Plain-data copy of an action's arguments, the same form a file holds
+function cloneArgs(args) {
+  return JSON.parse(JSON.stringify(args, typedArrayReplacer));
+}
+
+export function applyAction(sim, { name, args }) {
+  if (name === 'gravity') {
+    sim.gravityEnabled = args[0];
+    return undefined;
+  }
+  if (!REPLAYABLE.has(name)) throw new Error(`Action ${name} cannot be replayed`);
+  return sim[name](...args);
+}
+
+// FNV-1a hash (hex) over the live positions and velocities
+export function stateChecksum(sim) {
+  const n = sim.getParticleCount();
+  let hash = 0x811c9dc5;
+  for (const arr of [sim.getPositions(), sim.getVelocities()]) {
+    const bytes = new Uint8Array(arr.buffer, arr.byteOffset, n * 2 * 4);
+    for (let i = 0; i < bytes.length; i++) {
+      hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export class InputRecorder {
+  // `scene` is the start state (scene.js createScene()). The simulation
+  // being recorded must be running exactly that state: load it with
+  // setState() first so object details the scene does not keep are reset
+  // the same way a replay will reset them.
+  constructor(scene) {
+    this.start = scene;
+    this.frames = [];
+    this.pending = [];  // actions since the last frame
+  }
+
+  // Applies an action to `sim` and records it for the next frame. The
+  // arguments are applied in their recorded (plain) form so the live run
+  // and the replay see exactly the same values.
+  action(sim, name, ...args) {
+    const action = { name, args: cloneArgs(args) };
+    const result = applyAction(sim, action);
+    this.pending.push(action);
+    return result;
+  }
+
+  // Call after each sim.step(elapsed) with the forces passed to the sim
+  frame(elapsed, forces) {
+    this.frames.push({
+      elapsed,
+      forces: forces.map((force) => ({ ...force })),
+      actions: this.pending,
+    });
+    this.pending = [];
+  }
+
+  // The finished recording; `sim` provides the end checksum
+  finish(sim) {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      start: this.start,
+      frames: this.frames,
+      end: { count: sim.getParticleCount(), checksum: stateChecksum(sim) },
+    };
+  }
+}
+
+export function recordingToJSON(recording) {
+  return JSON.stringify(recording, typedArrayReplacer);
+}
+
+// Checks a decoded document (see scene.js decodeDocument()) and restores
+// its start scene. Throws if it is not a recording this version can replay.
+export function parseRecording(doc) {
+  if (!doc || doc.format !== RECORDING_FORMAT) throw new Error('Not a recording');
+  if (doc.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${doc.version}`);
+  }
+  if (!Array.isArray(doc.frames)) throw new Error('Recording has no frames');
+  return { ...doc, start: parseScene(doc.start) };
+}
+
+// Re-drives a simulation frame by frame from a recording
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.index = 0;
+  }
+
+  get done() {
+    return this.index >= this.recording.frames.length;
+  }
+
+  get progress() {
+    return this.recording.frames.length > 0 ? this.index / this.recording.frames.length : 1;
+  }
+
+  // Puts `sim` into the start state, in the recorded tank size
+  begin(sim) {
+    const { canvas, simulation } = this.recording.start;
+    sim.resize(canvas.width, canvas.height);
+    sim.setState(simulation);
+    this.index = 0;
+  }
+
+  // Applies the next frame's actions and forces and steps once
+  stepFrame(sim) {
+    const { elapsed, forces, actions } = this.recording.frames[this.index++];
+    for (const action of actions) applyAction(sim, action);
+    sim.setHandForces(forces);
+    sim.step(elapsed);
+  }
+
+  // True if `sim` ended where the recording did
+  matches(sim) {
+    const { end } = this.recording;
+    return sim.getParticleCount() === end.count && stateChecksum(sim) === end.checksum;
+  }
+}
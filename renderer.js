@@ -1,8 +1,26 @@
 // ============================================================
 // Water Particle Renderer with Metaball Effect
 // ============================================================
+// Ways to draw the water (RENDER_MODES):
+//   field   - particles splatted into a DensityField, shaded and lit in one
+//             pass over reused buffers (densityfield.js)
+//   contour - the same field clipped to its marching squares outlines and
+//             stroked, for crisp edges (contours.js)
+//   blobs   - a radial gradient per particle on an offscreen canvas, read
+//             back and thresholded, plus a gradient highlight per particle
 
-import { PARTICLE_RADIUS, H } from './sph.js';
+import { PARTICLE_RADIUS } from './sph.js';
+import { MATERIALS, MATERIAL_COUNT } from './materials.js';
+import {
+  DensityField, DEFAULT_FIELD_SCALE, FIELD_THRESHOLD, OUTER_SHADE, alphaToLevel,
+} from './densityfield.js';
+import { ContourExtractor } from './contours.js';
+import {
+  DEBUG_VIEWS, DebugViews, AutoRange, rampColor, particleValues, gridOccupancy,
+} from './debugviews.js';
+import { SPRAY, FOAM, BUBBLE } from './whitewater.js';
+
+export const RENDER_MODES = ['field', 'contour', 'blobs'];
 
 const COLOR_SCHEMES = [
   { name: 'Blue',   inner: [30, 144, 255], outer: [0, 60, 180],  glow: [100, 180, 255] },
@@ -12,24 +30,170 @@ const COLOR_SCHEMES = [
   { name: 'Purple', inner: [180, 60, 255], outer: [80, 20, 160], glow: [200, 140, 255] },
 ];
 
+// Hand overlay tint (r, g, b) per gesture action, see gestures.js
+const ACTION_COLORS = {
+  push: '80, 200, 255',
+  grab: '255, 190, 80',
+  spawn: '120, 255, 160',
+  cut: '255, 90, 90',
+  vortex: '200, 140, 255',
+  none: '170, 170, 170',
+};
+
+// Force field outline (r, g, b) per type in the forces debug view
+const FORCE_COLORS = {
+  repulse: '80, 200, 255',
+  attract: '255, 190, 80',
+  vortex: '200, 140, 255',
+  jet: '120, 255, 160',
+  impulse: '255, 90, 90',
+};
+
+// Debug particle colours are bucketed into this many ramp steps, one path each
+const RAMP_STEPS = 16;
+// A velocity vector is as long as the particle travels in this many seconds
+const VECTOR_SECONDS = 0.05;
+const LEGEND_WIDTH = 200;
+// Exported outlines leave out specks smaller than this (px²)
+const OUTLINE_MIN_AREA = 20;
+// Whitewater fades out over its last second in this many alpha steps
+const WHITEWATER_FADE_STEPS = 4;
+const WHITEWATER_RADIUS = { [SPRAY]: 1.2, [FOAM]: 2.2, [BUBBLE]: 2.5 };
+
+const BODY_STYLES = {
+  box:  { fill: 'rgba(170, 110, 60, 0.9)', stroke: 'rgba(90, 55, 25, 1)' },
+  boat: { fill: 'rgba(230, 230, 235, 0.95)', stroke: 'rgba(200, 60, 50, 1)' },
+  ball: { fill: 'rgba(120, 120, 130, 0.95)', stroke: 'rgba(40, 40, 50, 1)' },
+};
+
+// Weighted average of the palette colors (`key`: inner/outer/glow) by the
+// particle's material fractions, written to `out` as integers
+function blendColor(mix, i, palette, key, out) {
+  let r = 0, g = 0, b = 0;
+  const o = i * MATERIAL_COUNT;
+  for (let m = 0; m < MATERIAL_COUNT; m++) {
+    const f = mix[o + m];
+    if (f === 0) continue;
+    const c = palette[m][key];
+    r += c[0] * f;
+    g += c[1] * f;
+    b += c[2] * f;
+  }
+  out[0] = Math.round(r);
+  out[1] = Math.round(g);
+  out[2] = Math.round(b);
+  return out;
+}
+
+// Legend numbers: whole numbers when large, two significant digits when small
+function formatLegendValue(v) {
+  return Math.abs(v) >= 100 ? String(Math.round(v)) : v.toPrecision(2);
+}
+
+// Adds the outline of a boundaries.js shape to the current path
+function traceShape(ctx, shape) {
+  if (shape.type === 'segment') {
+    ctx.moveTo(shape.x1, shape.y1);
+    ctx.lineTo(shape.x2, shape.y2);
+  } else if (shape.type === 'circle') {
+    ctx.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+  } else if (shape.type === 'polygon') {
+    const pts = shape.points;
+    ctx.moveTo(pts[0].x, pts[0].y);
+    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+    ctx.closePath();
+  }
+}
+
 export class WaterRenderer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.colorIndex = 0;
     this.scheme = COLOR_SCHEMES[0];
+    this.blendRgb = [0, 0, 0];
+    this.blobStops = null;
+    this.blobStopsScheme = null;
+    this.palette = null;
+    this.paletteScheme = null;
+    this.mode = RENDER_MODES[0];
+    this.width = 0;          // drawing size in simulation px
+    this.height = 0;
+    this.pixelRatio = 1;     // canvas px per simulation px
+    this.fieldScale = DEFAULT_FIELD_SCALE;
+    this.background = null;  // null leaves the canvas clear for the webcam
 
-    // Offscreen buffer for metaball threshold
+    // Density field and the offscreen buffer it is shaded into, both at
+    // the field's resolution (half the canvas by default)
+    this.field = new DensityField(DEFAULT_FIELD_SCALE);
+    this.shading = { uniform: true, inner: null, outer: null, glow: null };
+    this.contours = new ContourExtractor();
     this.offscreen = document.createElement('canvas');
     this.offCtx = this.offscreen.getContext('2d');
+    this.imageData = null;
+
+    // Debug overlays (debugviews.js) and their reused buffers
+    this.debug = new DebugViews();
+    this.debugRange = new AutoRange();
+    this.debugValues = new Float32Array(0);
+    this.debugBuckets = new Uint8Array(0);
+    this.gridCounts = new Int32Array(0);
+    this.rampStyles = Array.from({ length: RAMP_STEPS }, (_, k) => {
+      const [r, g, b] = rampColor(k / (RAMP_STEPS - 1));
+      return `rgb(${r}, ${g}, ${b})`;
+    });
+  }
+
+  // Draws a `width` x `height` simulation onto a canvas `pixelRatio` times
+  // that size
+  resize(width, height, pixelRatio = 1) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.resizeField();
+  }
+
+  // Field cells per canvas pixel, in (0, 1]; lower is faster and blurrier
+  setFieldScale(scale) {
+    if (!(scale > 0 && scale <= 1)) throw new RangeError(`Field scale must be in (0, 1]: ${scale}`);
+    this.fieldScale = scale;
+    this.resizeField();
+  }
+
+  getFieldScale() {
+    return this.fieldScale;
+  }
+
+  // A CSS color to paint behind the water, or null for a clear canvas
+  setBackground(color) {
+    this.background = color;
   }
 
-  resize(width, height) {
-    this.canvas.width = width;
-    this.canvas.height = height;
-    // Use lower resolution offscreen for performance
-    this.offscreen.width = Math.floor(width / 2);
-    this.offscreen.height = Math.floor(height / 2);
+  resizeField() {
+    const field = this.field;
+    field.resize(this.width, this.height, this.fieldScale * this.pixelRatio);
+    if (this.offscreen.width === field.width && this.offscreen.height === field.height && this.imageData) return;
+    this.offscreen.width = field.width;
+    this.offscreen.height = field.height;
+    this.imageData = this.offCtx.createImageData(field.width, field.height);
+  }
+
+  // Selects a render mode by name; returns false if there is none
+  setRenderMode(name) {
+    if (!RENDER_MODES.includes(name)) return false;
+    this.mode = name;
+    return true;
+  }
+
+  cycleRenderMode() {
+    this.mode = RENDER_MODES[(RENDER_MODES.indexOf(this.mode) + 1) % RENDER_MODES.length];
+    return this.mode;
+  }
+
+  getRenderMode() {
+    return this.mode;
   }
 
   cycleColor() {
@@ -42,18 +206,178 @@ export class WaterRenderer {
     return this.scheme.name;
   }
 
-  render(simulation, handLandmarks) {
+  // Selects a scheme by name; returns false if there is none by that name
+  setColorScheme(name) {
+    const index = COLOR_SCHEMES.findIndex((s) => s.name === name);
+    if (index === -1) return false;
+    this.colorIndex = index;
+    this.scheme = COLOR_SCHEMES[index];
+    return true;
+  }
+
+  // Colors per material id; materials without their own use the scheme
+  getPalette() {
+    if (this.paletteScheme !== this.scheme) {
+      this.palette = MATERIALS.map((m) => m.color || this.scheme);
+      this.paletteScheme = this.scheme;
+    }
+    return this.palette;
+  }
+
+  // Cached gradient stop strings per material for the current scheme
+  getBlobStops(palette) {
+    if (this.blobStopsScheme !== this.scheme) {
+      this.blobStops = palette.map(({ inner: [r, g, b] }) => [
+        `rgba(${r}, ${g}, ${b}, 0.8)`,
+        `rgba(${r}, ${g}, ${b}, 0.3)`,
+        `rgba(${r}, ${g}, ${b}, 0.0)`,
+      ]);
+      this.blobStopsScheme = this.scheme;
+    }
+    return this.blobStops;
+  }
+
+  // `handGestures` is HandTracker.getGestures(): { gesture, action } per hand
+  render(simulation, handLandmarks, handGestures = []) {
     const ctx = this.ctx;
-    const w = this.canvas.width;
-    const h = this.canvas.height;
-    const particles = simulation.particles;
+    const w = this.width;
+    const h = this.height;
 
     // Clear main canvas (transparent so webcam shows through)
-    ctx.clearRect(0, 0, w, h);
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    if (this.background) {
+      ctx.fillStyle = this.background;
+      ctx.fillRect(0, 0, w, h);
+    } else {
+      ctx.clearRect(0, 0, w, h);
+    }
+
+    this.drawObstacles(ctx, simulation.getObstacles());
+    this.drawSources(ctx, simulation.getEmitters(), simulation.getDrains());
+    this.drawBodies(ctx, simulation.getBodies());
 
-    if (particles.length === 0) return;
+    if (simulation.getParticleCount() > 0) {
+      if (this.mode === 'blobs') this.drawBlobWater(simulation);
+      else if (this.mode === 'contour') this.drawContourWater(simulation);
+      else this.drawFieldWater(simulation);
+    }
+
+    const whitewater = simulation.getWhitewater ? simulation.getWhitewater() : null;
+    if (whitewater && whitewater.getCount() > 0) this.drawWhitewater(ctx, whitewater);
+
+    if (this.debug.active.size > 0) this.drawDebug(ctx, simulation);
+
+    // -- Draw hand landmarks --
+    this.drawHandOverlay(ctx, handLandmarks, handGestures);
+  }
+
+  // Splats every particle into the density field (each in its material's
+  // color unless they all share one) and sets up this.shading to match
+  fillField(simulation) {
+    const field = this.field;
+    const count = simulation.getParticleCount();
+    const positions = simulation.getPositions();
+    const materials = simulation.getMaterials();
+    const mix = simulation.getMixFractions ? simulation.getMixFractions() : null;
+    const palette = this.getPalette();
+    const firstMaterial = materials[0];
+
+    // A single unmixed material is shaded exactly with its scheme
+    let uniform = true;
+    for (let i = 0; i < count && uniform; i++) {
+      const material = materials[i];
+      if (material !== firstMaterial || (mix && mix[i * MATERIAL_COUNT + material] <= 0.999)) uniform = false;
+    }
+
+    field.clear();
+    const radius = simulation.h * 0.6;
+    for (let i = 0; i < count; i++) {
+      const x = positions[2 * i];
+      const y = positions[2 * i + 1];
+      if (uniform) {
+        field.splat(x, y, radius);
+        continue;
+      }
+      const material = materials[i];
+      const c = !mix || mix[i * MATERIAL_COUNT + material] > 0.999
+        ? palette[material].inner
+        : blendColor(mix, i, palette, 'inner', this.blendRgb);
+      field.splat(x, y, radius, c[0], c[1], c[2]);
+    }
+
+    const base = palette[firstMaterial];
+    const shading = this.shading;
+    shading.uniform = uniform;
+    shading.inner = base.inner;
+    shading.outer = base.outer;
+    shading.glow = uniform ? base.glow : this.scheme.glow;
+  }
+
+  // Shades the filled field into the reused ImageData, lit from the
+  // field's gradient, and scales it up onto the canvas
+  drawShadedField() {
+    const ctx = this.ctx;
+    this.field.shade(this.imageData.data, this.shading);
+    this.offCtx.putImageData(this.imageData, 0, 0);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'medium';
+    ctx.drawImage(this.offscreen, 0, 0, this.width, this.height);
+  }
+
+  drawFieldWater(simulation) {
+    this.fillField(simulation);
+    this.drawShadedField();
+  }
+
+  // The shaded field clipped to the field's outlines, over a solid fill so
+  // the edge stays crisp where the upscaled image fades, and stroked
+  drawContourWater(simulation) {
+    const ctx = this.ctx;
+    this.fillField(simulation);
+    const contours = this.contours.extract(this.field, alphaToLevel(FIELD_THRESHOLD));
+    const { outer } = this.shading;
+
+    ctx.beginPath();
+    for (const points of contours) {
+      ctx.moveTo(points[0], points[1]);
+      for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+      ctx.closePath();
+    }
+    ctx.fillStyle = `rgba(${outer[0]}, ${outer[1]}, ${outer[2]}, 0.75)`;
+    ctx.fill();
+    ctx.save();
+    ctx.clip();
+    this.drawShadedField();
+    ctx.restore();
+    ctx.strokeStyle = `rgb(${outer[0]}, ${outer[1]}, ${outer[2]})`;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+  }
+
+  // The current frame's water outlines (see contours.js), in canvas px
+  getOutline(simulation) {
+    if (simulation.getParticleCount() === 0) return [];
+    this.fillField(simulation);
+    return this.contours.extract(this.field, alphaToLevel(FIELD_THRESHOLD), { minArea: OUTLINE_MIN_AREA });
+  }
+
+  // The scheme color the water is filled with, for exported outlines
+  getFillColor() {
+    const [r, g, b] = this.getPalette()[0].inner;
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+
+  // Canvas metaballs: gradient blobs drawn offscreen, thresholded on the
+  // CPU, then a gradient highlight per particle
+  drawBlobWater(simulation) {
+    const ctx = this.ctx;
+    const w = this.width;
+    const h = this.height;
+    const count = simulation.getParticleCount();
+    const positions = simulation.getPositions();
 
-    // -- Metaball rendering at half resolution --
     const ow = this.offscreen.width;
     const oh = this.offscreen.height;
     const offCtx = this.offCtx;
@@ -62,19 +386,36 @@ export class WaterRenderer {
 
     offCtx.clearRect(0, 0, ow, oh);
 
-    // Draw particle blobs onto offscreen
-    const blobRadius = H * 0.6 * sx;
+    // Draw particle blobs onto offscreen, each in its material's color
+    const blobRadius = simulation.h * 0.6 * sx;
     offCtx.globalCompositeOperation = 'source-over';
 
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
-      const px = p.x * sx;
-      const py = p.y * sy;
+    const palette = this.getPalette();
+    const stops = this.getBlobStops(palette);
+    const materials = simulation.getMaterials();
+    const mix = simulation.getMixFractions ? simulation.getMixFractions() : null;
+    const firstMaterial = materials[0];
+    let uniform = true;  // single unmixed material: shade exactly with its scheme
+
+    for (let i = 0; i < count; i++) {
+      const px = positions[2 * i] * sx;
+      const py = positions[2 * i + 1] * sy;
+      const material = materials[i];
+      const pure = !mix || mix[i * MATERIAL_COUNT + material] > 0.999;
+      if (material !== firstMaterial || !pure) uniform = false;
 
       const grad = offCtx.createRadialGradient(px, py, 0, px, py, blobRadius);
-      grad.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-      grad.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
-      grad.addColorStop(1, 'rgba(255, 255, 255, 0.0)');
+      if (pure) {
+        const [c0, c1, c2] = stops[material];
+        grad.addColorStop(0, c0);
+        grad.addColorStop(0.5, c1);
+        grad.addColorStop(1, c2);
+      } else {
+        const [r, g, b] = blendColor(mix, i, palette, 'inner', this.blendRgb);
+        grad.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.8)`);
+        grad.addColorStop(0.5, `rgba(${r}, ${g}, ${b}, 0.3)`);
+        grad.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0.0)`);
+      }
 
       offCtx.fillStyle = grad;
       offCtx.beginPath();
@@ -82,22 +423,32 @@ export class WaterRenderer {
       offCtx.fill();
     }
 
-    // Threshold the metaball field via pixel manipulation
+    // Threshold the metaball field via pixel manipulation. With several
+    // materials the blended blob color is the inner color and the edge is a
+    // darker shade of it.
     const imageData = offCtx.getImageData(0, 0, ow, oh);
     const data = imageData.data;
-    const [ir, ig, ib] = this.scheme.inner;
-    const [or_, og, ob] = this.scheme.outer;
-    const threshold = 0.35;
+    const base = palette[firstMaterial];
+    const [ir, ig, ib] = base.inner;
+    const [or_, og, ob] = base.outer;
+    const threshold = FIELD_THRESHOLD;
 
     for (let i = 0; i < data.length; i += 4) {
       const alpha = data[i + 3] / 255;
       if (alpha > threshold) {
         const t = Math.min((alpha - threshold) / (1.0 - threshold), 1.0);
         const t2 = t * t;
-        data[i]     = Math.floor(or_ + (ir - or_) * t2); // R
-        data[i + 1] = Math.floor(og + (ig - og) * t2);   // G
-        data[i + 2] = Math.floor(ob + (ib - ob) * t2);   // B
-        data[i + 3] = Math.floor(180 + 75 * t);          // A
+        if (uniform) {
+          data[i]     = Math.floor(or_ + (ir - or_) * t2); // R
+          data[i + 1] = Math.floor(og + (ig - og) * t2);   // G
+          data[i + 2] = Math.floor(ob + (ib - ob) * t2);   // B
+        } else {
+          const shade = OUTER_SHADE + (1 - OUTER_SHADE) * t2;
+          data[i]     = Math.floor(data[i] * shade);
+          data[i + 1] = Math.floor(data[i + 1] * shade);
+          data[i + 2] = Math.floor(data[i + 2] * shade);
+        }
+        data[i + 3] = Math.floor(180 + 75 * t);            // A
       } else {
         data[i + 3] = 0;
       }
@@ -112,33 +463,363 @@ export class WaterRenderer {
 
     // -- Highlight / specular pass --
     ctx.globalCompositeOperation = 'screen';
-    const [gr, gg, gb] = this.scheme.glow;
-    for (let i = 0; i < particles.length; i += 3) { // every 3rd particle for perf
-      const p = particles[i];
+    for (let i = 0; i < count; i += 3) { // every 3rd particle for perf
+      const x = positions[2 * i];
+      const y = positions[2 * i + 1];
+      const [gr, gg, gb] = mix
+        ? blendColor(mix, i, palette, 'glow', this.blendRgb)
+        : palette[materials[i]].glow;
       const specGrad = ctx.createRadialGradient(
-        p.x - 2, p.y - 2, 0,
-        p.x, p.y, PARTICLE_RADIUS * 2.5
+        x - 2, y - 2, 0,
+        x, y, PARTICLE_RADIUS * 2.5
       );
       specGrad.addColorStop(0, `rgba(${gr}, ${gg}, ${gb}, 0.25)`);
       specGrad.addColorStop(1, 'rgba(255, 255, 255, 0.0)');
       ctx.fillStyle = specGrad;
       ctx.beginPath();
-      ctx.arc(p.x, p.y, PARTICLE_RADIUS * 2.5, 0, Math.PI * 2);
+      ctx.arc(x, y, PARTICLE_RADIUS * 2.5, 0, Math.PI * 2);
       ctx.fill();
     }
     ctx.globalCompositeOperation = 'source-over';
+  }
 
-    // -- Draw hand landmarks --
-    this.drawHandOverlay(ctx, handLandmarks);
+  // Spray and foam as white dots, bubbles as light rings, screened over the
+  // water. One path per kind and fade step.
+  drawWhitewater(ctx, whitewater) {
+    const count = whitewater.getCount();
+    const positions = whitewater.getPositions();
+    const kinds = whitewater.getKinds();
+    const life = whitewater.getLifetimes();
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    ctx.lineWidth = 1;
+    for (const kind of [SPRAY, FOAM, BUBBLE]) {
+      const r = WHITEWATER_RADIUS[kind];
+      for (let step = 1; step <= WHITEWATER_FADE_STEPS; step++) {
+        ctx.beginPath();
+        let any = false;
+        for (let k = 0; k < count; k++) {
+          if (kinds[k] !== kind) continue;
+          const fade = Math.min(WHITEWATER_FADE_STEPS, Math.ceil(life[k] * WHITEWATER_FADE_STEPS));
+          if (fade !== step) continue;
+          const x = positions[2 * k];
+          const y = positions[2 * k + 1];
+          ctx.moveTo(x + r, y);
+          ctx.arc(x, y, r, 0, Math.PI * 2);
+          any = true;
+        }
+        if (!any) continue;
+        const alpha = (0.8 * step) / WHITEWATER_FADE_STEPS;
+        if (kind === BUBBLE) {
+          ctx.strokeStyle = `rgba(220, 240, 255, ${alpha})`;
+          ctx.stroke();
+        } else {
+          ctx.fillStyle = `rgba(255, 255, 255, ${kind === FOAM ? alpha * 0.7 : alpha})`;
+          ctx.fill();
+        }
+      }
+    }
+    ctx.restore();
   }
 
-  drawHandOverlay(ctx, handLandmarks) {
+  // -- Debug views --
+
+  // Draws the active debug views and a legend for each, top left
+  drawDebug(ctx, simulation) {
+    const legends = [];
+    if (this.debug.has('grid')) legends.push(this.drawGridDebug(ctx, simulation));
+    const particleView = this.debug.particleView();
+    if (particleView) legends.push(this.drawParticleDebug(ctx, simulation, particleView));
+    if (this.debug.has('vectors')) legends.push(this.drawVelocityDebug(ctx, simulation));
+    if (this.debug.has('forces')) legends.push(this.drawForceDebug(ctx, simulation));
+    this.drawLegends(ctx, legends);
+  }
+
+  // Legend for a view whose data the simulation does not expose
+  unavailable(view) {
+    return { view, note: 'Not available with worker physics' };
+  }
+
+  drawParticleDebug(ctx, simulation, view) {
+    const count = simulation.getParticleCount();
+    if (this.debugValues.length < count) {
+      this.debugValues = new Float32Array(count * 2);
+      this.debugBuckets = new Uint8Array(count * 2);
+    }
+    const frame = particleValues(view, simulation, this.debugValues);
+    if (!frame) return this.unavailable(view);
+
+    // Last view's range means nothing for this one
+    if (this.debugRangeView !== view) {
+      this.debugRange.reset();
+      this.debugRangeView = view;
+    }
+    const range = this.debugRange.update(frame.min, frame.max);
+    const values = this.debugValues;
+    const buckets = this.debugBuckets;
+    for (let i = 0; i < count; i++) {
+      const t = Math.min(Math.max(range.normalize(values[i]), 0), 1);
+      buckets[i] = Math.round(t * (RAMP_STEPS - 1));
+    }
+
+    // One path per colour step
+    const positions = simulation.getPositions();
+    const r = PARTICLE_RADIUS * 0.6;
+    for (let k = 0; k < RAMP_STEPS; k++) {
+      ctx.beginPath();
+      for (let i = 0; i < count; i++) {
+        if (buckets[i] !== k) continue;
+        const x = positions[2 * i];
+        const y = positions[2 * i + 1];
+        ctx.moveTo(x + r, y);
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+      }
+      ctx.fillStyle = this.rampStyles[k];
+      ctx.fill();
+    }
+    return { view, min: range.min, max: range.max };
+  }
+
+  drawVelocityDebug(ctx, simulation) {
+    if (!simulation.getVelocities) return this.unavailable('vectors');
+    const count = simulation.getParticleCount();
+    const positions = simulation.getPositions();
+    const velocities = simulation.getVelocities();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      const x = positions[2 * i];
+      const y = positions[2 * i + 1];
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + velocities[2 * i] * VECTOR_SECONDS, y + velocities[2 * i + 1] * VECTOR_SECONDS);
+    }
+    ctx.stroke();
+    return { view: 'vectors', note: `Line: distance covered in ${VECTOR_SECONDS} s` };
+  }
+
+  drawGridDebug(ctx, simulation) {
+    const grid = simulation.getGrid ? simulation.getGrid() : null;
+    if (!grid) return this.unavailable('grid');
+    const { cols, rows, cellSize } = grid;
+    if (this.gridCounts.length < cols * rows) this.gridCounts = new Int32Array(cols * rows);
+    const counts = this.gridCounts;
+    const max = Math.max(1, gridOccupancy(grid, counts));
+
+    ctx.globalAlpha = 0.35;
+    for (let c = 0; c < cols * rows; c++) {
+      if (counts[c] === 0) continue;
+      ctx.fillStyle = this.rampStyles[Math.round((counts[c] / max) * (RAMP_STEPS - 1))];
+      ctx.fillRect((c % cols) * cellSize, Math.floor(c / cols) * cellSize, cellSize, cellSize);
+    }
+    ctx.globalAlpha = 1;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let cx = 1; cx < cols; cx++) {
+      ctx.moveTo(cx * cellSize, 0);
+      ctx.lineTo(cx * cellSize, rows * cellSize);
+    }
+    for (let cy = 1; cy < rows; cy++) {
+      ctx.moveTo(0, cy * cellSize);
+      ctx.lineTo(cols * cellSize, cy * cellSize);
+    }
+    ctx.stroke();
+    return { view: 'grid', min: 0, max };
+  }
+
+  // Each field's reach, with its direction for vortices and jets
+  drawForceDebug(ctx, simulation) {
+    const forces = simulation.getHandForces ? simulation.getHandForces() : [];
+    ctx.lineWidth = 2;
+    for (const f of forces) {
+      const color = FORCE_COLORS[f.type];
+      ctx.beginPath();
+      ctx.arc(f.x, f.y, f.radius, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${color}, 0.08)`;
+      ctx.strokeStyle = `rgba(${color}, 0.9)`;
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.beginPath();
+      if (f.type === 'vortex') {
+        // Arrowhead on an inner arc, pointing the way the water turns
+        const r = f.radius * 0.6;
+        const end = f.spin > 0 ? Math.PI * 0.75 : Math.PI * 0.25;
+        ctx.arc(f.x, f.y, r, Math.PI * 0.25, Math.PI * 0.75);
+        const ax = f.x + Math.cos(end) * r;
+        const ay = f.y + Math.sin(end) * r;
+        const tx = -Math.sin(end) * f.spin;
+        const ty = Math.cos(end) * f.spin;
+        ctx.moveTo(ax - tx * 8 + ty * 5, ay - ty * 8 - tx * 5);
+        ctx.lineTo(ax, ay);
+        ctx.lineTo(ax - tx * 8 - ty * 5, ay - ty * 8 + tx * 5);
+      } else if (f.type === 'jet') {
+        ctx.moveTo(f.x, f.y);
+        ctx.lineTo(f.x + f.dirX * f.radius, f.y + f.dirY * f.radius);
+      } else {
+        ctx.arc(f.x, f.y, 3, 0, Math.PI * 2);
+      }
+      ctx.stroke();
+    }
+    const swatches = Object.entries(FORCE_COLORS).map(([type, color]) => [`rgb(${color})`, type]);
+    return { view: 'forces', swatches };
+  }
+
+  // Stacks the legends in a column below the stats text
+  drawLegends(ctx, legends) {
+    let y = 70;
+    const x = 16;
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'top';
+    for (const legend of legends) {
+      const { key, label, unit } = DEBUG_VIEWS[legend.view];
+      let height = 24;
+      if (legend.max !== undefined) height += 30;
+      if (legend.swatches) height += legend.swatches.length * 16;
+      if (legend.note) height += 16;
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+      ctx.fillRect(x, y, LEGEND_WIDTH, height);
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`[${key}] ${label}${unit ? ` (${unit})` : ''}`, x + 8, y + 6);
+      let row = y + 24;
+
+      if (legend.max !== undefined) {
+        const barWidth = LEGEND_WIDTH - 16;
+        const step = barWidth / RAMP_STEPS;
+        for (let k = 0; k < RAMP_STEPS; k++) {
+          ctx.fillStyle = this.rampStyles[k];
+          ctx.fillRect(x + 8 + k * step, row, Math.ceil(step), 10);
+        }
+        ctx.fillStyle = '#fff';
+        ctx.fillText(formatLegendValue(legend.min), x + 8, row + 14);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatLegendValue(legend.max), x + LEGEND_WIDTH - 8, row + 14);
+        ctx.textAlign = 'left';
+        row += 30;
+      }
+      if (legend.swatches) {
+        for (const [color, name] of legend.swatches) {
+          ctx.fillStyle = color;
+          ctx.fillRect(x + 8, row + 2, 10, 10);
+          ctx.fillStyle = '#fff';
+          ctx.fillText(name, x + 24, row);
+          row += 16;
+        }
+      }
+      if (legend.note) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(legend.note, x + 8, row);
+      }
+      y += height + 8;
+    }
+  }
+
+  drawObstacles(ctx, obstacles) {
+    if (!obstacles || obstacles.length === 0) return;
+
+    ctx.fillStyle = 'rgba(220, 230, 255, 0.25)';
+    ctx.strokeStyle = 'rgba(220, 230, 255, 0.8)';
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const { shape } of obstacles) {
+      ctx.beginPath();
+      traceShape(ctx, shape);
+      if (shape.type === 'segment') {
+        ctx.lineWidth = shape.thickness;
+        ctx.stroke();
+      } else {
+        ctx.lineWidth = 2;
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+  }
+
+  // Emitters as a dot with an arrow along the jet, drains as dashed outlines
+  drawSources(ctx, emitters, drains) {
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+
+    if (drains && drains.length > 0) {
+      ctx.strokeStyle = 'rgba(255, 120, 120, 0.8)';
+      ctx.fillStyle = 'rgba(40, 0, 0, 0.25)';
+      ctx.setLineDash([6, 4]);
+      for (const { shape } of drains) {
+        ctx.beginPath();
+        traceShape(ctx, shape);
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
+
+    if (!emitters) return;
+    for (const e of emitters) {
+      const dx = Math.cos(e.angle);
+      const dy = Math.sin(e.angle);
+      const half = e.width / 2;
+      ctx.strokeStyle = e.enabled ? 'rgba(120, 255, 180, 0.9)' : 'rgba(180, 180, 180, 0.6)';
+      ctx.beginPath();
+      ctx.moveTo(e.x + dy * half, e.y - dx * half);
+      ctx.lineTo(e.x - dy * half, e.y + dx * half);
+      ctx.moveTo(e.x, e.y);
+      ctx.lineTo(e.x + dx * 18, e.y + dy * 18);
+      ctx.lineTo(e.x + dx * 12 - dy * 4, e.y + dy * 12 + dx * 4);
+      ctx.moveTo(e.x + dx * 18, e.y + dy * 18);
+      ctx.lineTo(e.x + dx * 12 + dy * 4, e.y + dy * 12 - dx * 4);
+      ctx.stroke();
+    }
+  }
+
+  drawBodies(ctx, bodies) {
+    if (!bodies || bodies.length === 0) return;
+
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+
+    for (const body of bodies) {
+      const style = BODY_STYLES[body.kind] || BODY_STYLES.box;
+      ctx.save();
+      ctx.translate(body.x, body.y);
+      ctx.rotate(body.angle);
+      ctx.beginPath();
+      traceShape(ctx, body.shape);
+      ctx.fillStyle = style.fill;
+      ctx.strokeStyle = style.stroke;
+      ctx.fill();
+      ctx.stroke();
+
+      // Spoke so rotation of round bodies is visible
+      if (body.shape.type === 'circle') {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(body.shape.radius, 0);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }
+
+  drawHandOverlay(ctx, handLandmarks, handGestures = []) {
     if (!handLandmarks || handLandmarks.length === 0) return;
 
-    const w = this.canvas.width;
-    const h = this.canvas.height;
+    const w = this.width;
+    const h = this.height;
+
+    for (let hi = 0; hi < handLandmarks.length; hi++) {
+      const hand = handLandmarks[hi];
+      const active = handGestures[hi];
+      const color = active ? ACTION_COLORS[active.action] : ACTION_COLORS.push;
+      // Hands that were just lost fade out with their forces
+      ctx.globalAlpha = active && active.fade !== undefined ? active.fade : 1;
 
-    for (const hand of handLandmarks) {
       // Draw connections between landmarks
       const connections = [
         [0,1],[1,2],[2,3],[3,4],       // thumb
@@ -177,17 +858,28 @@ export class WaterRenderer {
         ctx.fill();
       }
 
-      // Draw interaction radius around palm and fingertips
+      // Draw interaction radius around palm and fingertips, tinted by action
       const palmX = hand[9] ? hand[9].x * w : 0;
       const palmY = hand[9] ? hand[9].y * h : 0;
       if (hand[9]) {
         ctx.beginPath();
         ctx.arc(palmX, palmY, 60, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(80, 200, 255, 0.2)';
+        ctx.strokeStyle = `rgba(${color}, 0.35)`;
         ctx.lineWidth = 2;
         ctx.stroke();
       }
+
+      // Label the active gesture and its action below the wrist
+      if (active && hand[0]) {
+        const label = active.gesture === 'none' ? active.action : `${active.gesture}: ${active.action}`;
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = `rgba(${color}, 0.95)`;
+        ctx.fillText(label, hand[0].x * w, hand[0].y * h + 12);
+      }
     }
+    ctx.globalAlpha = 1;
   }
 }
 
@@ -0,0 +1,364 @@
+// ============================================================
+// Rigid Bodies Floating in the SPH Fluid
+// ============================================================
+// A body is a CircleShape or PolygonShape (boundaries.js) in local
+// coordinates around its center of mass, plus a pose and velocities. Its
+// hull is sampled into points with outward normals; SPHSimulation couples
+// those samples to the fluid (buoyancy, drag) and the fluid particles
+// collide with the shape itself.
+
+import { CircleShape, PolygonShape, shapeFromJSON } from './boundaries.js';
+
+// Hull samples are spaced roughly this many px apart
+const HULL_SPACING = 6;
+
+const localNormal = { x: 0, y: 0 };
+
+// Area, centroid and second moment of area (about the centroid) of a polygon
+function polygonProperties(points) {
+  let area = 0, cx = 0, cy = 0, inertia = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const cross = a.x * b.y - b.x * a.y;
+    area += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+    inertia += cross * (a.x * a.x + a.x * b.x + b.x * b.x + a.y * a.y + a.y * b.y + b.y * b.y);
+  }
+  area /= 2;
+  cx /= 6 * area;
+  cy /= 6 * area;
+  inertia = Math.abs(inertia / 12) - Math.abs(area) * (cx * cx + cy * cy);
+  return { area: Math.abs(area), cx, cy, inertia };
+}
+
+export class RigidBody {
+  // `shape` is in local coordinates; polygons are re-centered on their
+  // centroid. `relativeDensity` is relative to the fluid: below 1 floats.
+  constructor(shape, x, y, {
+    angle = 0, vx = 0, vy = 0, omega = 0,
+    relativeDensity = 0.5, restitution = 0.2, friction = 0.3, kind = shape.type,
+  } = {}) {
+    if (shape.type === 'polygon') {
+      const { cx, cy } = polygonProperties(shape.points);
+      shape = new PolygonShape(shape.points.map((p) => ({ x: p.x - cx, y: p.y - cy })));
+    } else if (shape.type === 'circle') {
+      shape = new CircleShape(0, 0, shape.radius);
+    } else {
+      throw new Error(`Rigid bodies cannot use ${shape.type} shapes`);
+    }
+
+    this.id = 0;          // assigned by SPHSimulation.addBody
+    this.kind = kind;     // 'box' | 'ball' | 'boat' | shape type, for display and saving
+    this.shape = shape;
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.vx = vx;
+    this.vy = vy;
+    this.omega = omega;
+    this.relativeDensity = relativeDensity;
+    this.restitution = restitution;
+    this.friction = friction;
+
+    // Mass properties per unit density; scaled by the fluid density each step
+    if (shape.type === 'circle') {
+      this.area = Math.PI * shape.radius * shape.radius;
+      this.areaInertia = this.area * shape.radius * shape.radius / 2;
+      this.radius = shape.radius;
+    } else {
+      const props = polygonProperties(shape.points);
+      this.area = props.area;
+      this.areaInertia = props.inertia;
+      this.radius = Math.max(...shape.points.map((p) => Math.hypot(p.x, p.y)));
+    }
+    this.mass = 1;
+    this.inertia = 1;
+
+    this.buildHull();
+
+    // Force / torque / impulse accumulators, cleared every substep
+    this.fx = 0;
+    this.fy = 0;
+    this.torque = 0;
+    this.jx = 0;
+    this.jy = 0;
+    this.jTorque = 0;
+  }
+
+  // Hull samples in local space: position, outward normal and the length of
+  // hull each sample stands for. World-space copies are refreshed by
+  // updateHull().
+  buildHull() {
+    const local = [];
+    const shape = this.shape;
+    if (shape.type === 'circle') {
+      const n = Math.max(12, Math.round((2 * Math.PI * shape.radius) / HULL_SPACING));
+      const len = (2 * Math.PI * shape.radius) / n;
+      for (let i = 0; i < n; i++) {
+        const a = (i / n) * Math.PI * 2;
+        local.push({ x: Math.cos(a) * shape.radius, y: Math.sin(a) * shape.radius,
+          nx: Math.cos(a), ny: Math.sin(a), len });
+      }
+    } else {
+      const pts = shape.points;
+      for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        const edge = Math.hypot(b.x - a.x, b.y - a.y);
+        if (edge === 0) continue;
+        let nx = (b.y - a.y) / edge;
+        let ny = -(b.x - a.x) / edge;
+        // Flip toward the outside (works for either winding)
+        const mx = (a.x + b.x) / 2 + nx * 0.5;
+        const my = (a.y + b.y) / 2 + ny * 0.5;
+        if (shape.contains(mx, my)) { nx = -nx; ny = -ny; }
+
+        const n = Math.max(1, Math.round(edge / HULL_SPACING));
+        for (let k = 0; k < n; k++) {
+          const t = (k + 0.5) / n;
+          local.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, nx, ny, len: edge / n });
+        }
+      }
+    }
+
+    this.hullLocal = local;
+    this.hullCount = local.length;
+    this.hull = new Float32Array(local.length * 4); // x, y, nx, ny in world space
+    this.updateHull();
+  }
+
+  updateHull() {
+    const c = Math.cos(this.angle);
+    const s = Math.sin(this.angle);
+    for (let k = 0; k < this.hullCount; k++) {
+      const p = this.hullLocal[k];
+      this.hull[4 * k] = this.x + c * p.x - s * p.y;
+      this.hull[4 * k + 1] = this.y + s * p.x + c * p.y;
+      this.hull[4 * k + 2] = c * p.nx - s * p.ny;
+      this.hull[4 * k + 3] = s * p.nx + c * p.ny;
+    }
+  }
+
+  // Mass follows the fluid density so floating depth only depends on
+  // relativeDensity, however the fluid happens to be calibrated
+  setFluidDensity(fluidDensity) {
+    const density = this.relativeDensity * fluidDensity;
+    this.mass = Math.max(density * this.area, 1e-6);
+    this.inertia = Math.max(density * this.areaInertia, 1e-6);
+  }
+
+  // Signed distance from a world point to the surface; world normal in `normal`
+  distance(x, y, normal) {
+    const c = Math.cos(this.angle);
+    const s = Math.sin(this.angle);
+    const dx = x - this.x;
+    const dy = y - this.y;
+    const d = this.shape.distance(c * dx + s * dy, -s * dx + c * dy, localNormal);
+    normal.x = c * localNormal.x - s * localNormal.y;
+    normal.y = s * localNormal.x + c * localNormal.y;
+    return d;
+  }
+
+  // Area and centroid of the part of the hull outline lying beyond
+  // `waterline` along direction (dx, dy), i.e. below the water for gravity
+  // pointing that way. Clips the hull polygon against that half-plane.
+  submergedPart(dx, dy, waterline) {
+    const hull = this.hull;
+    const n = this.hullCount;
+    let area = 0, cx = 0, cy = 0;
+    let px = 0, py = 0, first = true, fx = 0, fy = 0;
+
+    const emit = (x, y) => {
+      if (first) {
+        fx = x; fy = y; first = false;
+      } else {
+        const cross = px * y - x * py;
+        area += cross;
+        cx += (px + x) * cross;
+        cy += (py + y) * cross;
+      }
+      px = x; py = y;
+    };
+
+    for (let k = 0; k < n; k++) {
+      const ax = hull[4 * k], ay = hull[4 * k + 1];
+      const next = (k + 1) % n;
+      const bx = hull[4 * next], by = hull[4 * next + 1];
+      const da = ax * dx + ay * dy - waterline;
+      const db = bx * dx + by * dy - waterline;
+      if (da >= 0) emit(ax, ay);
+      if ((da >= 0) !== (db >= 0)) {
+        const t = da / (da - db);
+        emit(ax + (bx - ax) * t, ay + (by - ay) * t);
+      }
+    }
+
+    if (!first) {
+      const cross = px * fy - fx * py;
+      area += cross;
+      cx += (px + fx) * cross;
+      cy += (py + fy) * cross;
+    }
+    if (Math.abs(area) < 1e-6) return { area: 0, x: this.x, y: this.y };
+    return { area: Math.abs(area) / 2, x: cx / (3 * area), y: cy / (3 * area) };
+  }
+
+  // Velocity of the body material at a world point
+  velocityAt(x, y, out) {
+    out.x = this.vx - this.omega * (y - this.y);
+    out.y = this.vy + this.omega * (x - this.x);
+    return out;
+  }
+
+  applyForce(fx, fy, x, y) {
+    this.fx += fx;
+    this.fy += fy;
+    this.torque += (x - this.x) * fy - (y - this.y) * fx;
+  }
+
+  applyImpulse(jx, jy, x, y) {
+    this.jx += jx;
+    this.jy += jy;
+    this.jTorque += (x - this.x) * jy - (y - this.y) * jx;
+  }
+
+  // Resolves contact at world point (x, y) against a static surface with
+  // outward normal n and penetration `depth`
+  resolveContact(x, y, nx, ny, depth, restitution, friction) {
+    // Positional correction
+    this.x += nx * depth;
+    this.y += ny * depth;
+
+    const rx = x - this.x;
+    const ry = y - this.y;
+    const vpx = this.vx - this.omega * ry;
+    const vpy = this.vy + this.omega * rx;
+    const vn = vpx * nx + vpy * ny;
+    if (vn >= 0) return;
+
+    const rn = rx * ny - ry * nx;
+    const invMass = 1 / this.mass + (rn * rn) / this.inertia;
+    const jn = -(1 + restitution) * vn / invMass;
+
+    // Coulomb friction along the tangent, capped by the normal impulse
+    const tx = -ny;
+    const ty = nx;
+    const vt = vpx * tx + vpy * ty;
+    const rt = rx * ty - ry * tx;
+    const invMassT = 1 / this.mass + (rt * rt) / this.inertia;
+    let jt = -vt / invMassT;
+    const maxJt = friction * jn;
+    jt = jt < -maxJt ? -maxJt : (jt > maxJt ? maxJt : jt);
+
+    const jx = nx * jn + tx * jt;
+    const jy = ny * jn + ty * jt;
+    this.vx += jx / this.mass;
+    this.vy += jy / this.mass;
+    this.omega += (rx * jy - ry * jx) / this.inertia;
+  }
+
+  integrate(dt, gx, gy) {
+    this.vx += (this.fx / this.mass + gx) * dt + this.jx / this.mass;
+    this.vy += (this.fy / this.mass + gy) * dt + this.jy / this.mass;
+    this.omega += (this.torque / this.inertia) * dt + this.jTorque / this.inertia;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.angle += this.omega * dt;
+
+    this.fx = this.fy = this.torque = 0;
+    this.jx = this.jy = this.jTorque = 0;
+  }
+
+  toJSON() {
+    return {
+      kind: this.kind,
+      shape: this.shape,
+      x: this.x, y: this.y, angle: this.angle,
+      vx: this.vx, vy: this.vy, omega: this.omega,
+      relativeDensity: this.relativeDensity,
+      restitution: this.restitution,
+      friction: this.friction,
+    };
+  }
+}
+
+// Contact between two bodies at world point (x, y): `normal` points out of
+// `b` toward `a`, `depth` is the penetration. Both bodies are separated in
+// proportion to their masses and exchange a normal + friction impulse.
+export function resolvePairContact(a, b, x, y, nx, ny, depth) {
+  const totalMass = a.mass + b.mass;
+  a.x += nx * depth * (b.mass / totalMass);
+  a.y += ny * depth * (b.mass / totalMass);
+  b.x -= nx * depth * (a.mass / totalMass);
+  b.y -= ny * depth * (a.mass / totalMass);
+
+  const rax = x - a.x, ray = y - a.y;
+  const rbx = x - b.x, rby = y - b.y;
+  const rvx = (a.vx - a.omega * ray) - (b.vx - b.omega * rby);
+  const rvy = (a.vy + a.omega * rax) - (b.vy + b.omega * rbx);
+  const vn = rvx * nx + rvy * ny;
+  if (vn >= 0) return;
+
+  const ran = rax * ny - ray * nx;
+  const rbn = rbx * ny - rby * nx;
+  const invMass = 1 / a.mass + 1 / b.mass + (ran * ran) / a.inertia + (rbn * rbn) / b.inertia;
+  const restitution = Math.min(a.restitution, b.restitution);
+  const jn = -(1 + restitution) * vn / invMass;
+
+  const tx = -ny, ty = nx;
+  const vt = rvx * tx + rvy * ty;
+  const rat = rax * ty - ray * tx;
+  const rbt = rbx * ty - rby * tx;
+  const invMassT = 1 / a.mass + 1 / b.mass + (rat * rat) / a.inertia + (rbt * rbt) / b.inertia;
+  const maxJt = Math.sqrt(a.friction * b.friction) * jn;
+  let jt = -vt / invMassT;
+  jt = jt < -maxJt ? -maxJt : (jt > maxJt ? maxJt : jt);
+
+  const jx = nx * jn + tx * jt;
+  const jy = ny * jn + ty * jt;
+  a.vx += jx / a.mass;
+  a.vy += jy / a.mass;
+  a.omega += (rax * jy - ray * jx) / a.inertia;
+  b.vx -= jx / b.mass;
+  b.vy -= jy / b.mass;
+  b.omega -= (rbx * jy - rby * jx) / b.inertia;
+}
+
+// Rebuilds a body from toJSON() output (or a structured clone of a body)
+export function bodyFromJSON(data) {
+  return new RigidBody(shapeFromJSON(data.shape), data.x, data.y, data);
+}
+
+// Ready-made bodies for the UI. `size` is roughly the body's width in px.
+export function createBody(kind, x, y, size = 60, options = {}) {
+  switch (kind) {
+    case 'box':
+      return new RigidBody(new PolygonShape([
+        { x: -size / 2, y: -size / 2 }, { x: size / 2, y: -size / 2 },
+        { x: size / 2, y: size / 2 }, { x: -size / 2, y: size / 2 },
+      ]), x, y, { relativeDensity: 0.5, ...options, kind });
+
+    case 'ball':
+      return new RigidBody(new CircleShape(0, 0, size / 2), x, y,
+        { relativeDensity: 1.6, restitution: 0.4, ...options, kind });
+
+    case 'boat': {
+      // Shallow hull with a cabin; concave, so it rights itself when tipped
+      const w = size * 1.6;
+      const d = size * 0.35;
+      return new RigidBody(new PolygonShape([
+        { x: -w / 2, y: -d / 2 }, { x: -w * 0.15, y: -d / 2 },
+        { x: -w * 0.15, y: -d * 1.4 }, { x: w * 0.15, y: -d * 1.4 },
+        { x: w * 0.15, y: -d / 2 }, { x: w / 2, y: -d / 2 },
+        { x: w * 0.32, y: d / 2 }, { x: -w * 0.32, y: d / 2 },
+      ]), x, y, { relativeDensity: 0.35, ...options, kind });
+    }
+
+    default:
+      throw new Error(`Unknown body kind: ${kind}`);
+  }
+}
+
+export const BODY_KINDS = ['box', 'ball', 'boat'];
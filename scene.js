@@ -0,0 +1,214 @@
+// ============================================================
+// Scene Documents - saving and loading a whole simulation
+// ============================================================
+// A scene wraps SPHSimulation.getState() together with what the app keeps
+// around it (canvas size, color scheme, hand settings) and a format version.
+// It is written either as readable JSON or as a compact binary snapshot in
+// which the particle data are raw typed arrays.
+//
+// Binary layout (header little-endian):
+//   0  'SPHS' magic
+//   4  uint32 format version
+//   8  uint32 byte length L of the UTF-8 JSON metadata
+//   12 JSON metadata: the scene without particle arrays, padded to 4 bytes
+//   .. float32 positions (2n), velocities (2n), mix (n * materialCount)
+//   .. uint8 materials (n)
+// The float arrays are stored in host byte order, which is little-endian on
+// every platform browsers run on.
+
+import { MATERIAL_COUNT } from './materials.js';
+import { shapeFromJSON } from './boundaries.js';
+
+export const SCENE_FORMAT = 'sph-scene';
+export const SCENE_VERSION = 1;
+
+const MAGIC = [0x53, 0x50, 0x48, 0x53]; // 'SPHS'
+const HEADER_BYTES = 12;
+
+// Builds a scene document from a simulation state and the app settings
+export function createScene(state, { width, height, colorScheme = null, hands = null }) {
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    canvas: { width, height },
+    colorScheme,
+    hands,
+    simulation: state,
+  };
+}
+
+// -- JSON form --
+
+// Typed arrays become plain arrays (floats rounded to 1/1000 px) and number
+// arrays are kept on one line so the rest of the document stays readable
+export function sceneToJSON(scene) {
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const text = JSON.stringify(scene, (key, value) => {
+    if (value instanceof Float32Array) return Array.from(value, round);
+    if (value instanceof Uint8Array) return Array.from(value);
+    return value;
+  }, 2);
+  return text.replace(/\[\s+(-?[\d.e+-]+(?:,\s+-?[\d.e+-]+)*)\s+\]/g,
+    (match, items) => `[${items.replace(/\s+/g, '')}]`);
+}
+
+// -- Binary form --
+
+export function encodeSceneBinary(scene) {
+  const { particles } = scene.simulation;
+  const n = particles.count;
+  const meta = {
+    ...scene,
+    simulation: {
+      ...scene.simulation,
+      particles: { count: n, materialCount: MATERIAL_COUNT },
+    },
+  };
+  const json = new TextEncoder().encode(JSON.stringify(meta));
+  const dataStart = (HEADER_BYTES + json.length + 3) & ~3;
+  const floats = n * 4 + n * MATERIAL_COUNT;
+  const buffer = new ArrayBuffer(dataStart + floats * 4 + n);
+
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  bytes.set(MAGIC, 0);
+  view.setUint32(4, scene.version, true);
+  view.setUint32(8, json.length, true);
+  bytes.set(json, HEADER_BYTES);
+
+  let offset = dataStart;
+  for (const [src, length] of [
+    [particles.positions, n * 2],
+    [particles.velocities, n * 2],
+    [particles.mix, n * MATERIAL_COUNT],
+  ]) {
+    new Float32Array(buffer, offset, length).set(src);
+    offset += length * 4;
+  }
+  bytes.set(particles.materials, offset);
+  return buffer;
+}
+
+function isBinaryScene(bytes) {
+  return bytes.length >= HEADER_BYTES && MAGIC.every((b, i) => bytes[i] === b);
+}
+
+function decodeSceneBinary(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const jsonLength = view.getUint32(8, true);
+  if (HEADER_BYTES + jsonLength > bytes.length) {
+    throw new Error('Scene file is truncated');
+  }
+  const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(HEADER_BYTES, HEADER_BYTES + jsonLength)));
+  if (meta.version !== view.getUint32(4, true)) {
+    throw new Error('Scene header and metadata disagree on the version');
+  }
+
+  const { count: n, materialCount } = meta.simulation.particles;
+  const dataStart = (HEADER_BYTES + jsonLength + 3) & ~3;
+  if (dataStart + (n * 4 + n * materialCount) * 4 + n > bytes.length) {
+    throw new Error('Scene file is truncated');
+  }
+
+  let offset = dataStart;
+  const floats = (length) => {
+    // Copy rather than view so the result does not pin the whole file
+    const out = new Float32Array(buffer.slice(offset, offset + length * 4));
+    offset += length * 4;
+    return out;
+  };
+  const positions = floats(n * 2);
+  const velocities = floats(n * 2);
+  const mix = floats(n * materialCount);
+  const materials = bytes.slice(offset, offset + n);
+
+  meta.simulation.particles = { count: n, materialCount, positions, velocities, materials, mix };
+  return meta;
+}
+
+// -- Loading --
+
+// Turns a file's contents into a plain document: JSON text, the bytes of
+// JSON text or of a binary scene (e.g. a dropped file), or an already parsed
+// object, which is passed through
+export function decodeDocument(input) {
+  if (typeof input === 'string') return JSON.parse(input);
+  if (!(input instanceof ArrayBuffer) && !ArrayBuffer.isView(input)) return input;
+  const bytes = ArrayBuffer.isView(input)
+    ? new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+    : new Uint8Array(input);
+  return isBinaryScene(bytes)
+    ? decodeSceneBinary(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+    : JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Reads a scene from anything decodeDocument() takes. Throws if it is not a
+// scene this version understands.
+export function parseScene(input) {
+  return checkScene(decodeDocument(input));
+}
+
+function checkScene(scene) {
+  if (!scene || scene.format !== SCENE_FORMAT) {
+    throw new Error('Not a scene file');
+  }
+  if (!Number.isInteger(scene.version) || scene.version < 1) {
+    throw new Error(`Invalid scene version: ${scene.version}`);
+  }
+  if (scene.version > SCENE_VERSION) {
+    throw new Error(`Scene version ${scene.version} is newer than this app supports (${SCENE_VERSION})`);
+  }
+  // Older versions would be migrated to the current one here
+
+  const particles = scene.simulation && scene.simulation.particles;
+  if (!scene.canvas || !particles) throw new Error('Scene is missing its canvas or particles');
+  const n = particles.count;
+  particles.positions = Float32Array.from(particles.positions);
+  particles.velocities = Float32Array.from(particles.velocities);
+  particles.materials = Uint8Array.from(particles.materials);
+  if (particles.positions.length !== n * 2 || particles.velocities.length !== n * 2 ||
+      particles.materials.length !== n) {
+    throw new Error(`Scene particle arrays do not match its particle count ${n}`);
+  }
+  // Color mixes saved with a different material list cannot be mapped
+  const mixUsable = particles.mix && (particles.materialCount ?? MATERIAL_COUNT) === MATERIAL_COUNT &&
+    particles.mix.length === n * MATERIAL_COUNT;
+  particles.mix = mixUsable ? Float32Array.from(particles.mix) : null;
+  particles.materialCount = MATERIAL_COUNT;
+  return scene;
+}
+
+// Returns a copy of the scene stretched to a canvas of width x height.
+// Particles, obstacles, drains and the positions of bodies and emitters
+// follow the canvas; body sizes stay as they are.
+export function rescaleScene(scene, width, height) {
+  const sx = width / scene.canvas.width;
+  const sy = height / scene.canvas.height;
+  if (sx === 1 && sy === 1) return scene;
+
+  const sim = scene.simulation;
+  const { particles } = sim;
+  const positions = Float32Array.from(particles.positions);
+  const velocities = Float32Array.from(particles.velocities);
+  for (let i = 0; i < particles.count; i++) {
+    positions[2 * i] *= sx;
+    positions[2 * i + 1] *= sy;
+    velocities[2 * i] *= sx;
+    velocities[2 * i + 1] *= sy;
+  }
+  const scaleShape = (shape) => shapeFromJSON(shape).scaled(sx, sy);
+
+  return {
+    ...scene,
+    canvas: { width, height },
+    simulation: {
+      ...sim,
+      particles: { ...particles, positions, velocities },
+      obstacles: (sim.obstacles || []).map((o) => ({ ...o, shape: scaleShape(o.shape) })),
+      drains: (sim.drains || []).map((d) => ({ ...d, shape: scaleShape(d.shape) })),
+      bodies: (sim.bodies || []).map((b) => ({ ...b, x: b.x * sx, y: b.y * sy })),
+      emitters: (sim.emitters || []).map((e) => ({ ...e, x: e.x * sx, y: e.y * sy })),
+    },
+  };
+}
@@ -0,0 +1,283 @@
+// ============================================================
+// Named Scenes - starting setups shared by the app and the CLI
+// ============================================================
+// Each scene describes a starting state in plain data, laid out relative to
+// the tank size, and buildScene() sets a simulation up from it. Nothing here
+// touches the DOM, so scenes also run headless (cli.js, tests).
+
+import { DEFAULT_PARAMS } from './sph.js';
+import { SegmentShape, CircleShape, PolygonShape } from './boundaries.js';
+import { createBody } from './rigidbody.js';
+import { Emitter, EMITTER_KINDS } from './sources.js';
+import { DEFAULT_GRAVITY } from './gravitycontrol.js';
+import { applyAction } from './recorder.js';
+
+// Demo obstacle layouts, laid out relative to the canvas size
+export const OBSTACLE_LAYOUTS = {
+  none: () => [],
+  funnel: (w, h) => [
+    new SegmentShape(w * 0.2, h * 0.3, w * 0.46, h * 0.55, 10),
+    new SegmentShape(w * 0.8, h * 0.3, w * 0.54, h * 0.55, 10),
+  ],
+  cup: (w, h) => [
+    new PolygonShape([
+      { x: w * 0.38, y: h * 0.55 }, { x: w * 0.40, y: h * 0.55 },
+      { x: w * 0.40, y: h * 0.80 }, { x: w * 0.60, y: h * 0.80 },
+      { x: w * 0.60, y: h * 0.55 }, { x: w * 0.62, y: h * 0.55 },
+      { x: w * 0.62, y: h * 0.84 }, { x: w * 0.38, y: h * 0.84 },
+    ]),
+  ],
+  ramp: (w, h) => [
+    new SegmentShape(w * 0.05, h * 0.25, w * 0.6, h * 0.42, 10),
+    new SegmentShape(w * 0.95, h * 0.52, w * 0.4, h * 0.7, 10),
+    new CircleShape(w * 0.25, h * 0.82, Math.min(w, h) * 0.05),
+  ],
+};
+
+// Default spacing between the particles of a fluid region (px) and most
+// particles a scene starts with; spacing widens on large tanks to stay
+// under it
+const SPACING = 10;
+const PARTICLE_BUDGET = 1500;
+
+// Declarative scenes. Positions and sizes are fractions of the tank: x of
+// its width, y of its height, radii of its shorter side. Speeds, gravity and
+// spacing stay in px, so the water behaves the same on any canvas.
+//   description
+//   fluid: [region, ...]        see below
+//   gravity: { x, y }           px/s², default straight down
+//   params: { ... }             overrides on DEFAULT_PARAMS (sph.js)
+//   obstacles: 'funnel'         an OBSTACLE_LAYOUTS name
+//   emitters: [{ x, y, kind }]  kind from EMITTER_KINDS
+//   drains: [{ x, y, radius }]
+//   bodies: [{ kind, x, y }]    kind from BODY_KINDS
+//   particleBudget              default PARTICLE_BUDGET
+// Fluid regions, each with optional spacing (px), material and velocity
+// { x, y } (px/s):
+//   { type: 'grid', x, y, width, height }    rectangle from its top-left
+//   { type: 'blob', x, y, radius }           disc
+//   { type: 'polygon', points: [[x, y], ...] }
+export const SCENES = {
+  blobs: {
+    description: 'Two blobs of water dropped into an empty tank',
+    fluid: [
+      { type: 'blob', x: 0.3, y: 0.3, radius: 0.15 },
+      { type: 'blob', x: 0.7, y: 0.5, radius: 0.15 },
+    ],
+  },
+  dam: {
+    description: 'Dam break: a block of water released against the left wall',
+    fluid: [{ type: 'grid', x: 0, y: 0.48, width: 0.2, height: 0.52 }],
+  },
+  'double-dam': {
+    description: 'Two blocks of water released from both walls, meeting in the middle',
+    fluid: [
+      { type: 'grid', x: 0, y: 0.5, width: 0.18, height: 0.5 },
+      { type: 'grid', x: 0.82, y: 0.5, width: 0.18, height: 0.5 },
+    ],
+  },
+  droplet: {
+    description: 'A droplet thrown into a shallow pool',
+    fluid: [
+      { type: 'grid', x: 0, y: 0.82, width: 1, height: 0.18 },
+      { type: 'blob', x: 0.5, y: 0.35, radius: 0.07, velocity: { x: 0, y: 400 } },
+    ],
+  },
+  'zero-g': {
+    description: 'Zero gravity: a droplet drifting into a blob held together by surface tension',
+    gravity: { x: 0, y: 0 },
+    params: { surfaceTension: 600 },
+    fluid: [
+      { type: 'blob', x: 0.55, y: 0.5, radius: 0.14 },
+      { type: 'blob', x: 0.15, y: 0.45, radius: 0.05, velocity: { x: 150, y: 0 } },
+    ],
+  },
+  'wave-tank': {
+    description: 'A raised bank of water collapsing into a wave that runs down the tank',
+    fluid: [{
+      type: 'polygon',
+      points: [[0, 1], [0, 0.55], [0.18, 0.55], [0.3, 0.82], [1, 0.82], [1, 1]],
+    }],
+  },
+  column: {
+    description: 'A narrow column of water settling on the floor',
+    fluid: [{ type: 'grid', x: 0.44, y: 0.6, width: 0.12, height: 0.4 }],
+  },
+  funnel: {
+    description: 'Water poured through a funnel',
+    obstacles: 'funnel',
+    fluid: [{ type: 'blob', x: 0.35, y: 0.17, radius: 0.16 }],
+  },
+  cup: {
+    description: 'Water falling into a cup',
+    obstacles: 'cup',
+    fluid: [{ type: 'blob', x: 0.5, y: 0.3, radius: 0.16 }],
+  },
+  ramp: {
+    description: 'Water running down two ramps onto a rock',
+    obstacles: 'ramp',
+    fluid: [{ type: 'blob', x: 0.15, y: 0.16, radius: 0.15 }],
+  },
+  fountain: {
+    description: 'A fountain feeding a pool with a drain in the corner',
+    fluid: [{ type: 'grid', x: 0.25, y: 0.88, width: 0.5, height: 0.1 }],
+    emitters: [{ x: 0.5, y: 0.97, kind: 'fountain' }],
+    drains: [{ x: 0.99, y: 0.98, radius: 0.07 }],
+  },
+  boats: {
+    description: 'A pool with a boat, a box and a ball',
+    fluid: [{ type: 'grid', x: 0.08, y: 0.82, width: 0.84, height: 0.17 }],
+    bodies: [
+      { kind: 'boat', x: 0.3, y: 0.73 },
+      { kind: 'box', x: 0.55, y: 0.7 },
+      { kind: 'ball', x: 0.75, y: 0.67 },
+    ],
+  },
+};
+
+// Point-in-polygon by ray crossings; `points` is [[x, y], ...] in px
+function insidePolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < xi + ((y - yi) / (yj - yi)) * (xj - xi)) inside = !inside;
+  }
+  return inside;
+}
+
+// Lattice points (flat [x0, y0, ...], px) filling `region` in a w x h tank
+function fillRegion(region, w, h, spacing) {
+  let left, top, right, bottom, contains;
+  switch (region.type) {
+    case 'grid':
+      left = region.x * w;
+      top = region.y * h;
+      right = left + region.width * w;
+      bottom = top + region.height * h;
+      contains = () => true;
+      break;
+    case 'blob': {
+      const cx = region.x * w;
+      const cy = region.y * h;
+      const r = region.radius * Math.min(w, h);
+      left = cx - r;
+      top = cy - r;
+      right = cx + r;
+      bottom = cy + r;
+      contains = (x, y) => (x - cx) ** 2 + (y - cy) ** 2 <= r * r;
+      break;
+    }
+    case 'polygon': {
+      const points = region.points.map(([x, y]) => [x * w, y * h]);
+      left = Math.min(...points.map((p) => p[0]));
+      right = Math.max(...points.map((p) => p[0]));
+      top = Math.min(...points.map((p) => p[1]));
+      bottom = Math.max(...points.map((p) => p[1]));
+      contains = (x, y) => insidePolygon(points, x, y);
+      break;
+    }
+    default:
+      throw new TypeError(`Unknown fluid region type: ${region.type} (grid, blob or polygon)`);
+  }
+  // Centre the lattice in the bounding box, keeping off its edges
+  const cols = Math.max(1, Math.floor((right - left) / spacing));
+  const rows = Math.max(1, Math.floor((bottom - top) / spacing));
+  const x0 = (left + right) / 2 - ((cols - 1) * spacing) / 2;
+  const y0 = (top + bottom) / 2 - ((rows - 1) * spacing) / 2;
+  const out = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const x = x0 + i * spacing;
+      const y = y0 + j * spacing;
+      if (contains(x, y)) out.push(x, y);
+    }
+  }
+  return out;
+}
+
+// The particles of a scene's fluid regions in a w x h tank:
+// [{ points, velocity, material }] with points as flat [x0, y0, ...] px
+export function sceneFluid(scene, w, h) {
+  const regions = scene.fluid || [];
+  const budget = scene.particleBudget ?? PARTICLE_BUDGET;
+  // Spread out far enough, every region shrinks to at most one particle
+  if (!Number.isInteger(budget) || budget < regions.length) {
+    throw new RangeError(`Scene particleBudget must be an integer of at least ${regions.length} ` +
+      `(one per fluid region): ${budget}`);
+  }
+  const fill = (stretch) => regions.map((region) => ({
+    points: fillRegion(region, w, h, (region.spacing ?? SPACING) * stretch),
+    velocity: region.velocity || { x: 0, y: 0 },
+    material: region.material ?? 0,
+  }));
+  const count = (fluid) => fluid.reduce((sum, { points }) => sum + points.length / 2, 0);
+
+  let fluid = fill(1);
+  // Area goes with spacing squared; widen a little more until it fits
+  let stretch = Math.sqrt(Math.max(1, count(fluid) / budget));
+  if (stretch > 1) fluid = fill(stretch);
+  while (count(fluid) > budget) {
+    stretch *= 1.03;
+    fluid = fill(stretch);
+  }
+  return fluid;
+}
+
+function resolveScene(scene) {
+  if (typeof scene !== 'string') return scene;
+  if (!SCENES[scene]) {
+    throw new Error(`Unknown scene: ${scene} (available: ${Object.keys(SCENES).join(', ')})`);
+  }
+  return SCENES[scene];
+}
+
+function lookup(table, name, what) {
+  if (!table[name]) {
+    throw new Error(`Unknown ${what}: ${name} (available: ${Object.keys(table).join(', ')})`);
+  }
+  return table[name];
+}
+
+// Adds a scene's fluid only, e.g. to refill a tank whose obstacles stay
+export function spawnSceneFluid(sim, scene, width = sim.width, height = sim.height,
+  call = (name, ...args) => applyAction(sim, { name, args })) {
+  for (const { points, velocity, material } of sceneFluid(resolveScene(scene), width, height)) {
+    if (points.length > 0) call('spawnPoints', points, velocity.x, velocity.y, material);
+  }
+}
+
+// Replaces what is in `sim` with a scene: a SCENES name or a description
+// in the same form. Every change goes through `call(name, ...args)`, a
+// recorder.js action, so the app can route it through its recorder; throws
+// for unknown names. Gravity is switched back on unless the scene is
+// weightless.
+export function buildScene(sim, scene, width = sim.width, height = sim.height,
+  call = (name, ...args) => applyAction(sim, { name, args })) {
+  const description = resolveScene(scene);
+  const gravity = description.gravity || { x: 0, y: DEFAULT_GRAVITY };
+  call('reset');
+  call('clearObstacles');
+  call('clearEmitters');
+  call('clearDrains');
+  call('setParams', { ...DEFAULT_PARAMS, ...description.params });
+  call('setGravity', gravity.x, gravity.y);
+  if (gravity.x !== 0 || gravity.y !== 0) call('gravity', true);
+
+  if (description.obstacles) {
+    for (const shape of lookup(OBSTACLE_LAYOUTS, description.obstacles, 'obstacle layout')(width, height)) {
+      call('addObstacle', shape);
+    }
+  }
+  const size = Math.min(width, height);
+  for (const { x, y, kind } of description.emitters || []) {
+    call('addEmitter', new Emitter(x * width, y * height, lookup(EMITTER_KINDS, kind, 'emitter kind')));
+  }
+  for (const { x, y, radius } of description.drains || []) {
+    call('addDrain', new CircleShape(x * width, y * height, radius * size));
+  }
+  for (const { kind, x, y } of description.bodies || []) {
+    call('addBody', createBody(kind, x * width, y * height));
+  }
+  spawnSceneFluid(sim, description, width, height, call);
+}
@@ -0,0 +1,112 @@
+// ============================================================
+// Simulation Worker - runs SPHSimulation off the main thread
+// ============================================================
+// Driven by WorkerSimulation (workersim.js). After every step the particle
+// positions are posted back, either through a double-buffered
+// SharedArrayBuffer or as a transferred ArrayBuffer copy.
+
+import { SPHSimulation } from './sph.js';
+
+// Methods the main thread may invoke with a 'call' message
+const CALLABLE = new Set([
+  'spawnBlob', 'spawnGrid', 'spawnPoints', 'setHandForces', 'reset', 'resize', 'setParams', 'addVelocity',
+  'addObstacle', 'removeObstacle', 'clearObstacles', 'setBoundaryParticles',
+  'addBody', 'removeBody', 'clearBodies',
+  'addEmitter', 'removeEmitter', 'clearEmitters', 'addDrain', 'removeDrain', 'clearDrains',
+  'setState',
+]);
+
+let sim = null;
+let useShared = false;
+let sharedView = null;   // two halves: [front 0 | front 1]
+let sharedCapacity = 0;  // floats per half
+let front = 0;
+let spareBuffers = [];   // ArrayBuffers handed back by the main thread
+
+function allocShared(floats) {
+  sharedCapacity = Math.max(floats, 2048);
+  sharedView = new Float32Array(new SharedArrayBuffer(sharedCapacity * 2 * 4));
+  return sharedView.buffer;
+}
+
+// Body poses for the proxy's local mirror
+function bodyPoses() {
+  return sim.getBodies().map((b) => ({ id: b.id, x: b.x, y: b.y, angle: b.angle }));
+}
+
+function postFrame() {
+  const count = sim.getParticleCount();
+  const floats = count * 2;
+  const positions = sim.getPositions();
+  const materials = sim.getMaterials().slice(0, count);
+
+  if (useShared) {
+    let buffer = null;
+    if (!sharedView || floats > sharedCapacity) buffer = allocShared(floats * 2);
+    front = 1 - front;
+    sharedView.set(positions.subarray(0, floats), front * sharedCapacity);
+    // `shared` is only set when the buffer had to be (re)allocated
+    self.postMessage({
+      type: 'frame', count, stats: sim.getStats(), bodies: bodyPoses(), materials,
+      front, capacity: sharedCapacity, shared: buffer,
+    }, [materials.buffer]);
+    return;
+  }
+
+  let buffer = null;
+  while (spareBuffers.length > 0) {
+    const candidate = spareBuffers.pop();
+    if (candidate.byteLength >= floats * 4) { buffer = candidate; break; }
+  }
+  if (!buffer) buffer = new ArrayBuffer(Math.max(floats, 2048) * 2 * 4);
+
+  new Float32Array(buffer).set(positions.subarray(0, floats));
+  self.postMessage(
+    {
+      type: 'frame', count, stats: sim.getStats(), bodies: bodyPoses(), materials,
+      positions: buffer,
+    },
+    [buffer, materials.buffer],
+  );
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  try {
+    switch (msg.type) {
+      case 'init':
+        sim = new SPHSimulation(msg.width, msg.height, msg.options);
+        useShared = msg.shared && typeof SharedArrayBuffer !== 'undefined';
+        break;
+
+      case 'call':
+        if (!CALLABLE.has(msg.method)) {
+          throw new Error(`Method ${msg.method} cannot be called on the worker simulation`);
+        }
+        sim[msg.method](...msg.args);
+        break;
+
+      case 'gravity':
+        sim.gravity = msg.gravity;
+        sim.gravityEnabled = msg.enabled;
+        break;
+
+      case 'getState': {
+        const state = sim.getState();
+        const p = state.particles;
+        self.postMessage({ type: 'state', state }, [
+          p.positions.buffer, p.velocities.buffer, p.materials.buffer, p.mix.buffer,
+        ]);
+        break;
+      }
+
+      case 'step':
+        if (msg.recycle) spareBuffers.push(msg.recycle);
+        sim.step(msg.elapsed);
+        postFrame();
+        break;
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
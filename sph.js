@@ -2,277 +2,1641 @@
 // SPH (Smoothed Particle Hydrodynamics) Water Simulation Engine
 // ============================================================
 
-// Kernel radius
-const H = 35;
-const H2 = H * H;
-const H4 = H2 * H2;
-const H8 = H4 * H4;
-
-// SPH kernel constants (2D)
-const POLY6_COEFF = 4.0 / (Math.PI * Math.pow(H, 8));
-const SPIKY_GRAD_COEFF = -10.0 / (Math.PI * Math.pow(H, 5));
-const VISC_LAP_COEFF = 40.0 / (Math.PI * Math.pow(H, 5));
-
-// Simulation parameters
-const REST_DENSITY = 1000;
-const GAS_CONSTANT = 2000;
-const VISCOSITY = 250;
-const PARTICLE_MASS = 65;
-const DT = 0.0008;
-const DT_MAX = 0.003;
-const SUBSTEPS = 4;
-const DAMPING = -0.5;
+import { shapeFromJSON } from './boundaries.js';
+import { RigidBody, bodyFromJSON, resolvePairContact } from './rigidbody.js';
+import { MATERIALS, MATERIAL_COUNT, getMaterial } from './materials.js';
+import { Emitter, emitterFromJSON } from './sources.js';
+import { SeededRandom } from './random.js';
+import { FALLOFFS, normalizeForce } from './forcefields.js';
+import { Whitewater } from './whitewater.js';
+
+// Default fluid parameters. Anything that defines how the fluid behaves lives
+// here so it can be overridden per simulation and tuned at runtime.
+const DEFAULT_PARAMS = {
+  h: 35,               // kernel radius (px)
+  restDensity: 1000,
+  gasConstant: 2000,
+  viscosity: 250,
+  particleMass: 65,
+  dt: 0.0008,          // fixed step, used when step() gets no frame time
+  dtMax: 0.003,
+  substeps: 4,
+  damping: -0.5,       // velocity factor on wall bounce
+
+  // Adaptive stepping (step(elapsed))
+  cflFactor: 0.4,      // fraction of a kernel radius a particle may move per step
+  maxFrameTime: 0.05,  // catch-up budget (s); longer frames run in slow motion
+  maxSubsteps: 10,
+  timeScale: 1,
+
+  bodyDrag: 15,        // how strongly floating bodies follow the local flow
+  colorDiffusion: 0,   // px^2/s; blends colors of miscible materials, 0 = off
+
+  // Surface forces (px/s^2 scale); 0 turns them off
+  surfaceTension: 0,   // cohesion + curvature between particles of one group
+  adhesion: 0,         // pull toward tank walls and obstacles
+
+  maxParticles: 4000,  // emitters pause at this many particles
+};
+
+// Valid range for each parameter. Also drives the tuning panel sliders.
+const PARAM_SPECS = {
+  h:            { label: 'Kernel radius', min: 15, max: 80, step: 1 },
+  restDensity:  { label: 'Rest density', min: 0, max: 5000, step: 1 },
+  gasConstant:  { label: 'Stiffness', min: 50, max: 20000, step: 50 },
+  viscosity:    { label: 'Viscosity', min: 0, max: 5000, step: 10 },
+  particleMass: { label: 'Particle mass', min: 5, max: 500, step: 1 },
+  dt:           { label: 'Time step', min: 0.0001, max: 0.003, step: 0.0001 },
+  dtMax:        { label: 'Max time step', min: 0.0005, max: 0.01, step: 0.0005 },
+  substeps:     { label: 'Substeps', min: 1, max: 16, step: 1, integer: true },
+  damping:      { label: 'Wall bounce', min: -1, max: 0, step: 0.05 },
+  cflFactor:    { label: 'CFL factor', min: 0.05, max: 1, step: 0.05 },
+  maxFrameTime: { label: 'Catch-up budget', min: 0.005, max: 0.2, step: 0.005 },
+  maxSubsteps:  { label: 'Max substeps', min: 1, max: 40, step: 1, integer: true },
+  timeScale:    { label: 'Time scale', min: 0.05, max: 2, step: 0.05 },
+  bodyDrag:     { label: 'Body drag', min: 0, max: 100, step: 1 },
+  colorDiffusion: { label: 'Color mixing', min: 0, max: 2000, step: 10 },
+  surfaceTension: { label: 'Surface tension', min: 0, max: 2000, step: 10 },
+  adhesion:     { label: 'Wall adhesion', min: 0, max: 2000, step: 10 },
+  maxParticles: { label: 'Particle budget', min: 0, max: 20000, step: 100, integer: true },
+};
+
+// Starting points for common fluids; applied on top of DEFAULT_PARAMS
+const PARAM_PRESETS = {
+  water: {},
+  honey: { viscosity: 3000, gasConstant: 1500, damping: -0.1 },
+  gas:   { restDensity: 1, gasConstant: 4000, viscosity: 20, damping: -0.9 },
+  droplets: { surfaceTension: 600, adhesion: 300 },
+};
+
+// Kept for modules that need a sensible default before a simulation exists
+const H = DEFAULT_PARAMS.h;
 const PARTICLE_RADIUS = 6;
 
-class SpatialHash {
+// Adaptive steps never go below this, even if the fluid is blowing up
+const DT_MIN = 0.00002;
+
+// Obstacle surfaces are sampled this many times per kernel radius
+const BOUNDARY_SAMPLES_PER_H = 4;
+
+// Scratch vectors for contact queries and emitters
+const contactNormal = { x: 0, y: 0 };
+const emitted = { x: 0, y: 0, vx: 0, vy: 0 };
+const bodyVelocity = { x: 0, y: 0 };
+
+// A hull sample counts toward the waterline once it is this wet
+const WET_THRESHOLD = 0.3;
+
+// How fast a grabbed body matches the hand's velocity (1/s)
+const GRAB_GAIN = 12;
+
+// Normalizes the cohesion kernel shape over the 2D disc (times h^-8)
+const COHESION_NORM = 54.585;
+
+// Particle storage starts at this many slots and doubles when full
+const INITIAL_CAPACITY = 1024;
+
+// Throws if any key of a (partial) parameter object is unknown or its value
+// is outside the range given in PARAM_SPECS
+function validateParams(params) {
+  for (const key of Object.keys(params)) {
+    const spec = PARAM_SPECS[key];
+    if (!spec) {
+      throw new Error(`Unknown simulation parameter: ${key}`);
+    }
+    const value = params[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TypeError(`Parameter ${key} must be a finite number, got ${value}`);
+    }
+    if (value < spec.min || value > spec.max) {
+      throw new RangeError(`Parameter ${key} must be within [${spec.min}, ${spec.max}], got ${value}`);
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+      throw new RangeError(`Parameter ${key} must be an integer, got ${value}`);
+    }
+  }
+}
+
+// Uniform grid over the tank, rebuilt each substep with a counting sort.
+// Particles end up ordered by cell in `sorted`, and the particles of cell c
+// are sorted[cellStart[c] .. cellStart[c + 1]). Since cells are numbered row
+// by row, a run of adjacent cells in one row is also one contiguous range.
+// Particles outside the tank are clamped into the border cells.
+class SpatialGrid {
   constructor(cellSize) {
     this.cellSize = cellSize;
-    this.grid = new Map();
+    this.width = 0;
+    this.height = 0;
+    this.cols = 1;
+    this.rows = 1;
+    this.cellStart = new Int32Array(2);
+    this.cellCursor = new Int32Array(1);
+    this.particleCell = new Int32Array(0);
+    this.sorted = new Int32Array(0);
+  }
+
+  setCellSize(cellSize) {
+    this.cellSize = cellSize;
+    this.resize(this.width, this.height);
   }
 
-  clear() {
-    this.grid.clear();
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+    const cellCount = this.cols * this.rows;
+    if (this.cellStart.length < cellCount + 1) {
+      this.cellStart = new Int32Array(cellCount + 1);
+      this.cellCursor = new Int32Array(cellCount);
+    }
   }
 
-  getKey(x, y) {
+  cellX(x) {
     const cx = Math.floor(x / this.cellSize);
+    return cx < 0 ? 0 : (cx >= this.cols ? this.cols - 1 : cx);
+  }
+
+  cellY(y) {
     const cy = Math.floor(y / this.cellSize);
-    return (cx * 73856093) ^ (cy * 19349663);
+    return cy < 0 ? 0 : (cy >= this.rows ? this.rows - 1 : cy);
   }
 
-  insert(particle) {
-    const key = this.getKey(particle.x, particle.y);
-    if (!this.grid.has(key)) {
-      this.grid.set(key, []);
+  build(positions, count) {
+    if (this.sorted.length < count) {
+      this.sorted = new Int32Array(positions.length / 2);
+      this.particleCell = new Int32Array(positions.length / 2);
+    }
+
+    const cellCount = this.cols * this.rows;
+    const cellStart = this.cellStart;
+    const cellCursor = this.cellCursor;
+    const particleCell = this.particleCell;
+    const sorted = this.sorted;
+    cellStart.fill(0, 0, cellCount + 1);
+
+    // Count particles per cell (shifted by one for the prefix sum)
+    for (let i = 0; i < count; i++) {
+      const c = this.cellY(positions[2 * i + 1]) * this.cols + this.cellX(positions[2 * i]);
+      particleCell[i] = c;
+      cellStart[c + 1]++;
+    }
+
+    for (let c = 0; c < cellCount; c++) {
+      cellStart[c + 1] += cellStart[c];
+    }
+
+    cellCursor.set(cellStart.subarray(0, cellCount));
+    for (let i = 0; i < count; i++) {
+      sorted[cellCursor[particleCell[i]]++] = i;
     }
-    this.grid.get(key).push(particle);
   }
 
-  getNeighbors(x, y) {
-    const neighbors = [];
-    const cx = Math.floor(x / this.cellSize);
-    const cy = Math.floor(y / this.cellSize);
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        const key = ((cx + dx) * 73856093) ^ ((cy + dy) * 19349663);
-        const cell = this.grid.get(key);
-        if (cell) {
-          for (let i = 0; i < cell.length; i++) {
-            neighbors.push(cell[i]);
-          }
-        }
+  // Writes the indices of all particles in the 3x3 cells around (x, y) into
+  // `out` and returns how many were written. `out` must be large enough.
+  getNeighbors(x, y, out) {
+    const cx = this.cellX(x);
+    const cy = this.cellY(y);
+    const x0 = cx > 0 ? cx - 1 : 0;
+    const x1 = cx < this.cols - 1 ? cx + 1 : cx;
+    const y0 = cy > 0 ? cy - 1 : 0;
+    const y1 = cy < this.rows - 1 ? cy + 1 : cy;
+    let n = 0;
+    for (let gy = y0; gy <= y1; gy++) {
+      const row = gy * this.cols;
+      const end = this.cellStart[row + x1 + 1];
+      for (let k = this.cellStart[row + x0]; k < end; k++) {
+        out[n++] = this.sorted[k];
       }
     }
-    return neighbors;
+    return n;
   }
 }
 
+// `options` holds parameter overrides (see DEFAULT_PARAMS) plus `seed` for
+// the particle jitter, or `random`, any object with a next() in [0, 1)
 export class SPHSimulation {
-  constructor(width, height) {
+  constructor(width, height, options = {}) {
+    const { seed, random, ...params } = options;
     this.width = width;
     this.height = height;
-    this.particles = [];
     this.gravity = { x: 0, y: 400 };
     this.gravityEnabled = true;
-    this.spatialHash = new SpatialHash(H);
+
+    // Structure-of-arrays particle storage. Vector quantities are
+    // interleaved (x0, y0, x1, y1, ...). Arrays are reallocated when they
+    // grow, so callers should go through the accessors every frame instead
+    // of holding on to them.
+    this.count = 0;
+    this.capacity = 0;
+    this.positions = new Float32Array(0);
+    this.velocities = new Float32Array(0);
+    this.forces = new Float32Array(0);
+    this.densities = new Float32Array(0);
+    this.pressures = new Float32Array(0);
+    this.normals = new Float32Array(0);  // surface normals, for surface tension
+    this.materials = new Uint8Array(0);
+    // Per-particle share of each material's color, MATERIAL_COUNT per
+    // particle. One-hot until colorDiffusion blends miscible neighbors.
+    this.mix = new Float32Array(0);
+    this.mixRates = new Float32Array(0);
+    this.ensureCapacity(INITIAL_CAPACITY);
+
+    // Per-material constants derived from the base parameters
+    this.materialMass = new Float32Array(MATERIAL_COUNT);
+    this.materialRestDensity = new Float32Array(MATERIAL_COUNT);
+    this.materialViscosity = new Float32Array(MATERIAL_COUNT);
+    this.materialTension = new Float32Array(MATERIAL_COUNT);
+    this.materialGroup = new Int32Array(MATERIAL_COUNT);
+
+    // Static obstacles. With boundaryParticles on, their surfaces are also
+    // sampled into fixed particles that add to the fluid density, so it does
+    // not collapse against walls, and push back with mirrored pressure.
+    this.obstacles = []; // {id, shape, bounds, restitution, friction}
+    this.nextObstacleId = 1;
+    this.boundaryParticles = true;
+    this.boundaryCount = 0;
+    this.boundaryPositions = new Float32Array(0);
+    this.boundaryDirty = false;
+
+    // Dynamic rigid bodies, two-way coupled with the fluid
+    this.bodies = [];
+    this.nextBodyId = 1;
+    this.fluidDensity = 1;  // mean particle density, the reference for buoyancy
+
+    // Sources and sinks: emitters add particles every step, drains (shapes
+    // from boundaries.js) remove the particles that enter them
+    this.emitters = [];
+    this.nextEmitterId = 1;
+    this.drains = []; // {id, shape, bounds}
+    this.nextDrainId = 1;
+
+    this.params = { ...DEFAULT_PARAMS };
+    this.grid = new SpatialGrid(this.params.h);
+    this.grid.resize(width, height);
+    this.boundaryGrid = new SpatialGrid(this.params.h);
+    this.boundaryGrid.resize(width, height);
+    this.setParams(params);
+
+    // All randomness goes through here so seeded runs are reproducible
+    this.random = random || new SeededRandom(seed);
 
     // Hand interaction
-    this.handForces = []; // {x, y, vx, vy, radius}
+    this.handForces = []; // force fields, see forcefields.js normalizeForce()
+
+    // What the last step() did, for the stats line
+    this.stats = { substeps: 0, dt: 0, simTime: 0 };
+
+    // Largest viscous relaxation rate (1/s) seen by computeForces()
+    this.maxViscRate = 0;
+
+    // Spray, foam and bubbles (whitewater.js); off until setWhitewater()
+    this.whitewater = null;
+  }
+
+  // Validates and applies a partial parameter update. Throws without changing
+  // anything if a key is unknown or a value is out of range.
+  setParams(params) {
+    validateParams(params);
+    Object.assign(this.params, params);
+    this.updateKernel();
+    this.updateMaterials();
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  // Precompute the 2D kernel coefficients for the current kernel radius
+  updateKernel() {
+    const h = this.params.h;
+    this.h = h;
+    this.h2 = h * h;
+    this.poly6Coeff = 4.0 / (Math.PI * Math.pow(h, 8));
+    this.spikyGradCoeff = -10.0 / (Math.PI * Math.pow(h, 5));
+    this.viscLapCoeff = 40.0 / (Math.PI * Math.pow(h, 5));
+    this.cohesionCoeff = COHESION_NORM / Math.pow(h, 8);
+    this.grid.setCellSize(h);
+    this.boundaryGrid.setCellSize(h);
+    this.boundaryDirty = true;
+  }
+
+  updateMaterials() {
+    const { particleMass, restDensity, viscosity, surfaceTension } = this.params;
+    const groups = [];
+    for (const m of MATERIALS) {
+      this.materialMass[m.id] = particleMass * m.density;
+      this.materialRestDensity[m.id] = restDensity * m.density;
+      this.materialViscosity[m.id] = viscosity * m.viscosity;
+      this.materialTension[m.id] = surfaceTension * m.tension;
+      if (!groups.includes(m.mixGroup)) groups.push(m.mixGroup);
+      this.materialGroup[m.id] = groups.indexOf(m.mixGroup);
+    }
   }
 
   resize(width, height) {
     this.width = width;
     this.height = height;
+    this.grid.resize(width, height);
+    this.boundaryGrid.resize(width, height);
+    this.boundaryDirty = true;
   }
 
-  createParticle(x, y, vx = 0, vy = 0) {
-    return {
-      x, y,
-      vx, vy,
-      fx: 0, fy: 0,
-      density: 0,
-      pressure: 0,
+  // -- Obstacles --
+
+  // Adds a static shape from boundaries.js (or its plain-object form) and
+  // returns its id. `restitution` is the share of normal velocity kept on
+  // impact, `friction` the share of tangential velocity lost.
+  addObstacle(shape, { restitution = 0.3, friction = 0.1, id } = {}) {
+    if (typeof shape.distance !== 'function') shape = shapeFromJSON(shape);
+    const obstacleId = id !== undefined ? id : this.nextObstacleId;
+    this.nextObstacleId = Math.max(this.nextObstacleId, obstacleId) + 1;
+    this.obstacles.push({ id: obstacleId, shape, bounds: shape.bounds(), restitution, friction });
+    this.boundaryDirty = true;
+    return obstacleId;
+  }
+
+  removeObstacle(id) {
+    const index = this.obstacles.findIndex((o) => o.id === id);
+    if (index === -1) return false;
+    this.obstacles.splice(index, 1);
+    this.boundaryDirty = true;
+    return true;
+  }
+
+  clearObstacles() {
+    this.obstacles = [];
+    this.boundaryDirty = true;
+  }
+
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  // -- Rigid bodies --
+
+  // Adds a RigidBody (or its toJSON() form) and returns its id
+  addBody(body, { id } = {}) {
+    if (!(body instanceof RigidBody)) body = bodyFromJSON(body);
+    body.id = id !== undefined ? id : this.nextBodyId;
+    this.nextBodyId = Math.max(this.nextBodyId, body.id) + 1;
+    body.setFluidDensity(this.fluidDensity);
+    this.bodies.push(body);
+    return body.id;
+  }
+
+  removeBody(id) {
+    const index = this.bodies.findIndex((b) => b.id === id);
+    if (index === -1) return false;
+    this.bodies.splice(index, 1);
+    return true;
+  }
+
+  clearBodies() {
+    this.bodies = [];
+  }
+
+  getBodies() {
+    return this.bodies;
+  }
+
+  // -- Emitters and drains --
+
+  // Adds an Emitter (or its toJSON() form) and returns its id
+  addEmitter(emitter, { id } = {}) {
+    if (!(emitter instanceof Emitter)) emitter = emitterFromJSON(emitter);
+    emitter.id = id !== undefined ? id : this.nextEmitterId;
+    this.nextEmitterId = Math.max(this.nextEmitterId, emitter.id) + 1;
+    this.emitters.push(emitter);
+    return emitter.id;
+  }
+
+  removeEmitter(id) {
+    const index = this.emitters.findIndex((e) => e.id === id);
+    if (index === -1) return false;
+    this.emitters.splice(index, 1);
+    return true;
+  }
+
+  clearEmitters() {
+    this.emitters = [];
+  }
+
+  getEmitters() {
+    return this.emitters;
+  }
+
+  // Adds a shape from boundaries.js (or its plain-object form) that deletes
+  // every particle entering it, and returns its id
+  addDrain(shape, { id } = {}) {
+    if (typeof shape.distance !== 'function') shape = shapeFromJSON(shape);
+    const drainId = id !== undefined ? id : this.nextDrainId;
+    this.nextDrainId = Math.max(this.nextDrainId, drainId) + 1;
+    this.drains.push({ id: drainId, shape, bounds: shape.bounds() });
+    return drainId;
+  }
+
+  removeDrain(id) {
+    const index = this.drains.findIndex((d) => d.id === id);
+    if (index === -1) return false;
+    this.drains.splice(index, 1);
+    return true;
+  }
+
+  clearDrains() {
+    this.drains = [];
+  }
+
+  getDrains() {
+    return this.drains;
+  }
+
+  setBoundaryParticles(enabled) {
+    this.boundaryParticles = enabled;
+    this.boundaryDirty = true;
+  }
+
+  rebuildBoundary() {
+    this.boundaryDirty = false;
+    const samples = [];
+    if (this.boundaryParticles) {
+      const spacing = this.h / BOUNDARY_SAMPLES_PER_H;
+      for (const obstacle of this.obstacles) {
+        const points = obstacle.shape.samplePerimeter(spacing);
+        for (let i = 0; i < points.length; i++) samples.push(points[i]);
+      }
+    }
+    this.boundaryPositions = new Float32Array(samples);
+    this.boundaryCount = samples.length / 2;
+    this.boundaryGrid.build(this.boundaryPositions, this.boundaryCount);
+  }
+
+  ensureCapacity(n) {
+    if (n <= this.capacity) return;
+    let capacity = Math.max(this.capacity, INITIAL_CAPACITY);
+    while (capacity < n) capacity *= 2;
+
+    const grow = (arr, size) => {
+      const next = new arr.constructor(size);
+      next.set(arr);
+      return next;
     };
+    this.positions = grow(this.positions, capacity * 2);
+    this.velocities = grow(this.velocities, capacity * 2);
+    this.forces = grow(this.forces, capacity * 2);
+    this.densities = grow(this.densities, capacity);
+    this.pressures = grow(this.pressures, capacity);
+    this.normals = new Float32Array(capacity * 2);
+    this.materials = grow(this.materials, capacity);
+    this.mix = grow(this.mix, capacity * MATERIAL_COUNT);
+    this.mixRates = new Float32Array(capacity * MATERIAL_COUNT);
+    this.capacity = capacity;
+  }
+
+  addParticle(x, y, vx = 0, vy = 0, material = 0) {
+    this.ensureCapacity(this.count + 1);
+    const i = this.count++;
+    this.positions[2 * i] = x;
+    this.positions[2 * i + 1] = y;
+    this.velocities[2 * i] = vx;
+    this.velocities[2 * i + 1] = vy;
+    this.forces[2 * i] = 0;
+    this.forces[2 * i + 1] = 0;
+    this.densities[i] = 0;
+    this.pressures[i] = 0;
+    this.materials[i] = material;
+    this.mix.fill(0, i * MATERIAL_COUNT, (i + 1) * MATERIAL_COUNT);
+    this.mix[i * MATERIAL_COUNT + material] = 1;
+    return i;
   }
 
-  spawnBlob(cx, cy, count = 200, spread = 80) {
+  // Deletes particle i by moving the last particle into its slot, so
+  // particle indices are not stable across removals
+  removeParticle(i) {
+    const last = --this.count;
+    if (i === last) return;
+    const copy = (arr, stride) => {
+      arr.copyWithin(i * stride, last * stride, (last + 1) * stride);
+    };
+    copy(this.positions, 2);
+    copy(this.velocities, 2);
+    copy(this.forces, 2);
+    copy(this.normals, 2);
+    copy(this.densities, 1);
+    copy(this.pressures, 1);
+    copy(this.materials, 1);
+    copy(this.mix, MATERIAL_COUNT);
+  }
+
+  spawnBlob(cx, cy, count = 200, spread = 80, material = 0) {
+    getMaterial(material);
+    this.ensureCapacity(this.count + count);
     for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const r = Math.random() * spread;
+      const angle = this.random.next() * Math.PI * 2;
+      const r = this.random.next() * spread;
       const x = cx + Math.cos(angle) * r;
       const y = cy + Math.sin(angle) * r;
-      const vx = (Math.random() - 0.5) * 50;
-      const vy = (Math.random() - 0.5) * 50;
-      this.particles.push(this.createParticle(x, y, vx, vy));
+      const vx = (this.random.next() - 0.5) * 50;
+      const vy = (this.random.next() - 0.5) * 50;
+      this.addParticle(x, y, vx, vy, material);
     }
   }
 
-  spawnGrid(cx, cy, cols, rows, spacing = 10) {
+  spawnGrid(cx, cy, cols, rows, spacing = 10, material = 0) {
+    getMaterial(material);
+    this.ensureCapacity(this.count + cols * rows);
     const startX = cx - (cols * spacing) / 2;
     const startY = cy - (rows * spacing) / 2;
     for (let i = 0; i < cols; i++) {
       for (let j = 0; j < rows; j++) {
-        const x = startX + i * spacing + (Math.random() - 0.5) * 2;
-        const y = startY + j * spacing + (Math.random() - 0.5) * 2;
-        this.particles.push(this.createParticle(x, y));
+        const x = startX + i * spacing + (this.random.next() - 0.5) * 2;
+        const y = startY + j * spacing + (this.random.next() - 0.5) * 2;
+        this.addParticle(x, y, 0, 0, material);
       }
     }
   }
 
+  // One particle at each (x, y) of the flat list `points`, jittered by up
+  // to a pixel like spawnGrid(), all moving at (vx, vy) px/s
+  spawnPoints(points, vx = 0, vy = 0, material = 0) {
+    getMaterial(material);
+    this.ensureCapacity(this.count + points.length / 2);
+    for (let k = 0; k < points.length; k += 2) {
+      const x = points[k] + (this.random.next() - 0.5) * 2;
+      const y = points[k + 1] + (this.random.next() - 0.5) * 2;
+      this.addParticle(x, y, vx, vy, material);
+    }
+  }
+
+  // Gravity vector in px/s² (used while gravityEnabled)
+  setGravity(x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new RangeError(`Gravity must be finite: ${x}, ${y}`);
+    }
+    this.gravity = { x, y };
+  }
+
+  // Adds (vx, vy) px/s to every particle at once, like the tank being jolted
+  // the other way. Bodies are left to the water to carry.
+  addVelocity(vx, vy) {
+    if (!Number.isFinite(vx) || !Number.isFinite(vy)) {
+      throw new RangeError(`Velocity must be finite: ${vx}, ${vy}`);
+    }
+    const vel = this.velocities;
+    for (let i = 0; i < this.count; i++) {
+      vel[2 * i] += vx;
+      vel[2 * i + 1] += vy;
+    }
+  }
+
+  // Force fields for the following steps (see forcefields.js). Impulses
+  // among them fire once, at the start of the next step.
   setHandForces(forces) {
-    this.handForces = forces;
+    this.handForces = forces.map(normalizeForce);
+  }
+
+  // Applies and then drops the pending impulse fields
+  applyImpulses() {
+    const impulses = this.handForces.filter((f) => f.type === 'impulse');
+    if (impulses.length === 0) return;
+    this.handForces = this.handForces.filter((f) => f.type !== 'impulse');
+
+    const pos = this.positions;
+    const vel = this.velocities;
+    for (const { x, y, radius, strength, falloff } of impulses) {
+      const curve = FALLOFFS[falloff];
+      for (let i = 0; i < this.count; i++) {
+        const dx = pos[2 * i] - x;
+        const dy = pos[2 * i + 1] - y;
+        const dist2 = dx * dx + dy * dy;
+        if (dist2 >= radius * radius || dist2 <= 1) continue;
+        const dist = Math.sqrt(dist2);
+        const kick = strength * curve(1 - dist / radius) / dist;
+        vel[2 * i] += dx * kick;
+        vel[2 * i + 1] += dy * kick;
+      }
+    }
   }
 
   computeDensityPressure() {
-    const particles = this.particles;
-    const hash = this.spatialHash;
-
-    for (let i = 0; i < particles.length; i++) {
-      const pi = particles[i];
-      pi.density = 0;
-
-      const neighbors = hash.getNeighbors(pi.x, pi.y);
-      for (let j = 0; j < neighbors.length; j++) {
-        const pj = neighbors[j];
-        const dx = pj.x - pi.x;
-        const dy = pj.y - pi.y;
-        const r2 = dx * dx + dy * dy;
-
-        if (r2 < H2) {
-          const diff = H2 - r2;
-          pi.density += PARTICLE_MASS * POLY6_COEFF * diff * diff * diff;
+    const n = this.count;
+    const pos = this.positions;
+    const densities = this.densities;
+    const pressures = this.pressures;
+    const grid = this.grid;
+    const { cols, rows, cellStart, sorted } = grid;
+    const h2 = this.h2;
+    const poly6 = this.poly6Coeff;
+    const { particleMass, gasConstant } = this.params;
+    const materials = this.materials;
+    const matMass = this.materialMass;
+    const matRest = this.materialRestDensity;
+    const boundaryCount = this.boundaryCount;
+    const bPos = this.boundaryPositions;
+    const bStart = this.boundaryGrid.cellStart;
+    const bSorted = this.boundaryGrid.sorted;
+
+    let densitySum = 0;
+
+    for (let i = 0; i < n; i++) {
+      const xi = pos[2 * i];
+      const yi = pos[2 * i + 1];
+      let density = 0;
+
+      const cx = grid.cellX(xi);
+      const cy = grid.cellY(yi);
+      const x0 = cx > 0 ? cx - 1 : 0;
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      const y0 = cy > 0 ? cy - 1 : 0;
+      const y1 = cy < rows - 1 ? cy + 1 : cy;
+
+      for (let gy = y0; gy <= y1; gy++) {
+        const row = gy * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let k = cellStart[row + x0]; k < end; k++) {
+          const j = sorted[k];
+          const dx = pos[2 * j] - xi;
+          const dy = pos[2 * j + 1] - yi;
+          const r2 = dx * dx + dy * dy;
+
+          if (r2 < h2) {
+            const diff = h2 - r2;
+            density += matMass[materials[j]] * poly6 * diff * diff * diff;
+          }
+        }
+      }
+
+      if (boundaryCount > 0) {
+        for (let gy = y0; gy <= y1; gy++) {
+          const row = gy * cols;
+          const end = bStart[row + x1 + 1];
+          for (let k = bStart[row + x0]; k < end; k++) {
+            const b = bSorted[k];
+            const dx = bPos[2 * b] - xi;
+            const dy = bPos[2 * b + 1] - yi;
+            const r2 = dx * dx + dy * dy;
+
+            if (r2 < h2) {
+              const diff = h2 - r2;
+              density += particleMass * poly6 * diff * diff * diff;
+            }
+          }
         }
       }
 
-      pi.pressure = GAS_CONSTANT * (pi.density - REST_DENSITY);
+      densities[i] = density;
+      pressures[i] = gasConstant * (density - matRest[materials[i]]);
+      densitySum += density;
+    }
+
+    if (n > 0) this.fluidDensity = densitySum / n;
+  }
+
+  // Surface normals n_i = h * sum_j m_j / rho_j * grad W_ij, summed over
+  // neighbors of the same mix group. They are near zero inside the fluid and
+  // point inward at its surface; the curvature term of the surface tension
+  // works on their differences.
+  computeNormals() {
+    const n = this.count;
+    const pos = this.positions;
+    const densities = this.densities;
+    const normals = this.normals;
+    const grid = this.grid;
+    const { cols, rows, cellStart, sorted } = grid;
+    const h = this.h;
+    const h2 = this.h2;
+    const spikyGrad = this.spikyGradCoeff;
+    const materials = this.materials;
+    const matMass = this.materialMass;
+    const matGroup = this.materialGroup;
+
+    for (let i = 0; i < n; i++) {
+      const xi = pos[2 * i];
+      const yi = pos[2 * i + 1];
+      const groupI = matGroup[materials[i]];
+      let nx = 0, ny = 0;
+
+      const cx = grid.cellX(xi);
+      const cy = grid.cellY(yi);
+      const x0 = cx > 0 ? cx - 1 : 0;
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      const y0 = cy > 0 ? cy - 1 : 0;
+      const y1 = cy < rows - 1 ? cy + 1 : cy;
+
+      for (let gy = y0; gy <= y1; gy++) {
+        const row = gy * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let k = cellStart[row + x0]; k < end; k++) {
+          const j = sorted[k];
+          if (j === i || matGroup[materials[j]] !== groupI) continue;
+          const dx = pos[2 * j] - xi;
+          const dy = pos[2 * j + 1] - yi;
+          const r2 = dx * dx + dy * dy;
+
+          if (r2 < h2 && r2 > 0.0001) {
+            const r = Math.sqrt(r2);
+            const diff = h - r;
+            // grad_i W points from i toward j for the spiky kernel
+            const scale = -spikyGrad * diff * diff / r *
+              matMass[materials[j]] / (densities[j] + 0.0001);
+            nx += dx * scale;
+            ny += dy * scale;
+          }
+        }
+      }
+
+      normals[2 * i] = nx * h;
+      normals[2 * i + 1] = ny * h;
     }
   }
 
   computeForces() {
-    const particles = this.particles;
-    const hash = this.spatialHash;
+    const n = this.count;
+    const pos = this.positions;
+    const vel = this.velocities;
+    const forces = this.forces;
+    const densities = this.densities;
+    const pressures = this.pressures;
+    const grid = this.grid;
+    const { cols, rows, cellStart, sorted } = grid;
     const gx = this.gravityEnabled ? this.gravity.x : 0;
     const gy = this.gravityEnabled ? this.gravity.y : 0;
+    const h = this.h;
+    const h2 = this.h2;
+    const spikyGrad = this.spikyGradCoeff;
+    const viscLap = this.viscLapCoeff;
+    const { colorDiffusion, surfaceTension, adhesion } = this.params;
+    const materials = this.materials;
+    const matMass = this.materialMass;
+    const matVisc = this.materialViscosity;
+    const matTension = this.materialTension;
+    const matGroup = this.materialGroup;
+    const mix = this.mix;
+    const mixRates = this.mixRates;
+    const mixing = colorDiffusion > 0;
+    const tension = surfaceTension > 0;
+    const normals = this.normals;
+    const cohesionCoeff = this.cohesionCoeff;
+    const halfH = h * 0.5;
+    const h6over64 = Math.pow(h, 6) / 64;
+    const refDensity = this.fluidDensity;
+    const boundaryCount = this.boundaryCount;
+    const bPos = this.boundaryPositions;
+    const bStart = this.boundaryGrid.cellStart;
+    const bSorted = this.boundaryGrid.sorted;
+    let maxViscRate = 0;
 
-    for (let i = 0; i < particles.length; i++) {
-      const pi = particles[i];
+    for (let i = 0; i < n; i++) {
+      const xi = pos[2 * i];
+      const yi = pos[2 * i + 1];
+      const vxi = vel[2 * i];
+      const vyi = vel[2 * i + 1];
+      const pressure = pressures[i];
+      const density = densities[i];
+      const mi = materials[i];
+      const viscI = matVisc[mi];
+      const tensionI = matTension[mi];
+      const groupI = matGroup[mi];
+      const nxi = normals[2 * i];
+      const nyi = normals[2 * i + 1];
       let fpx = 0, fpy = 0;
       let fvx = 0, fvy = 0;
+      let fsx = 0, fsy = 0;
+      let viscSum = 0;
+      if (mixing) mixRates.fill(0, i * MATERIAL_COUNT, (i + 1) * MATERIAL_COUNT);
+
+      const cx = grid.cellX(xi);
+      const cy = grid.cellY(yi);
+      const x0 = cx > 0 ? cx - 1 : 0;
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      const y0 = cy > 0 ? cy - 1 : 0;
+      const y1 = cy < rows - 1 ? cy + 1 : cy;
+
+      for (let cellY = y0; cellY <= y1; cellY++) {
+        const row = cellY * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let k = cellStart[row + x0]; k < end; k++) {
+          const j = sorted[k];
+          if (j === i) continue;
+
+          const dx = pos[2 * j] - xi;
+          const dy = pos[2 * j + 1] - yi;
+          const r2 = dx * dx + dy * dy;
 
-      const neighbors = hash.getNeighbors(pi.x, pi.y);
-      for (let j = 0; j < neighbors.length; j++) {
-        const pj = neighbors[j];
-        if (pi === pj) continue;
-
-        const dx = pj.x - pi.x;
-        const dy = pj.y - pi.y;
-        const r2 = dx * dx + dy * dy;
-
-        if (r2 < H2 && r2 > 0.0001) {
-          const r = Math.sqrt(r2);
-          const diff = H - r;
-
-          // Pressure force (Spiky kernel gradient)
-          const pressureScale = SPIKY_GRAD_COEFF * diff * diff *
-            (pi.pressure + pj.pressure) / (2 * pj.density + 0.0001) * PARTICLE_MASS;
-          fpx += (dx / r) * pressureScale;
-          fpy += (dy / r) * pressureScale;
-
-          // Viscosity force (Viscosity kernel Laplacian)
-          const viscScale = VISC_LAP_COEFF * diff * VISCOSITY * PARTICLE_MASS / (pj.density + 0.0001);
-          fvx += (pj.vx - pi.vx) * viscScale;
-          fvy += (pj.vy - pi.vy) * viscScale;
+          if (r2 < h2 && r2 > 0.0001) {
+            const r = Math.sqrt(r2);
+            const diff = h - r;
+            const dj = densities[j];
+            const mj = materials[j];
+            const massJ = matMass[mj];
+
+            // Pressure force (Spiky kernel gradient)
+            const pressureScale = spikyGrad * diff * diff *
+              (pressure + pressures[j]) / (2 * dj + 0.0001) * massJ;
+            fpx += (dx / r) * pressureScale;
+            fpy += (dy / r) * pressureScale;
+
+            // Viscosity force (Viscosity kernel Laplacian), averaged
+            // between the two materials
+            const viscosity = (viscI + matVisc[mj]) * 0.5;
+            const viscScale = viscLap * diff * viscosity * massJ / (dj + 0.0001);
+            fvx += (vel[2 * j] - vxi) * viscScale;
+            fvy += (vel[2 * j + 1] - vyi) * viscScale;
+            viscSum += viscScale;
+
+            // Surface tension (Akinci et al. 2013) within one mix group:
+            // cohesion attracts neighbors at mid range and repels close
+            // ones, curvature evens out the surface normals. K_ij boosts
+            // both where the density is below the fluid's mean, i.e. at
+            // the surface.
+            if (tension && matGroup[mj] === groupI) {
+              const gamma = (tensionI + matTension[mj]) * refDensity / (density + dj + 0.0001);
+              const d3r3 = diff * diff * diff * r2 * r;
+              const shape = r > halfH ? d3r3 : 2 * d3r3 - h6over64;
+              const cohesion = gamma * massJ * cohesionCoeff * shape / r;
+              fsx += dx * cohesion - gamma * (nxi - normals[2 * j]);
+              fsy += dy * cohesion - gamma * (nyi - normals[2 * j + 1]);
+            }
+
+            // Color diffusion between miscible materials
+            if (mixing && matGroup[mj] === groupI) {
+              const rate = colorDiffusion * viscLap * diff * massJ / (dj + 0.0001);
+              const oi = i * MATERIAL_COUNT;
+              const oj = j * MATERIAL_COUNT;
+              for (let c = 0; c < MATERIAL_COUNT; c++) {
+                mixRates[oi + c] += (mix[oj + c] - mix[oi + c]) * rate;
+              }
+            }
+          }
+        }
+      }
+
+      // Boundary particles mirror this particle's pressure; only the
+      // repulsive part is used so fluid never gets sucked onto a wall
+      if (boundaryCount > 0 && pressure > 0) {
+        const mirrored = spikyGrad * pressure / (density + 0.0001) * matMass[mi];
+        for (let cellY = y0; cellY <= y1; cellY++) {
+          const row = cellY * cols;
+          const end = bStart[row + x1 + 1];
+          for (let k = bStart[row + x0]; k < end; k++) {
+            const b = bSorted[k];
+            const dx = bPos[2 * b] - xi;
+            const dy = bPos[2 * b + 1] - yi;
+            const r2 = dx * dx + dy * dy;
+
+            if (r2 < h2 && r2 > 0.0001) {
+              const r = Math.sqrt(r2);
+              const diff = h - r;
+              fpx += (dx / r) * mirrored * diff * diff;
+              fpy += (dy / r) * mirrored * diff * diff;
+            }
+          }
         }
       }
 
-      // Gravity
-      pi.fx = fpx + fvx + gx * pi.density;
-      pi.fy = fpy + fvy + gy * pi.density;
+      // Viscosity pulls v_i toward its neighbors at this rate
+      const viscRate = viscSum / (density + 0.0001);
+      if (viscRate > maxViscRate) maxViscRate = viscRate;
 
-      // Hand interaction forces
-      for (let h = 0; h < this.handForces.length; h++) {
-        const hand = this.handForces[h];
-        const hdx = pi.x - hand.x;
-        const hdy = pi.y - hand.y;
+      // Gravity; surface terms above are accelerations
+      let fx = fpx + fvx + (gx + fsx) * density;
+      let fy = fpy + fvy + (gy + fsy) * density;
+
+      if (adhesion > 0) {
+        const pull = adhesion * density;
+        fx += pull * (this.wallAdhesion(this.width - xi) - this.wallAdhesion(xi));
+        fy += pull * (this.wallAdhesion(this.height - yi) - this.wallAdhesion(yi));
+        for (let o = 0; o < this.obstacles.length; o++) {
+          const { shape, bounds } = this.obstacles[o];
+          if (xi < bounds.minX - h || xi > bounds.maxX + h ||
+              yi < bounds.minY - h || yi > bounds.maxY + h) continue;
+          const a = this.wallAdhesion(shape.distance(xi, yi, contactNormal));
+          fx -= pull * a * contactNormal.x;
+          fy -= pull * a * contactNormal.y;
+        }
+      }
+
+      // Hand, mouse and pointer force fields (see forcefields.js)
+      for (let hi = 0; hi < this.handForces.length; hi++) {
+        const hand = this.handForces[hi];
+        if (hand.type === 'impulse') continue;
+        const hdx = xi - hand.x;
+        const hdy = yi - hand.y;
         const hDist2 = hdx * hdx + hdy * hdy;
-        const hRadius = hand.radius || 80;
-        const hRadius2 = hRadius * hRadius;
+        const hRadius = hand.radius;
 
-        if (hDist2 < hRadius2 && hDist2 > 1) {
+        if (hDist2 < hRadius * hRadius && hDist2 > 1) {
           const hDist = Math.sqrt(hDist2);
+          const nx = hdx / hDist;
+          const ny = hdy / hDist;
           const influence = 1.0 - hDist / hRadius;
-          const strength = 8000 * influence * influence;
+          const strength = hand.strength * FALLOFFS[hand.falloff](influence) * density;
+
+          if (hand.type === 'repulse') {
+            fx += nx * strength;
+            fy += ny * strength;
+          } else if (hand.type === 'attract') {
+            fx -= nx * strength;
+            fy -= ny * strength;
+          } else if (hand.type === 'vortex') {
+            fx -= ny * strength * hand.spin;
+            fy += nx * strength * hand.spin;
+          } else if (hand.type === 'jet') {
+            fx += hand.dirX * strength;
+            fy += hand.dirY * strength;
+          }
+
+          // Drag particles with the field's velocity
+          if (hand.drag > 0) {
+            const dragStrength = hand.drag * influence;
+            fx += (hand.vx - vxi) * dragStrength;
+            fy += (hand.vy - vyi) * dragStrength;
+          }
+        }
+      }
+
+      forces[2 * i] = fx;
+      forces[2 * i + 1] = fy;
+    }
+
+    this.maxViscRate = maxViscRate;
+  }
+
+  // Adhesion profile for a particle `d` px from a wall (Akinci et al. 2013),
+  // scaled to peak at 1 three quarters of a kernel radius out. Zero closer
+  // than h/2 so it does not fight the wall's own repulsion.
+  wallAdhesion(d) {
+    const h = this.h;
+    if (d <= h * 0.5 || d >= h) return 0;
+    return Math.pow((-4 * d * d / h + 6 * d - 2 * h) / (h * 0.25), 0.25);
+  }
+
+  // Fluid -> body forces, with the reaction spread back onto the fluid.
+  // Each hull sample measures how wet it is (Shepard sum half a kernel
+  // radius outside the hull) and the local flow. The highest wet sample
+  // along gravity sets the body's waterline; the part of the body below it
+  // gets Archimedes' buoyancy at its centroid, which also produces the
+  // righting torque. Wet samples add drag toward the local flow.
+  computeBodyForces() {
+    const bodies = this.bodies;
+    if (bodies.length === 0) return;
+
+    const pos = this.positions;
+    const vel = this.velocities;
+    const forces = this.forces;
+    const densities = this.densities;
+    const grid = this.grid;
+    const { cols, rows, cellStart, sorted } = grid;
+    const h2 = this.h2;
+    const poly6 = this.poly6Coeff;
+    const { bodyDrag } = this.params;
+    const materials = this.materials;
+    const matMass = this.materialMass;
+    const rho = this.fluidDensity;
+    const gx = this.gravityEnabled ? this.gravity.x : 0;
+    const gy = this.gravityEnabled ? this.gravity.y : 0;
+    const g = Math.hypot(gx, gy);
+    const gdx = g > 0 ? gx / g : 0;
+    const gdy = g > 0 ? gy / g : 0;
+    const probe = this.h / 2;
+
+    for (const body of bodies) {
+      body.setFluidDensity(rho);
+      body.updateHull();
+      const hull = body.hull;
+      const hullCount = body.hullCount;
+      if (!body.wetness || body.wetness.length < hullCount) {
+        body.wetness = new Float32Array(hullCount);
+        body.flow = new Float32Array(hullCount * 2);
+      }
+      const wetness = body.wetness;
+      const flow = body.flow;
+
+      // Pass 1: wetness and interpolated fluid velocity per hull sample
+      let waterline = Infinity;
+      for (let k = 0; k < hullCount; k++) {
+        // Probe half a kernel radius out so the kernel sits in the fluid
+        const sx = hull[4 * k] + hull[4 * k + 2] * probe;
+        const sy = hull[4 * k + 1] + hull[4 * k + 3] * probe;
+        let shepard = 0, fvx = 0, fvy = 0;
+
+        const cx = grid.cellX(sx);
+        const cy = grid.cellY(sy);
+        const x0 = cx > 0 ? cx - 1 : 0;
+        const x1 = cx < cols - 1 ? cx + 1 : cx;
+        const y0 = cy > 0 ? cy - 1 : 0;
+        const y1 = cy < rows - 1 ? cy + 1 : cy;
+        for (let gyCell = y0; gyCell <= y1; gyCell++) {
+          const row = gyCell * cols;
+          const end = cellStart[row + x1 + 1];
+          for (let q = cellStart[row + x0]; q < end; q++) {
+            const j = sorted[q];
+            const dx = pos[2 * j] - sx;
+            const dy = pos[2 * j + 1] - sy;
+            const r2 = dx * dx + dy * dy;
+            if (r2 < h2) {
+              const diff = h2 - r2;
+              const wj = matMass[materials[j]] * poly6 * diff * diff * diff / (densities[j] + 0.0001);
+              shepard += wj;
+              fvx += vel[2 * j] * wj;
+              fvy += vel[2 * j + 1] * wj;
+            }
+          }
+        }
+
+        const wet = Math.min(1, shepard);
+        wetness[k] = wet;
+        flow[2 * k] = shepard > 0 ? fvx / shepard : 0;
+        flow[2 * k + 1] = shepard > 0 ? fvy / shepard : 0;
+        if (wet > WET_THRESHOLD) {
+          const depth = hull[4 * k] * gdx + hull[4 * k + 1] * gdy;
+          if (depth < waterline) waterline = depth;
+        }
+      }
+
+      // Buoyancy: weight of the fluid displaced below the waterline, acting
+      // at the centroid of the submerged part
+      let buoyX = 0, buoyY = 0, depthSum = 0;
+      if (waterline !== Infinity && g > 0) {
+        const sub = body.submergedPart(gdx, gdy, waterline);
+        buoyX = -rho * sub.area * gx;
+        buoyY = -rho * sub.area * gy;
+        body.applyForce(buoyX, buoyY, sub.x, sub.y);
+        for (let k = 0; k < hullCount; k++) {
+          const depth = hull[4 * k] * gdx + hull[4 * k + 1] * gdy - waterline;
+          if (depth > 0) depthSum += depth * wetness[k] * body.hullLocal[k].len;
+        }
+      }
+
+      // Pass 2: drag per wet sample; the reaction to drag and to this
+      // sample's share of the buoyancy goes onto the nearby fluid
+      for (let k = 0; k < hullCount; k++) {
+        const wet = wetness[k];
+        if (wet <= 0) continue;
 
-          // Push particles away from hand center
-          pi.fx += (hdx / hDist) * strength * pi.density;
-          pi.fy += (hdy / hDist) * strength * pi.density;
+        const hx = hull[4 * k];
+        const hy = hull[4 * k + 1];
+        const len = body.hullLocal[k].len;
 
-          // Drag particles with hand velocity
-          const dragStrength = 3000 * influence;
-          pi.fx += (hand.vx - pi.vx) * dragStrength;
-          pi.fy += (hand.vy - pi.vy) * dragStrength;
+        body.velocityAt(hx, hy, bodyVelocity);
+        const drag = bodyDrag * rho * len * wet;
+        const dragX = drag * (flow[2 * k] - bodyVelocity.x);
+        const dragY = drag * (flow[2 * k + 1] - bodyVelocity.y);
+        body.applyForce(dragX, dragY, hx, hy);
+
+        let fx = dragX;
+        let fy = dragY;
+        if (depthSum > 0) {
+          const depth = hx * gdx + hy * gdy - waterline;
+          if (depth > 0) {
+            const share = (depth * wet * len) / depthSum;
+            fx += buoyX * share;
+            fy += buoyY * share;
+          }
+        }
+
+        // Equal and opposite force, shared by kernel weight around the
+        // probe point. forces[] holds force per unit density, hence the
+        // density / mass factor.
+        const sx = hx + hull[4 * k + 2] * probe;
+        const sy = hy + hull[4 * k + 3] * probe;
+        const cx = grid.cellX(sx);
+        const cy = grid.cellY(sy);
+        const x0 = cx > 0 ? cx - 1 : 0;
+        const x1 = cx < cols - 1 ? cx + 1 : cx;
+        const y0 = cy > 0 ? cy - 1 : 0;
+        const y1 = cy < rows - 1 ? cy + 1 : cy;
+        let weightSum = 0;
+        for (let pass = 0; pass < 2; pass++) {
+          const scale = pass === 0 ? 0 : 1 / weightSum;
+          for (let gyCell = y0; gyCell <= y1; gyCell++) {
+            const row = gyCell * cols;
+            const end = cellStart[row + x1 + 1];
+            for (let q = cellStart[row + x0]; q < end; q++) {
+              const j = sorted[q];
+              const dx = pos[2 * j] - sx;
+              const dy = pos[2 * j + 1] - sy;
+              const r2 = dx * dx + dy * dy;
+              if (r2 >= h2) continue;
+              const diff = h2 - r2;
+              const wj = diff * diff * diff;
+              if (pass === 0) {
+                weightSum += wj;
+              } else {
+                const share = wj * scale * densities[j] / matMass[materials[j]];
+                forces[2 * j] -= fx * share;
+                forces[2 * j + 1] -= fy * share;
+              }
+            }
+          }
+          if (weightSum === 0) break;
         }
       }
     }
   }
 
+  // Largest step that keeps the integration stable for the current forces:
+  // no particle moves more than cflFactor * h, the step is short relative to
+  // the time to accelerate across a kernel radius, and viscosity does not
+  // overshoot. Must run after computeForces().
+  computeStableDt() {
+    const n = this.count;
+    const vel = this.velocities;
+    const forces = this.forces;
+    const densities = this.densities;
+    const { cflFactor, dtMax } = this.params;
+
+    let maxV2 = 0;
+    let maxA2 = 0;
+    for (let i = 0; i < n; i++) {
+      const vx = vel[2 * i];
+      const vy = vel[2 * i + 1];
+      const v2 = vx * vx + vy * vy;
+      if (v2 > maxV2) maxV2 = v2;
+
+      const invDensity = 1 / (densities[i] + 0.0001);
+      const ax = forces[2 * i] * invDensity;
+      const ay = forces[2 * i + 1] * invDensity;
+      const a2 = ax * ax + ay * ay;
+      if (a2 > maxA2) maxA2 = a2;
+    }
+
+    let dt = dtMax;
+    if (maxV2 > 0) dt = Math.min(dt, cflFactor * this.h / Math.sqrt(maxV2));
+    if (maxA2 > 0) dt = Math.min(dt, cflFactor * Math.sqrt(this.h / Math.sqrt(maxA2)));
+    if (this.maxViscRate > 0) dt = Math.min(dt, 1 / this.maxViscRate);
+    return Math.max(dt, DT_MIN);
+  }
+
   integrate(dt) {
-    const particles = this.particles;
+    const n = this.count;
+    const pos = this.positions;
+    const vel = this.velocities;
+    const forces = this.forces;
+    const densities = this.densities;
     const w = this.width;
     const h = this.height;
+    const damping = this.params.damping;
+    const obstacles = this.obstacles;
+    const bodies = this.bodies;
+    const materials = this.materials;
+    const matMass = this.materialMass;
+    const mix = this.mix;
+    const mixRates = this.mixRates;
+    const mixing = this.params.colorDiffusion > 0;
+    const R = PARTICLE_RADIUS;
 
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
+    for (let i = 0; i < n; i++) {
+      const ix = 2 * i;
+      const iy = ix + 1;
+      const invDensity = 1 / (densities[i] + 0.0001);
 
       // Semi-implicit Euler
-      p.vx += dt * p.fx / (p.density + 0.0001);
-      p.vy += dt * p.fy / (p.density + 0.0001);
+      let vx = vel[ix] + dt * forces[ix] * invDensity;
+      let vy = vel[iy] + dt * forces[iy] * invDensity;
+      let x = pos[ix] + dt * vx;
+      let y = pos[iy] + dt * vy;
+
+      // Obstacle collisions: project out along the surface normal, then
+      // reflect the normal velocity (restitution) and damp the tangential
+      // velocity (friction)
+      for (let o = 0; o < obstacles.length; o++) {
+        const ob = obstacles[o];
+        const b = ob.bounds;
+        if (x < b.minX - R || x > b.maxX + R || y < b.minY - R || y > b.maxY + R) continue;
+
+        const d = ob.shape.distance(x, y, contactNormal);
+        if (d < R) {
+          const nx = contactNormal.x;
+          const ny = contactNormal.y;
+          x += nx * (R - d);
+          y += ny * (R - d);
+
+          const vn = vx * nx + vy * ny;
+          if (vn < 0) {
+            const tx = vx - vn * nx;
+            const ty = vy - vn * ny;
+            vx = tx * (1 - ob.friction) - ob.restitution * vn * nx;
+            vy = ty * (1 - ob.friction) - ob.restitution * vn * ny;
+          }
+        }
+      }
+
+      // Rigid body collisions, relative to the body's surface velocity. The
+      // momentum the particle loses goes into the body.
+      for (let b = 0; b < bodies.length; b++) {
+        const body = bodies[b];
+        const reach = body.radius + R;
+        const ox = x - body.x;
+        const oy = y - body.y;
+        if (ox * ox + oy * oy > reach * reach) continue;
+
+        const d = body.distance(x, y, contactNormal);
+        if (d < R) {
+          const nx = contactNormal.x;
+          const ny = contactNormal.y;
+          x += nx * (R - d);
+          y += ny * (R - d);
 
-      p.x += dt * p.vx;
-      p.y += dt * p.vy;
+          body.velocityAt(x, y, bodyVelocity);
+          const rvx = vx - bodyVelocity.x;
+          const rvy = vy - bodyVelocity.y;
+          const vn = rvx * nx + rvy * ny;
+          if (vn < 0) {
+            const tx = rvx - vn * nx;
+            const ty = rvy - vn * ny;
+            const nvx = bodyVelocity.x + tx * (1 - body.friction) - body.restitution * vn * nx;
+            const nvy = bodyVelocity.y + ty * (1 - body.friction) - body.restitution * vn * ny;
+            const mass = matMass[materials[i]];
+            body.applyImpulse(mass * (vx - nvx), mass * (vy - nvy), x, y);
+            vx = nvx;
+            vy = nvy;
+          }
+        }
+      }
 
-      // Boundary collisions
-      if (p.x < PARTICLE_RADIUS) {
-        p.x = PARTICLE_RADIUS;
-        p.vx *= DAMPING;
+      // Tank edge collisions
+      if (x < PARTICLE_RADIUS) {
+        x = PARTICLE_RADIUS;
+        vx *= damping;
       }
-      if (p.x > w - PARTICLE_RADIUS) {
-        p.x = w - PARTICLE_RADIUS;
-        p.vx *= DAMPING;
+      if (x > w - PARTICLE_RADIUS) {
+        x = w - PARTICLE_RADIUS;
+        vx *= damping;
       }
-      if (p.y < PARTICLE_RADIUS) {
-        p.y = PARTICLE_RADIUS;
-        p.vy *= DAMPING;
+      if (y < PARTICLE_RADIUS) {
+        y = PARTICLE_RADIUS;
+        vy *= damping;
       }
-      if (p.y > h - PARTICLE_RADIUS) {
-        p.y = h - PARTICLE_RADIUS;
-        p.vy *= DAMPING;
+      if (y > h - PARTICLE_RADIUS) {
+        y = h - PARTICLE_RADIUS;
+        vy *= damping;
+      }
+
+      pos[ix] = x;
+      pos[iy] = y;
+      vel[ix] = vx;
+      vel[iy] = vy;
+
+      if (mixing) {
+        const o = i * MATERIAL_COUNT;
+        let total = 0;
+        for (let c = 0; c < MATERIAL_COUNT; c++) {
+          const v = mix[o + c] + dt * mixRates[o + c];
+          mix[o + c] = v > 0 ? v : 0;
+          total += mix[o + c];
+        }
+        if (total > 0) {
+          for (let c = 0; c < MATERIAL_COUNT; c++) mix[o + c] /= total;
+        }
       }
     }
   }
 
-  step() {
-    const dt = DT;
-    for (let s = 0; s < SUBSTEPS; s++) {
-      // Rebuild spatial hash
-      this.spatialHash.clear();
-      for (let i = 0; i < this.particles.length; i++) {
-        this.spatialHash.insert(this.particles[i]);
+  // Advances the fluid by `elapsed` seconds of real time, choosing substep
+  // sizes with computeStableDt(). Frame time beyond maxFrameTime, or beyond
+  // what maxSubsteps can cover, is dropped rather than caught up. Without an
+  // argument this runs the fixed `substeps` steps of `dt`.
+  step(elapsed) {
+    this.applyImpulses();
+    if (elapsed === undefined) {
+      const { dt, substeps } = this.params;
+      for (let s = 0; s < substeps; s++) {
+        this.substep();
+        this.integrate(dt);
+        this.integrateBodies(dt);
+        this.updateSources(dt);
       }
+      this.stats = { substeps, dt, simTime: substeps * dt };
+      this.updateWhitewater(substeps * dt);
+      return;
+    }
+
+    const { maxFrameTime, maxSubsteps, timeScale } = this.params;
+    let remaining = Math.min(Math.max(elapsed, 0), maxFrameTime) * timeScale;
+    let simTime = 0;
+    let steps = 0;
+
+    while (remaining > DT_MIN && steps < maxSubsteps) {
+      this.substep();
+      let dt = this.computeStableDt();
+      // Split the tail evenly instead of ending the frame on a sliver
+      if (dt >= remaining) dt = remaining;
+      else if (dt * 2 > remaining) dt = remaining / 2;
 
-      this.computeDensityPressure();
-      this.computeForces();
       this.integrate(dt);
+      this.integrateBodies(dt);
+      this.updateSources(dt);
+      remaining -= dt;
+      simTime += dt;
+      steps++;
     }
+
+    this.stats = { substeps: steps, dt: steps > 0 ? simTime / steps : 0, simTime };
+    this.updateWhitewater(simTime);
+  }
+
+  // Moves and sheds spray, foam and bubbles after the fluid moved `dt`
+  // seconds. The grid is rebuilt for the new positions first; that does not
+  // touch the fluid.
+  updateWhitewater(dt) {
+    if (!this.whitewater) return;
+    this.grid.build(this.positions, this.count);
+    this.whitewater.update(this, dt);
   }
 
+  // Turns the secondary spray, foam and bubble particles on (with
+  // whitewater.js options) or off
+  setWhitewater(enabled, options = {}) {
+    this.whitewater = enabled ? new Whitewater(options) : null;
+  }
+
+  // The Whitewater system, or null while it is off
+  getWhitewater() {
+    return this.whitewater;
+  }
+
+  // Runs the emitters for `dt` seconds, then removes drained particles.
+  // Emitters stop adding once the particle budget is used up, and drop what
+  // they owed so they do not burst when room frees up again.
+  updateSources(dt) {
+    const budget = this.params.maxParticles;
+    for (const emitter of this.emitters) {
+      const due = emitter.advance(dt);
+      for (let k = 0; k < due && this.count < budget; k++) {
+        const p = emitter.next(emitted);
+        this.addParticle(p.x, p.y, p.vx, p.vy, emitter.material);
+      }
+      if (this.count >= budget) emitter.pending = 0;
+    }
+
+    const drains = this.drains;
+    if (drains.length === 0) return;
+    const pos = this.positions;
+    for (let i = this.count - 1; i >= 0; i--) {
+      const x = pos[2 * i];
+      const y = pos[2 * i + 1];
+      for (let d = 0; d < drains.length; d++) {
+        const { shape, bounds } = drains[d];
+        if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) continue;
+        if (shape.distance(x, y, contactNormal) < 0) {
+          this.removeParticle(i);
+          break;
+        }
+      }
+    }
+  }
+
+  // Moves the rigid bodies and resolves their contacts with the tank, the
+  // static obstacles and each other. Hands grab a body by matching its
+  // velocity at the touched point (and holding it up against gravity).
+  integrateBodies(dt) {
+    const bodies = this.bodies;
+    if (bodies.length === 0) return;
+
+    const gx = this.gravityEnabled ? this.gravity.x : 0;
+    const gy = this.gravityEnabled ? this.gravity.y : 0;
+    const damping = this.params.damping;
+
+    for (const body of bodies) {
+      for (const hand of this.handForces) {
+        // Only fields that drag the water along grab bodies
+        if (hand.drag <= 0 || body.distance(hand.x, hand.y, contactNormal) > 0) continue;
+        body.velocityAt(hand.x, hand.y, bodyVelocity);
+        body.applyForce(
+          body.mass * (GRAB_GAIN * (hand.vx - bodyVelocity.x) - gx),
+          body.mass * (GRAB_GAIN * (hand.vy - bodyVelocity.y) - gy),
+          hand.x, hand.y,
+        );
+      }
+      body.integrate(dt, gx, gy);
+      body.updateHull();
+    }
+
+    for (const body of bodies) {
+      this.collideBodyWithTank(body, -damping);
+      for (const obstacle of this.obstacles) {
+        this.collideBodyWithShape(body, obstacle.shape, obstacle.restitution, obstacle.friction);
+      }
+    }
+
+    for (let a = 0; a < bodies.length; a++) {
+      for (let b = a + 1; b < bodies.length; b++) {
+        const A = bodies[a];
+        const B = bodies[b];
+        const dx = A.x - B.x;
+        const dy = A.y - B.y;
+        const reach = A.radius + B.radius;
+        if (dx * dx + dy * dy > reach * reach) continue;
+        this.collideBodies(A, B);
+        this.collideBodies(B, A);
+      }
+    }
+  }
+
+  // Deepest hull sample past each tank edge is pushed back in
+  collideBodyWithTank(body, restitution) {
+    const hull = body.hull;
+    const edges = [
+      [1, 0, 0], [-1, 0, this.width], [0, 1, 0], [0, -1, this.height],
+    ];
+    for (const [nx, ny, offset] of edges) {
+      let deepest = -1;
+      let depth = 0;
+      for (let k = 0; k < body.hullCount; k++) {
+        const pen = -(hull[4 * k] * nx + hull[4 * k + 1] * ny + offset);
+        if (pen > depth) { depth = pen; deepest = k; }
+      }
+      if (deepest >= 0) {
+        body.resolveContact(hull[4 * deepest], hull[4 * deepest + 1], nx, ny, depth, restitution, body.friction);
+        body.updateHull();
+      }
+    }
+  }
+
+  collideBodyWithShape(body, shape, restitution, friction) {
+    const hull = body.hull;
+    let deepest = -1;
+    let depth = 0;
+    let nx = 0, ny = 0;
+    for (let k = 0; k < body.hullCount; k++) {
+      const d = shape.distance(hull[4 * k], hull[4 * k + 1], contactNormal);
+      if (-d > depth) {
+        depth = -d;
+        deepest = k;
+        nx = contactNormal.x;
+        ny = contactNormal.y;
+      }
+    }
+    if (deepest >= 0) {
+      body.resolveContact(hull[4 * deepest], hull[4 * deepest + 1], nx, ny, depth, restitution, friction);
+      body.updateHull();
+    }
+  }
+
+  // Pushes the deepest hull sample of `a` that is inside `b` back out
+  collideBodies(a, b) {
+    const hull = a.hull;
+    let deepest = -1;
+    let depth = 0;
+    let nx = 0, ny = 0;
+    for (let k = 0; k < a.hullCount; k++) {
+      const d = b.distance(hull[4 * k], hull[4 * k + 1], contactNormal);
+      if (-d > depth) {
+        depth = -d;
+        deepest = k;
+        nx = contactNormal.x;
+        ny = contactNormal.y;
+      }
+    }
+    if (deepest >= 0) {
+      resolvePairContact(a, b, hull[4 * deepest], hull[4 * deepest + 1], nx, ny, depth);
+      a.updateHull();
+      b.updateHull();
+    }
+  }
+
+  // Neighbor search, density and forces for the current positions
+  substep() {
+    if (this.boundaryDirty) this.rebuildBoundary();
+    this.grid.build(this.positions, this.count);
+    this.computeDensityPressure();
+    if (this.params.surfaceTension > 0) this.computeNormals();
+    this.computeForces();
+    this.computeBodyForces();
+  }
+
+  // -- Scene state --
+
+  // Everything needed to rebuild this simulation except the tank size, as
+  // plain data (scene.js wraps it in a versioned document). Particle arrays
+  // are trimmed copies.
+  getState() {
+    const n = this.count;
+    return {
+      params: this.getParams(),
+      gravity: { x: this.gravity.x, y: this.gravity.y, enabled: this.gravityEnabled },
+      boundaryParticles: this.boundaryParticles,
+      random: this.random.getState ? this.random.getState() : null,
+      particles: {
+        count: n,
+        positions: this.positions.slice(0, n * 2),
+        velocities: this.velocities.slice(0, n * 2),
+        materials: this.materials.slice(0, n),
+        mix: this.mix.slice(0, n * MATERIAL_COUNT),
+      },
+      obstacles: this.obstacles.map(({ id, shape, restitution, friction }) =>
+        ({ id, shape, restitution, friction })),
+      bodies: this.bodies.map((b) => ({ id: b.id, ...b.toJSON() })),
+      emitters: this.emitters.map((e) => ({ id: e.id, ...e.toJSON() })),
+      drains: this.drains.map(({ id, shape }) => ({ id, shape })),
+    };
+  }
+
+  // Replaces the whole simulation with a getState() result. Particle arrays
+  // may be typed arrays or plain arrays; without `mix` every particle gets
+  // the pure color of its material.
+  setState(state) {
+    const { params, gravity, particles } = state;
+    validateParams(params);
+    const n = particles.count;
+    if (particles.positions.length < n * 2 || particles.velocities.length < n * 2 ||
+        particles.materials.length < n) {
+      throw new RangeError(`Particle arrays are shorter than the particle count ${n}`);
+    }
+    for (let i = 0; i < n; i++) getMaterial(particles.materials[i]);
+
+    this.setParams({ ...DEFAULT_PARAMS, ...params });
+    this.gravity = { x: gravity.x, y: gravity.y };
+    this.gravityEnabled = gravity.enabled;
+    this.setBoundaryParticles(state.boundaryParticles !== false);
+    if (state.random != null && this.random.setState) this.random.setState(state.random);
+    this.handForces = [];
+    this.fluidDensity = 1;
+
+    this.count = 0;
+    this.ensureCapacity(n);
+    this.positions.set(particles.positions.slice(0, n * 2));
+    this.velocities.set(particles.velocities.slice(0, n * 2));
+    this.forces.fill(0, 0, n * 2);
+    this.materials.set(particles.materials.slice(0, n));
+    if (particles.mix && particles.mix.length >= n * MATERIAL_COUNT) {
+      this.mix.set(particles.mix.slice(0, n * MATERIAL_COUNT));
+    } else {
+      this.mix.fill(0, 0, n * MATERIAL_COUNT);
+      for (let i = 0; i < n; i++) this.mix[i * MATERIAL_COUNT + this.materials[i]] = 1;
+    }
+    this.count = n;
+    if (this.whitewater) this.whitewater.clear();
+
+    this.clearObstacles();
+    for (const { id, shape, restitution, friction } of state.obstacles || []) {
+      this.addObstacle(shape, { restitution, friction, id });
+    }
+    this.clearBodies();
+    for (const body of state.bodies || []) this.addBody(body, { id: body.id });
+    this.clearEmitters();
+    for (const emitter of state.emitters || []) this.addEmitter(emitter, { id: emitter.id });
+    this.clearDrains();
+    for (const { id, shape } of state.drains || []) this.addDrain(shape, { id });
+  }
+
+  // -- Read access for renderers and UI --
+  // Arrays hold `capacity` entries; only the first getParticleCount() (times
+  // two for vectors) are live.
+
   getParticleCount() {
-    return this.particles.length;
+    return this.count;
+  }
+
+  getStats() {
+    return this.stats;
+  }
+
+  getPositions() {
+    return this.positions;
+  }
+
+  getVelocities() {
+    return this.velocities;
+  }
+
+  getDensities() {
+    return this.densities;
+  }
+
+  getPressures() {
+    return this.pressures;
+  }
+
+  getMaterials() {
+    return this.materials;
+  }
+
+  // MATERIAL_COUNT color weights per particle (see materials.js)
+  getMixFractions() {
+    return this.mix;
+  }
+
+  // Neighbour grid as of the last substep; for inspection only
+  getGrid() {
+    return this.grid;
+  }
+
+  // Force fields from setHandForces(), normalized (see forcefields.js)
+  getHandForces() {
+    return this.handForces;
   }
 
+  // Clears the fluid and the bodies floating in it; obstacles, emitters and
+  // drains stay
   reset() {
-    this.particles = [];
+    this.count = 0;
+    this.bodies = [];
+    if (this.whitewater) this.whitewater.clear();
   }
 }
 
-export { PARTICLE_RADIUS, H };
+export {
+  PARTICLE_RADIUS, H, DEFAULT_PARAMS, PARAM_SPECS, PARAM_PRESETS, validateParams, SpatialGrid,
+};
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import {
+  CAPTURE_DEFAULTS, validateCaptureOptions, frameFileName, advanceSimulation, captureSequence,
+} from '../capture.js';
+
+function blobSim() {
+  const sim = new SPHSimulation(400, 300, { seed: 4 });
+  sim.spawnBlob(200, 100, 60, 40);
+  return sim;
+}
+
+test('capture options fill in defaults and reject bad values', () => {
+  assert.deepEqual(validateCaptureOptions(), CAPTURE_DEFAULTS);
+  assert.equal(validateCaptureOptions({ fps: 30 }).fps, 30);
+  assert.throws(() => validateCaptureOptions({ frames: 0 }), RangeError);
+  assert.throws(() => validateCaptureOptions({ frames: 2.5 }), RangeError);
+  assert.throws(() => validateCaptureOptions({ fps: Number.NaN }), RangeError);
+  assert.throws(() => validateCaptureOptions({ scale: 8 }), RangeError);
+  assert.throws(() => validateCaptureOptions({ background: '' }), TypeError);
+});
+
+test('frame names sort in order', () => {
+  assert.equal(frameFileName(7, 120), 'frame-0007.png');
+  assert.equal(frameFileName(12, 20000), 'frame-00012.png');
+});
+
+test('advancing covers the whole interval, beyond the catch-up budget', () => {
+  const sim = blobSim();
+  sim.setParams({ maxFrameTime: 0.02 });
+  let covered = 0;
+  const step = sim.step.bind(sim);
+  sim.step = (elapsed) => {
+    step(elapsed);
+    covered += sim.getStats().simTime;
+  };
+  advanceSimulation(sim, 0.1);
+  assert.ok(Math.abs(covered - 0.1) < 1e-9, `covered ${covered}`);
+});
+
+test('a capture steps once per frame after the first and zips each frame', async () => {
+  const sim = blobSim();
+  const steps = [];
+  const progress = [];
+  const parts = await captureSequence(sim, { frames: 3, fps: 25 }, {
+    beforeStep: (dt, frame) => steps.push([dt, frame]),
+    renderFrame: async (frame) => new Uint8Array([frame]),
+    onProgress: (done, total) => progress.push(`${done}/${total}`),
+  });
+
+  assert.deepEqual(steps, [[0.04, 1], [0.04, 2]]);
+  assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  // Header and data per frame, then the directory
+  assert.equal(parts.length, 7);
+
+  let calls = 0;
+  const cancelled = await captureSequence(sim, { frames: 5 }, {
+    renderFrame: async () => new Uint8Array(1),
+    isCancelled: () => ++calls > 2,
+  });
+  assert.equal(cancelled, null);
+});
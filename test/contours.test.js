@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DensityField, FIELD_THRESHOLD, alphaToLevel } from '../densityfield.js';
+import {
+  ContourExtractor, smoothContour, contourArea, contoursToSVG, contoursToJSON, OUTLINE_FORMAT,
+} from '../contours.js';
+
+const LEVEL = alphaToLevel(FIELD_THRESHOLD);
+
+function fieldWith(splats, width = 200, height = 120) {
+  const field = new DensityField(0.5);
+  field.resize(width, height);
+  for (const [x, y] of splats) field.splat(x, y, 20);
+  return field;
+}
+
+test('one particle gives one closed outline at the threshold radius', () => {
+  const contours = new ContourExtractor().extract(fieldWith([[100, 60]]), LEVEL, { smoothing: 0 });
+  assert.equal(contours.length, 1);
+  const points = contours[0];
+  // A single blob reaches the threshold alpha 0.35 at 0.45 of its radius
+  for (let i = 0; i < points.length; i += 2) {
+    const r = Math.hypot(points[i] - 100, points[i + 1] - 60);
+    assert.ok(Math.abs(r - 9) < 1.5, `point at ${r.toFixed(2)} px`);
+  }
+  assert.ok(contourArea(points) > 0);
+});
+
+test('separate blobs, water at the border and holes each get an outline', () => {
+  const extractor = new ContourExtractor();
+  assert.equal(extractor.extract(fieldWith([[40, 60], [160, 60]]), LEVEL).length, 2);
+
+  // Cut off by the canvas edge, still closed
+  const edge = extractor.extract(fieldWith([[0, 0]]), LEVEL);
+  assert.equal(edge.length, 1);
+  assert.ok(contourArea(edge[0]) > 0);
+
+  // A ring of particles: the hole winds the other way
+  const ring = [];
+  for (let k = 0; k < 40; k++) {
+    const a = (k / 40) * Math.PI * 2;
+    ring.push([100 + Math.cos(a) * 40, 60 + Math.sin(a) * 40]);
+  }
+  const areas = extractor.extract(fieldWith(ring), LEVEL).map(contourArea).sort((a, b) => a - b);
+  assert.equal(areas.length, 2);
+  assert.ok(areas[0] < 0 && areas[1] > 0 && areas[1] > -areas[0]);
+});
+
+test('minArea drops specks', () => {
+  const field = fieldWith([[40, 60], [150, 60], [160, 60], [155, 70]]);
+  const contours = new ContourExtractor().extract(field, LEVEL, { minArea: 500 });
+  assert.equal(contours.length, 1);
+  assert.ok(contours[0][0] > 100);
+});
+
+test('smoothing cuts corners inside the polygon', () => {
+  const square = [0, 0, 10, 0, 10, 10, 0, 10];
+  const smooth = smoothContour(square, 1);
+  assert.equal(smooth.length, 16);
+  assert.deepEqual(smooth.slice(0, 4), [2.5, 0, 7.5, 0]);
+  assert.ok(contourArea(smooth) < contourArea(square));
+  assert.equal(contourArea(square), 100);
+});
+
+test('outlines export as SVG and JSON path data', () => {
+  const contours = [[0, 0, 10, 0, 10, 10.04], [20, 20, 30, 20, 30, 30]];
+  const svg = contoursToSVG(contours, 40, 30, { fill: '#123456' });
+  assert.match(svg, /<svg [^>]*viewBox="0 0 40 30"/);
+  assert.match(svg, /d="M0 0L10 0L10 10ZM20 20L30 20L30 30Z"/);
+  assert.match(svg, /fill="#123456"/);
+
+  const doc = JSON.parse(contoursToJSON(contours, 40, 30));
+  assert.equal(doc.format, OUTLINE_FORMAT);
+  assert.equal(doc.width, 40);
+  assert.deepEqual(doc.contours[0], [0, 0, 10, 0, 10, 10]);
+  assert.equal(doc.path, 'M0 0L10 0L10 10ZM20 20L30 20L30 30Z');
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import {
+  DebugViews, AutoRange, rampColor, particleValues, gridOccupancy,
+} from '../debugviews.js';
+
+function blobSim() {
+  const sim = new SPHSimulation(400, 300, { seed: 3 });
+  sim.spawnBlob(200, 150, 80, 40);
+  sim.step(1 / 60);
+  return sim;
+}
+
+test('the ramp runs from blue to red and clamps', () => {
+  assert.deepEqual(rampColor(0), [40, 60, 220]);
+  assert.deepEqual(rampColor(1), [230, 40, 30]);
+  assert.deepEqual(rampColor(-3), rampColor(0));
+  assert.deepEqual(rampColor(7), rampColor(1));
+});
+
+test('particle values match the solver arrays', () => {
+  const sim = blobSim();
+  const n = sim.getParticleCount();
+  const out = new Float32Array(n);
+
+  const speed = particleValues('speed', sim, out);
+  const vel = sim.getVelocities();
+  assert.ok(Math.abs(out[5] - Math.hypot(vel[10], vel[11])) < 1e-3);
+  assert.ok(speed.min <= out[5] && out[5] <= speed.max);
+
+  const density = particleValues('density', sim, out);
+  assert.equal(out[7], sim.getDensities()[7]);
+  assert.ok(density.max >= density.min);
+
+  // The worker proxy has positions but no solver arrays
+  const proxy = { getParticleCount: () => n, getPositions: () => sim.getPositions() };
+  assert.equal(particleValues('pressure', proxy, out), null);
+});
+
+test('grid occupancy accounts for every particle', () => {
+  const sim = blobSim();
+  const grid = sim.getGrid();
+  const counts = new Int32Array(grid.cols * grid.rows);
+  const max = gridOccupancy(grid, counts);
+
+  assert.equal(counts.reduce((a, b) => a + b, 0), sim.getParticleCount());
+  assert.equal(max, Math.max(...counts));
+});
+
+test('the auto range widens at once and narrows slowly', () => {
+  const range = new AutoRange(0.5);
+  range.update(0, 10);
+  range.update(2, 20);
+  assert.equal(range.min, 1);
+  assert.equal(range.max, 20);
+  assert.equal(range.normalize(10.5), 0.5);
+  range.reset();
+  range.update(5, 6);
+  assert.equal(range.min, 5);
+});
+
+test('views toggle by key and particle views exclude each other', () => {
+  const views = new DebugViews();
+  assert.equal(views.handleKey('1'), true);
+  assert.equal(views.handleKey('5'), true);
+  assert.deepEqual(views.list(), ['speed', 'grid']);
+
+  views.toggle('pressure');
+  assert.equal(views.particleView(), 'pressure');
+  assert.deepEqual(views.list(), ['pressure', 'grid']);
+
+  views.handleKey('3');
+  assert.equal(views.particleView(), null);
+  assert.equal(views.handleKey('x'), false);
+  views.handleKey('0');
+  assert.deepEqual(views.list(), []);
+  assert.throws(() => views.toggle('heat'), RangeError);
+});
+
+test('the simulation reports its normalized force fields', () => {
+  const sim = new SPHSimulation(400, 300);
+  sim.setHandForces([{ type: 'jet', x: 10, y: 20, angle: 0 }]);
+  const [field] = sim.getHandForces();
+  assert.equal(field.radius, 80);
+  assert.equal(field.dirX, 1);
+  assert.equal(field.strength, 12000);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DensityField, FIELD_THRESHOLD, alphaToLevel } from '../densityfield.js';
+
+const alphaAt = (field, x, y) => 1 - Math.exp(-field.values[y * field.width + x]);
+
+test('a kernel matches the blob alpha and ends at its radius', () => {
+  const field = new DensityField(1);
+  field.resize(40, 40);
+  field.splat(20.5, 20.5, 10);
+
+  assert.ok(Math.abs(alphaAt(field, 20, 20) - 0.8) < 0.05);
+  assert.ok(Math.abs(alphaAt(field, 25, 20) - 0.3) < 0.05);
+  assert.equal(field.values[20 * 40 + 31], 0);
+  assert.equal(field.values[32 * 40 + 20], 0);
+});
+
+test('stacked kernels composite like source-over blobs', () => {
+  const field = new DensityField(1);
+  field.resize(40, 40);
+  field.splat(20, 20, 10);
+  const single = alphaAt(field, 20, 20);
+  field.splat(20, 20, 10);
+
+  assert.ok(Math.abs(alphaAt(field, 20, 20) - (1 - (1 - single) ** 2)) < 1e-6);
+  assert.ok(Math.abs(alphaToLevel(FIELD_THRESHOLD) + Math.log(0.65)) < 1e-12);
+});
+
+test('resize keeps the buffers until the size changes', () => {
+  const field = new DensityField(0.5);
+  assert.equal(field.resize(200, 100), true);
+  assert.equal(field.width, 100);
+  assert.equal(field.height, 50);
+  const values = field.values;
+  assert.equal(field.resize(201, 101), false);
+  assert.equal(field.values, values);
+  assert.equal(field.resize(200, 100, 0.25), true);
+  assert.equal(field.width, 50);
+  assert.throws(() => field.resize(200, 100, 0), RangeError);
+  assert.throws(() => field.resize(200, 100, 5), RangeError);
+});
+
+const SCHEME = { uniform: true, inner: [30, 144, 255], outer: [0, 60, 180], glow: [100, 180, 255] };
+
+// A square of water 30..70 on a 100 x 100 field
+function pool() {
+  const field = new DensityField(1);
+  field.resize(100, 100);
+  for (let y = 30; y <= 70; y += 4) {
+    for (let x = 30; x <= 70; x += 4) field.splat(x, y, 10);
+  }
+  return field;
+}
+
+test('shading thresholds the field and lights slopes facing the upper left', () => {
+  const field = pool();
+  const data = new Uint8ClampedArray(field.width * field.height * 4);
+  field.shade(data, SCHEME);
+  const pixel = (x, y) => Array.from(data.subarray((y * 100 + x) * 4, (y * 100 + x) * 4 + 4));
+
+  assert.equal(pixel(5, 5)[3], 0);
+  assert.equal(pixel(50, 95)[3], 0);
+
+  // Flat water is the inner colour under a little glow, fully opaque
+  const [r, g, b, a] = pixel(50, 50);
+  assert.equal(a, 255);
+  assert.ok(r >= 30 && r < 60 && g >= 144 && g < 175 && b >= 245, `centre ${r}, ${g}, ${b}`);
+
+  // Matching edge cells on opposite sides: the lit side is brighter
+  const edge = (x, y) => pixel(x, y).slice(0, 3).reduce((sum, c) => sum + c, 0);
+  let x = 0;
+  while (pixel(x, 50)[3] === 0) x++;
+  assert.ok(edge(x + 1, 50) > edge(99 - x, 50));
+  assert.ok(edge(50, x + 1) > edge(50, 99 - x));
+});
+
+test('mixed colours follow the particles that cover each cell', () => {
+  const field = new DensityField(1);
+  field.resize(80, 40);
+  field.splat(25, 20, 12, 255, 0, 0);
+  field.splat(33, 20, 12, 255, 0, 0);
+  field.splat(47, 20, 12, 0, 0, 255);
+  field.splat(55, 20, 12, 0, 0, 255);
+  const data = new Uint8ClampedArray(80 * 40 * 4);
+  field.shade(data, { ...SCHEME, uniform: false });
+
+  const red = data.subarray((20 * 80 + 27) * 4, (20 * 80 + 27) * 4 + 4);
+  const blue = data.subarray((20 * 80 + 53) * 4, (20 * 80 + 53) * 4 + 4);
+  assert.ok(red[0] > red[2] && red[3] > 0);
+  assert.ok(blue[2] > blue[0] && blue[3] > 0);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import { normalizeForce } from '../forcefields.js';
+
+const CX = 200;
+const CY = 150;
+
+// Particles on a ring around (CX, CY), in zero gravity
+function ringSim() {
+  const sim = new SPHSimulation(400, 300, { seed: 2 });
+  sim.gravityEnabled = false;
+  for (let k = 0; k < 24; k++) {
+    const a = (k / 24) * Math.PI * 2;
+    sim.addParticle(CX + Math.cos(a) * 40, CY + Math.sin(a) * 40);
+  }
+  return sim;
+}
+
+// Mean radial (outward) and tangential (clockwise on screen) share of the
+// force that `field` adds to the ring
+function fieldShare(field) {
+  const sim = ringSim();
+  sim.substep();
+  const fluidOnly = sim.forces.slice();
+  sim.setHandForces([{ x: CX, y: CY, radius: 80, ...field }]);
+  sim.substep();
+
+  const pos = sim.getPositions();
+  let radial = 0;
+  let tangential = 0;
+  let fx = 0;
+  let fy = 0;
+  const n = sim.getParticleCount();
+  for (let i = 0; i < n; i++) {
+    const dx = (pos[2 * i] - CX) / 40;
+    const dy = (pos[2 * i + 1] - CY) / 40;
+    const hx = sim.forces[2 * i] - fluidOnly[2 * i];
+    const hy = sim.forces[2 * i + 1] - fluidOnly[2 * i + 1];
+    radial += hx * dx + hy * dy;
+    tangential += -hx * dy + hy * dx;
+    fx += hx;
+    fy += hy;
+  }
+  return { radial: radial / n, tangential: tangential / n, fx: fx / n, fy: fy / n };
+}
+
+test('each field type acts in its own direction', () => {
+  const repulse = fieldShare({ type: 'repulse' });
+  assert.ok(repulse.radial > 0 && Math.abs(repulse.tangential) < repulse.radial * 1e-3);
+
+  const attract = fieldShare({ type: 'attract' });
+  assert.ok(attract.radial < 0 && Math.abs(attract.tangential) < -attract.radial * 1e-3);
+
+  const clockwise = fieldShare({ type: 'vortex' });
+  const counter = fieldShare({ type: 'vortex', spin: -1 });
+  assert.ok(clockwise.tangential > 0 && Math.abs(clockwise.radial) < clockwise.tangential * 1e-3);
+  assert.ok(Math.abs(counter.tangential + clockwise.tangential) < clockwise.tangential * 1e-6);
+
+  const jet = fieldShare({ type: 'jet', angle: 0 });
+  assert.ok(jet.fx > 0 && Math.abs(jet.fy) < jet.fx * 1e-3);
+});
+
+test('strength and falloff override the type defaults', () => {
+  const base = fieldShare({ type: 'repulse' });
+  const double = fieldShare({ type: 'repulse', strength: 16000 });
+  assert.ok(Math.abs(double.radial - 2 * base.radial) < base.radial * 1e-6);
+  // At half the radius a constant falloff is 4x the default quadratic one
+  const flat = fieldShare({ type: 'repulse', falloff: 'constant' });
+  assert.ok(Math.abs(flat.radial - 4 * base.radial) < base.radial * 1e-6);
+});
+
+test('an impulse kicks the water once', () => {
+  const sim = ringSim();
+  sim.setHandForces([
+    { type: 'impulse', x: CX, y: CY, radius: 80, strength: 400 },
+    { type: 'repulse', x: 0, y: 0 },
+  ]);
+  sim.applyImpulses();
+  // Linear falloff at half the radius: 200 px/s outward
+  const vel = sim.getVelocities();
+  assert.ok(Math.abs(vel[0] - 200) < 1e-3 && Math.abs(vel[1]) < 1e-3, `kick was ${vel[0]}, ${vel[1]}`);
+
+  sim.applyImpulses();
+  assert.ok(Math.abs(vel[0] - 200) < 1e-3, 'impulse fired again');
+  assert.deepEqual(sim.handForces.map((f) => f.type), ['repulse']);
+});
+
+test('unknown field types and falloffs are rejected', () => {
+  assert.throws(() => normalizeForce({ type: 'tornado', x: 0, y: 0 }), /Unknown force type/);
+  assert.throws(() => normalizeForce({ x: 0, y: 0, falloff: 'cubic' }), /Unknown force falloff/);
+  assert.equal(normalizeForce({ x: 0, y: 0 }).type, 'repulse');
+});
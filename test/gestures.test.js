@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GESTURE_ACTIONS, GestureStabilizer, classifyHand, classifyHands, validateGestureActions,
+} from '../gestures.js';
+
+// Knuckle positions of index, middle, ring and pinky for an upright hand
+// with the wrist at (0.5, 0.9)
+const KNUCKLES = [[0.44, 0.7], [0.5, 0.68], [0.56, 0.7], [0.61, 0.73]];
+
+// Synthetic 21-landmark hand. `fingers` says per finger (index..pinky)
+// whether it is extended; `pinch` brings the thumb tip onto the index tip.
+function makeHand({ fingers = [true, true, true, true], pinch = false } = {}) {
+  const hand = [{ x: 0.5, y: 0.9 }];
+  hand.push({ x: 0.42, y: 0.85 }, { x: 0.38, y: 0.8 }, { x: 0.35, y: 0.76 }, { x: 0.33, y: 0.72 });
+  KNUCKLES.forEach(([x, y], f) => {
+    const joints = fingers[f] ? [0, -0.06, -0.1, -0.14] : [0, -0.04, -0.01, 0.04];
+    for (const dy of joints) hand.push({ x, y: y + dy });
+  });
+  if (pinch) hand[4] = { x: hand[8].x + 0.01, y: hand[8].y + 0.01 };
+  return hand;
+}
+
+function rotate(hand, angle) {
+  const [cx, cy] = [hand[0].x, hand[0].y];
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return hand.map(({ x, y }) => ({
+    x: cx + (x - cx) * c - (y - cy) * s,
+    y: cy + (x - cx) * s + (y - cy) * c,
+  }));
+}
+
+test('single-hand gestures are recognised', () => {
+  assert.equal(classifyHand(makeHand()), 'open');
+  assert.equal(classifyHand(makeHand({ fingers: [false, false, false, false] })), 'fist');
+  assert.equal(classifyHand(makeHand({ fingers: [true, false, false, false] })), 'point');
+  assert.equal(classifyHand(makeHand({ pinch: true })), 'pinch');
+  assert.equal(classifyHand(makeHand({ fingers: [true, true, false, false] })), 'none');
+  assert.equal(classifyHand(makeHand().slice(0, 10)), 'none');
+});
+
+test('classification does not depend on how the hand is turned', () => {
+  for (const angle of [Math.PI / 2, Math.PI, -2]) {
+    assert.equal(classifyHand(rotate(makeHand(), angle)), 'open');
+    assert.equal(classifyHand(rotate(makeHand({ fingers: [false, false, false, false] }), angle)), 'fist');
+    assert.equal(classifyHand(rotate(makeHand({ fingers: [true, false, false, false] }), angle)), 'point');
+  }
+});
+
+test('two open hands make a spread', () => {
+  assert.deepEqual(classifyHands([makeHand(), makeHand()]), ['spread', 'spread']);
+  assert.deepEqual(
+    classifyHands([makeHand(), makeHand({ fingers: [false, false, false, false] })]),
+    ['open', 'fist'],
+  );
+});
+
+test('a new gesture must hold for several frames before it takes over', () => {
+  const stabilizer = new GestureStabilizer(3);
+  assert.deepEqual(stabilizer.update(['open']), ['open']);
+  assert.deepEqual(stabilizer.update(['fist']), ['open']);
+  assert.deepEqual(stabilizer.update(['open']), ['open']);
+  assert.deepEqual(stabilizer.update(['fist']), ['open']);
+  assert.deepEqual(stabilizer.update(['fist']), ['open']);
+  assert.deepEqual(stabilizer.update(['fist']), ['fist']);
+  // A newly seen hand starts with its gesture straight away
+  assert.deepEqual(stabilizer.update(['fist', 'point']), ['fist', 'point']);
+});
+
+test('gesture mappings are checked and completed from the defaults', () => {
+  const actions = validateGestureActions({ fist: 'vortex' });
+  assert.equal(actions.fist, 'vortex');
+  assert.equal(actions.open, GESTURE_ACTIONS.open);
+  assert.throws(() => validateGestureActions({ wave: 'push' }), /Unknown gesture/);
+  assert.throws(() => validateGestureActions({ fist: 'explode' }), /Unknown hand action/);
+});
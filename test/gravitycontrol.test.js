@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import { applyAction } from '../recorder.js';
+import {
+  MAX_GRAVITY, NUDGE_DEGREES, gravityFromPolar, gravityToPolar, nudgeAngle, TiltInput,
+} from '../gravitycontrol.js';
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+test('gravity converts between a vector and angle and magnitude', () => {
+  const down = gravityFromPolar(90, 400);
+  assert.ok(close(down.x, 0) && close(down.y, 400));
+  const { angle, magnitude } = gravityToPolar({ x: -300, y: -300 });
+  assert.ok(close(angle, 225) && close(magnitude, 300 * Math.SQRT2));
+  assert.throws(() => gravityFromPolar(90, MAX_GRAVITY + 1), RangeError);
+  assert.throws(() => gravityFromPolar(Number.NaN, 100), RangeError);
+});
+
+test('arrow keys turn gravity towards their direction', () => {
+  assert.equal(nudgeAngle(90, 'ArrowLeft'), 90 + NUDGE_DEGREES);
+  assert.equal(nudgeAngle(90, 'ArrowRight'), 90 - NUDGE_DEGREES);
+  // The short way round, without overshooting
+  assert.equal(nudgeAngle(5, 'ArrowUp'), 350);
+  assert.equal(nudgeAngle(85, 'ArrowDown'), 90);
+  assert.equal(nudgeAngle(90, 'ArrowDown'), 90);
+  assert.equal(nudgeAngle(90, 'a'), null);
+});
+
+test('tilt is measured from the calibrated pose', () => {
+  const tilt = new TiltInput();
+  const base = { x: 0, y: 400 };
+  assert.deepEqual(tilt.gravity(base), base);
+
+  // Held upright, then the right edge dipped: gravity swings right
+  tilt.orientation(60, 0);
+  assert.ok(tilt.hasReading());
+  assert.ok(close(tilt.gravity(base).x, 0));
+  tilt.orientation(60, 30);
+  assert.ok(tilt.gravity(base).x > 100);
+
+  // Zeroing takes the new pose as level
+  tilt.calibrate();
+  assert.ok(close(tilt.gravity(base).x, 0) && close(tilt.gravity(base).y, 400));
+
+  // With the screen turned to landscape the same dip points along y
+  const landscape = new TiltInput();
+  landscape.orientation(60, 0, 90);
+  landscape.orientation(60, 30, 90);
+  const g = landscape.gravity(base);
+  assert.ok(Math.abs(g.y - 400) > 100 && Math.abs(g.x) < 100);
+});
+
+test('shakes kick the water the other way, once per cooldown', () => {
+  const tilt = new TiltInput();
+  assert.equal(tilt.motion(3, 0, 0, 0), null);
+  const kick = tilt.motion(20, 0, 0, 1);
+  assert.ok(kick.x < 0 && close(kick.y, 0));
+  assert.equal(tilt.motion(20, 0, 0, 1.1), null);
+  assert.ok(tilt.motion(0, 20, 0, 2).y > 0);
+});
+
+test('gravity changes and kicks replay as actions', () => {
+  const sim = new SPHSimulation(400, 300, { seed: 2 });
+  sim.spawnGrid(200, 150, 4, 4, 10);
+  applyAction(sim, { name: 'setGravity', args: [-100, 50] });
+  assert.deepEqual(sim.gravity, { x: -100, y: 50 });
+  applyAction(sim, { name: 'addVelocity', args: [30, -10] });
+  assert.equal(sim.getVelocities()[0], 30);
+  assert.equal(sim.getVelocities()[1], -10);
+  assert.throws(() => sim.setGravity(Number.NaN, 0), RangeError);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HandTrackSet, OneEuroFilter } from '../handtracks.js';
+
+// A 21-landmark hand whose points all sit at (x, y)
+function handAt(x, y) {
+  return Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+}
+
+const LEFT = { label: 'Left' };
+const RIGHT = { label: 'Right' };
+
+test('the One Euro filter calms jitter but keeps up with fast moves', () => {
+  const filter = new OneEuroFilter({ minCutoff: 1, beta: 10, dCutoff: 1 });
+  let worst = 0;
+  for (let f = 0; f < 120; f++) {
+    const noisy = 0.5 + (f % 2 ? 0.01 : -0.01);
+    const value = filter.filter(noisy, f / 30);
+    if (f > 30) worst = Math.max(worst, Math.abs(value - 0.5));
+  }
+  assert.ok(worst < 0.002, `still jitter ${worst}`);
+
+  // A steady sweep at one screen per second is followed within a few percent
+  let value = 0;
+  for (let f = 0; f < 30; f++) value = filter.filter(0.5 + f / 30, (120 + f) / 30);
+  assert.ok(Math.abs(value - (0.5 + 29 / 30)) < 0.05, `lag ${0.5 + 29 / 30 - value}`);
+  assert.ok(Math.abs(filter.velocity - 1) < 0.1, `velocity ${filter.velocity}`);
+});
+
+test('hands keep their track when MediaPipe reorders them', () => {
+  const set = new HandTrackSet({ aspect: 1 });
+  let t = 0;
+  for (let f = 0; f < 10; f++, t += 33) set.update([handAt(0.2, 0.5), handAt(0.8, 0.5)], [LEFT, RIGHT], t);
+  const [left, right] = set.tracks;
+
+  set.update([handAt(0.8, 0.5), handAt(0.2, 0.5)], [RIGHT, LEFT], t);
+  assert.deepEqual(set.tracks, [left, right]);
+  assert.equal(left.landmarks[9].x.toFixed(3), '0.200');
+  assert.ok(Math.abs(left.velocities[18]) < 1e-6, 'reordering made the hand jump');
+});
+
+test('a hand of the other side does not take over a track', () => {
+  const set = new HandTrackSet({ aspect: 1 });
+  set.update([handAt(0.5, 0.5)], [LEFT], 0);
+  const [left] = set.tracks;
+  set.update([handAt(0.52, 0.5)], [RIGHT], 33);
+  assert.equal(set.tracks.length, 2);
+  assert.equal(left.visible, false);
+  assert.equal(set.tracks[1].handedness, 'Right');
+});
+
+test('lost hands fade out over the grace period and are then dropped', () => {
+  const set = new HandTrackSet({ aspect: 1, graceMs: 300 });
+  set.update([handAt(0.5, 0.5)], [LEFT], 0);
+  const [track] = set.tracks;
+
+  set.update([], [], 150);
+  assert.equal(track.visible, false);
+  assert.equal(track.fade, 0.5);
+  assert.equal(set.tracks.length, 1);
+
+  // Coming back within the grace period resumes the same track
+  set.update([handAt(0.51, 0.5)], [LEFT], 200);
+  assert.deepEqual(set.tracks, [track]);
+  assert.equal(track.fade, 1);
+
+  set.update([], [], 400);
+  set.update([], [], 500);
+  assert.equal(set.tracks.length, 0);
+});
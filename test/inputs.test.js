@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LandmarkPlayback, LandmarkRecorder, SyntheticHand, createHandInput, parseLandmarks, poseLandmarks,
+} from '../inputs.js';
+import { classifyHand } from '../gestures.js';
+
+test('synthetic poses are recognised as their gesture', () => {
+  for (const gesture of ['open', 'fist', 'point', 'pinch', 'none']) {
+    assert.equal(classifyHand(poseLandmarks(gesture, 0.4, 0.5, 0.1)), gesture);
+  }
+});
+
+test('a synthetic hand drives forces through the gesture pipeline', async () => {
+  const hand = new SyntheticHand({ path: 'still', gesture: 'fist' });
+  await hand.init(null, 800, 600);
+  for (let t = 0; t <= 200; t += 33) hand.update(t);
+
+  assert.deepEqual(hand.getGestures().map((g) => g.gesture), ['fist']);
+  const [force] = hand.getHandForces();
+  assert.equal(force.type, 'attract');
+  assert.ok(Math.abs(force.x - 400) < 1e-6 && Math.abs(force.y - 300) < 1e-6);
+
+  const pair = new SyntheticHand({ path: 'sweep', hands: 2 });
+  await pair.init(null, 800, 600);
+  for (let t = 0; t <= 200; t += 33) pair.update(t);
+  assert.deepEqual(pair.getHandForces().map((f) => f.type), ['vortex']);
+});
+
+test('recorded landmarks play back on their own timeline', async () => {
+  const source = new SyntheticHand({ path: 'circle', gesture: ['open', 'point'], gesturePeriod: 0.5 });
+  await source.init(null, 800, 600);
+  const recorder = new LandmarkRecorder();
+  source.landmarkRecorder = recorder;
+  for (let t = 1000; t <= 2000; t += 33) source.update(t);
+  const doc = JSON.parse(JSON.stringify(recorder.finish()));
+
+  const playback = new LandmarkPlayback(doc, { loop: false });
+  await playback.init(null, 800, 600);
+  playback.update(5000);
+  assert.equal(playback.index, 1);
+  playback.update(5000 + 500);
+  assert.equal(playback.index, 16);
+  playback.update(5000 + 10000);
+  assert.ok(playback.done);
+
+  // Both ended on the same gesture with the hand at the same spot
+  assert.deepEqual(playback.getGestures().map((g) => g.gesture), source.getGestures().map((g) => g.gesture));
+  const [a] = playback.getLandmarks();
+  const [b] = source.getLandmarks();
+  assert.ok(Math.abs(a[9].x - b[9].x) < 1e-3 && Math.abs(a[9].y - b[9].y) < 1e-3);
+});
+
+test('bad landmark files and unknown inputs are rejected', () => {
+  assert.throws(() => parseLandmarks({ format: 'sph-scene' }), /Not a landmark recording/);
+  assert.throws(() => parseLandmarks({ format: 'sph-landmarks', version: 1, frames: [] }), /no frames/);
+  assert.throws(
+    () => parseLandmarks({ format: 'sph-landmarks', version: 1, frames: [{ t: 5 }, { t: 1 }] }),
+    /out of time order/,
+  );
+  assert.throws(() => createHandInput('kinect'), /Unknown hand input/);
+  assert.throws(() => new SyntheticHand({ path: 'spiral' }), /Unknown synthetic path/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointerTracker, pointerFieldType } from '../pointers.js';
+import { FORCE_TYPES } from '../forcefields.js';
+
+function event(pointerId, x, y, extra = {}) {
+  return { pointerId, clientX: x, clientY: y, button: 0, pointerType: 'touch', pressure: 0.5, ...extra };
+}
+
+function collect(pointers) {
+  const forces = [];
+  const spawnPoints = [];
+  pointers.collect(forces, spawnPoints);
+  return { forces, spawnPoints };
+}
+
+test('every pointer keeps its own force and velocity', () => {
+  const pointers = new PointerTracker();
+  pointers.down(event(1, 100, 100, { pointerType: 'mouse' }), 0);
+  pointers.down(event(7, 300, 300, { pointerType: 'pen' }), 0);
+  pointers.move(event(1, 110, 100, { pointerType: 'mouse' }), 10);
+  pointers.move(event(7, 300, 280, { pointerType: 'pen' }), 10);
+
+  const { forces } = collect(pointers);
+  assert.equal(forces.length, 2);
+  assert.deepEqual([forces[0].x, forces[0].vx, forces[0].vy], [110, 500, 0]);
+  assert.deepEqual([forces[1].y, forces[1].vx, forces[1].vy], [280, 0, -1000]);
+
+  // Lifting one pointer leaves the other alone
+  pointers.up(event(1, 110, 100));
+  assert.deepEqual(collect(pointers).forces.map((f) => f.x), [300]);
+});
+
+test('pen pressure scales reach and strength', () => {
+  const pointers = new PointerTracker({ radius: 80 });
+  pointers.down(event(1, 0, 0, { pointerType: 'pen', pressure: 1 }), 0);
+  const [force] = collect(pointers).forces;
+  assert.ok(Math.abs(force.radius - 128) < 1e-9);
+  assert.ok(Math.abs(force.strength - FORCE_TYPES.repulse.strength * 1.6) < 1e-6);
+
+  pointers.move(event(1, 5, 0, { pointerType: 'pen', pressure: 0.25 }), 16);
+  assert.ok(Math.abs(force.radius - 56) < 1e-9);
+});
+
+test('buttons and modifiers pick the field type', () => {
+  assert.equal(pointerFieldType({ button: 0 }), 'repulse');
+  assert.equal(pointerFieldType({ button: 0, shiftKey: true }), 'attract');
+  assert.equal(pointerFieldType({ button: 0, altKey: true }), 'jet');
+  assert.equal(pointerFieldType({ button: 2 }), 'vortex');
+  assert.equal(pointerFieldType({ button: 1 }), 'impulse');
+
+  const pointers = new PointerTracker();
+  pointers.down(event(1, 50, 50, { button: 1, pointerType: 'mouse' }), 0);
+  assert.deepEqual(collect(pointers).forces.map((f) => f.type), ['impulse']);
+  assert.equal(collect(pointers).forces.length, 0);
+});
+
+test('two fingers turning make a vortex and pinching pours water', () => {
+  const turning = new PointerTracker();
+  turning.down(event(1, 100, 200), 0);
+  turning.down(event(2, 300, 200), 0);
+  // Rotate the pair clockwise on screen about (200, 200)
+  turning.move(event(1, 110, 150), 16);
+  turning.move(event(2, 290, 250), 16);
+  const turned = collect(turning);
+  assert.equal(turned.forces.length, 1);
+  assert.equal(turned.forces[0].type, 'vortex');
+  assert.equal(turned.forces[0].spin, 1);
+  assert.deepEqual([turned.forces[0].x, turned.forces[0].y], [200, 200]);
+
+  const pinching = new PointerTracker();
+  pinching.down(event(1, 100, 200), 0);
+  pinching.down(event(2, 300, 200), 0);
+  pinching.move(event(1, 150, 200), 16);
+  const pinched = collect(pinching);
+  assert.equal(pinched.forces.length, 0);
+  assert.deepEqual(pinched.spawnPoints, [{ x: 225, y: 200, vx: 0, vy: 0 }]);
+
+  // A third finger ends the gesture
+  pinching.down(event(3, 500, 500), 20);
+  assert.equal(collect(pinching).forces.length, 3);
+});
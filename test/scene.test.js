@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import { CircleShape } from '../boundaries.js';
+import { createBody } from '../rigidbody.js';
+import { Emitter } from '../sources.js';
+import {
+  createScene, sceneToJSON, encodeSceneBinary, parseScene, rescaleScene, SCENE_VERSION,
+} from '../scene.js';
+
+function buildSim() {
+  const sim = new SPHSimulation(800, 600, { seed: 4, viscosity: 400 });
+  sim.addObstacle(new CircleShape(400, 500, 50), { restitution: 0.5 });
+  sim.addBody(createBody('boat', 300, 200));
+  sim.addEmitter(new Emitter(100, 50, { material: 1 }));
+  sim.addDrain(new CircleShape(700, 550, 30));
+  sim.spawnBlob(400, 300, 150, 60, 3);
+  for (let f = 0; f < 5; f++) sim.step(1 / 60);
+  return sim;
+}
+
+function restore(scene, width = 800, height = 600) {
+  const sim = new SPHSimulation(width, height);
+  sim.setState(scene.simulation);
+  return sim;
+}
+
+test('binary scenes restore particles exactly', () => {
+  const sim = buildSim();
+  const scene = createScene(sim.getState(), { width: 800, height: 600, colorScheme: 'Lava' });
+  const copy = restore(parseScene(encodeSceneBinary(scene)));
+
+  assert.equal(copy.getParticleCount(), sim.getParticleCount());
+  const n = sim.getParticleCount() * 2;
+  assert.deepEqual(copy.getPositions().subarray(0, n), sim.getPositions().subarray(0, n));
+  assert.deepEqual(copy.getVelocities().subarray(0, n), sim.getVelocities().subarray(0, n));
+  assert.deepEqual(copy.getParams(), sim.getParams());
+  assert.equal(copy.getObstacles().length, 1);
+  assert.equal(copy.getBodies()[0].kind, 'boat');
+  assert.equal(copy.getEmitters()[0].material, 1);
+  assert.equal(copy.getDrains().length, 1);
+});
+
+test('JSON scenes restore particles to within rounding', () => {
+  const sim = buildSim();
+  const scene = createScene(sim.getState(), { width: 800, height: 600 });
+  const copy = restore(parseScene(sceneToJSON(scene)));
+
+  const pos = sim.getPositions();
+  for (let i = 0; i < sim.getParticleCount() * 2; i++) {
+    assert.ok(Math.abs(copy.getPositions()[i] - pos[i]) < 1e-3);
+  }
+  assert.deepEqual(
+    copy.getMaterials().subarray(0, sim.getParticleCount()),
+    sim.getMaterials().subarray(0, sim.getParticleCount()),
+  );
+});
+
+test('scenes are stretched to a different canvas', () => {
+  const sim = buildSim();
+  const scene = createScene(sim.getState(), { width: 800, height: 600 });
+  const copy = restore(rescaleScene(parseScene(encodeSceneBinary(scene)), 1600, 300), 1600, 300);
+
+  assert.equal(copy.getPositions()[0], sim.getPositions()[0] * 2);
+  assert.equal(copy.getPositions()[1], sim.getPositions()[1] * 0.5);
+  const rock = copy.getObstacles()[0].shape;
+  assert.deepEqual([rock.x, rock.y], [800, 250]);
+  assert.equal(copy.getBodies()[0].x, sim.getBodies()[0].x * 2);
+});
+
+test('unknown or newer documents are rejected', () => {
+  const scene = createScene(buildSim().getState(), { width: 800, height: 600 });
+  assert.throws(() => parseScene('{}'), /Not a scene/);
+  assert.throws(() => parseScene({ ...JSON.parse(sceneToJSON(scene)), version: SCENE_VERSION + 1 }), /newer/);
+  assert.throws(() => parseScene(encodeSceneBinary(scene).slice(0, 64)), /truncated/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation, DEFAULT_PARAMS } from '../sph.js';
+import { SCENES, sceneFluid, buildScene, spawnSceneFluid } from '../scenes.js';
+
+const count = (fluid) => fluid.reduce((sum, { points }) => sum + points.length / 2, 0);
+
+test('every scene builds inside the tank at any size', () => {
+  for (const [width, height] of [[800, 600], [1920, 1080], [400, 900]]) {
+    for (const name of Object.keys(SCENES)) {
+      const sim = new SPHSimulation(width, height, { seed: 1 });
+      buildScene(sim, name);
+      const n = sim.getParticleCount();
+      assert.ok(n > 0 && n <= 1500, `${name} at ${width}x${height}: ${n} particles`);
+      const pos = sim.getPositions();
+      for (let i = 0; i < n; i++) {
+        assert.ok(pos[2 * i] > -2 && pos[2 * i] < width + 2 && pos[2 * i + 1] > -2 && pos[2 * i + 1] < height + 2,
+          `${name} particle ${i} outside ${width}x${height}`);
+      }
+    }
+  }
+});
+
+test('regions are laid out in fractions of the tank', () => {
+  const scene = { fluid: [{ type: 'grid', x: 0.5, y: 0.5, width: 0.5, height: 0.5, velocity: { x: 5, y: -5 } }] };
+  for (const [w, h] of [[200, 100], [400, 200]]) {
+    const [{ points, velocity }] = sceneFluid(scene, w, h);
+    assert.deepEqual(velocity, { x: 5, y: -5 });
+    for (let k = 0; k < points.length; k += 2) {
+      assert.ok(points[k] >= w / 2 && points[k] <= w && points[k + 1] >= h / 2 && points[k + 1] <= h);
+    }
+  }
+  // 100 x 50 px at 10 px spacing
+  assert.equal(count(sceneFluid(scene, 200, 100)), 50);
+});
+
+test('blobs and polygons fill only their inside', () => {
+  const [blob] = sceneFluid({ fluid: [{ type: 'blob', x: 0.5, y: 0.5, radius: 0.25 }] }, 400, 400);
+  for (let k = 0; k < blob.points.length; k += 2) {
+    assert.ok(Math.hypot(blob.points[k] - 200, blob.points[k + 1] - 200) <= 100);
+  }
+  assert.ok(Math.abs(blob.points.length / 2 - Math.PI * 100) < 20);
+
+  // A triangle: half its bounding box
+  const [triangle] = sceneFluid({ fluid: [{ type: 'polygon', points: [[0, 0], [1, 1], [0, 1]] }] }, 200, 200);
+  for (let k = 0; k < triangle.points.length; k += 2) assert.ok(triangle.points[k] <= triangle.points[k + 1]);
+  assert.ok(Math.abs(triangle.points.length / 2 - 200) < 25);
+
+  assert.throws(() => sceneFluid({ fluid: [{ type: 'cone' }] }, 100, 100), TypeError);
+});
+
+test('large tanks widen the spacing to stay within the budget', () => {
+  const scene = { particleBudget: 300, fluid: [{ type: 'grid', x: 0, y: 0, width: 1, height: 1 }] };
+  const n = count(sceneFluid(scene, 400, 300));
+  assert.ok(n <= 300 && n > 250, `${n} particles`);
+
+  // As many as there are regions is the least a budget can be
+  const two = { fluid: [scene.fluid[0], { type: 'blob', x: 0.5, y: 0.5, radius: 0.2 }] };
+  assert.equal(count(sceneFluid({ ...two, particleBudget: 2 }, 400, 300)), 2);
+  for (const particleBudget of [0, 1, 2.5, Number.NaN]) {
+    assert.throws(() => sceneFluid({ ...two, particleBudget }, 400, 300), RangeError);
+  }
+});
+
+test('a scene replaces gravity, parameters and contents through the given call', () => {
+  const sim = new SPHSimulation(800, 600, { seed: 1 });
+  sim.setParams({ viscosity: 10 });
+  buildScene(sim, 'fountain');
+  const calls = [];
+  buildScene(sim, 'zero-g', 800, 600, (method, ...args) => {
+    calls.push(method);
+    return sim[method](...args);
+  });
+  assert.deepEqual(calls.slice(0, 6),
+    ['reset', 'clearObstacles', 'clearEmitters', 'clearDrains', 'setParams', 'setGravity']);
+  assert.deepEqual(sim.gravity, { x: 0, y: 0 });
+  assert.equal(sim.getParams().viscosity, DEFAULT_PARAMS.viscosity);
+  assert.equal(sim.getParams().surfaceTension, SCENES['zero-g'].params.surfaceTension);
+  assert.equal(sim.getEmitters().length, 0);
+
+  // Refilling keeps everything else
+  const before = sim.getParticleCount();
+  spawnSceneFluid(sim, 'zero-g');
+  assert.equal(sim.getParticleCount(), before * 2);
+  assert.throws(() => buildScene(sim, 'nope'), /Unknown scene/);
+});
+
+test('a scene with weight turns gravity back on', () => {
+  const sim = new SPHSimulation(800, 600, { seed: 1 });
+  sim.gravityEnabled = false;
+  buildScene(sim, 'zero-g');
+  assert.equal(sim.gravityEnabled, false);
+  buildScene(sim, 'dam');
+  assert.equal(sim.gravityEnabled, true);
+  assert.deepEqual(sim.gravity, { x: 0, y: 400 });
+});
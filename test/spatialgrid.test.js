@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialGrid } from '../sph.js';
+import { SeededRandom } from '../random.js';
+
+const WIDTH = 400;
+const HEIGHT = 300;
+const CELL = 35;
+
+function randomPositions(random, count, margin) {
+  const positions = new Float32Array(count * 2);
+  for (let i = 0; i < count; i++) {
+    positions[2 * i] = -margin + random.next() * (WIDTH + 2 * margin);
+    positions[2 * i + 1] = -margin + random.next() * (HEIGHT + 2 * margin);
+  }
+  return positions;
+}
+
+function buildGrid(positions, count) {
+  const grid = new SpatialGrid(CELL);
+  grid.resize(WIDTH, HEIGHT);
+  grid.build(positions, count);
+  return grid;
+}
+
+function query(grid, x, y, count) {
+  const out = new Int32Array(count);
+  const n = grid.getNeighbors(x, y, out);
+  return Array.from(out.subarray(0, n));
+}
+
+test('getNeighbors returns every particle within one cell size', () => {
+  const random = new SeededRandom(1);
+  const count = 600;
+  const positions = randomPositions(random, count, 0);
+  const grid = buildGrid(positions, count);
+
+  for (let q = 0; q < 200; q++) {
+    const x = random.next() * WIDTH;
+    const y = random.next() * HEIGHT;
+    const found = new Set(query(grid, x, y, count));
+    for (let i = 0; i < count; i++) {
+      const dx = positions[2 * i] - x;
+      const dy = positions[2 * i + 1] - y;
+      if (dx * dx + dy * dy < CELL * CELL) {
+        assert.ok(found.has(i), `particle ${i} missing from query at (${x}, ${y})`);
+      }
+    }
+  }
+});
+
+test('getNeighbors returns exactly the particles of the 3x3 cells, once each', () => {
+  const random = new SeededRandom(2);
+  const count = 500;
+  // Some particles outside the tank: they belong to the border cells
+  const positions = randomPositions(random, count, 40);
+  const grid = buildGrid(positions, count);
+  const cellOf = (v, size) => Math.min(Math.max(Math.floor(v / CELL), 0), size - 1);
+
+  for (let q = 0; q < 200; q++) {
+    const x = -40 + random.next() * (WIDTH + 80);
+    const y = -40 + random.next() * (HEIGHT + 80);
+    const found = query(grid, x, y, count);
+    assert.equal(new Set(found).size, found.length, 'duplicate indices');
+
+    const cx = cellOf(x, grid.cols);
+    const cy = cellOf(y, grid.rows);
+    const expected = [];
+    for (let i = 0; i < count; i++) {
+      const px = cellOf(positions[2 * i], grid.cols);
+      const py = cellOf(positions[2 * i + 1], grid.rows);
+      if (Math.abs(px - cx) <= 1 && Math.abs(py - cy) <= 1) expected.push(i);
+    }
+    assert.deepEqual(found.sort((a, b) => a - b), expected);
+  }
+});
+
+test('a rebuilt grid forgets particles beyond the live count', () => {
+  const random = new SeededRandom(3);
+  const positions = randomPositions(random, 100, 0);
+  const grid = buildGrid(positions, 100);
+  grid.build(positions, 10);
+  const found = query(grid, WIDTH / 2, HEIGHT / 2, 100);
+  assert.ok(found.every((i) => i < 10));
+});
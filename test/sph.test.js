@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import { CircleShape, SegmentShape } from '../boundaries.js';
+import { createBody } from '../rigidbody.js';
+import { MATERIAL_COUNT } from '../materials.js';
+
+function totalMass(sim) {
+  let mass = 0;
+  for (let i = 0; i < sim.getParticleCount(); i++) {
+    mass += sim.materialMass[sim.getMaterials()[i]];
+  }
+  return mass;
+}
+
+function assertFinite(sim) {
+  const n = sim.getParticleCount();
+  for (const arr of [sim.getPositions(), sim.getVelocities()]) {
+    for (let i = 0; i < n * 2; i++) assert.ok(Number.isFinite(arr[i]), `non-finite value at ${i}`);
+  }
+}
+
+test('particles and mass are conserved without emitters or drains', () => {
+  const sim = new SPHSimulation(500, 400, { seed: 1, colorDiffusion: 200 });
+  sim.addObstacle(new CircleShape(250, 300, 40));
+  sim.addBody(createBody('box', 150, 100));
+  sim.spawnBlob(200, 150, 150, 60, 0);
+  sim.spawnBlob(330, 150, 100, 50, 2);
+  const count = sim.getParticleCount();
+  const mass = totalMass(sim);
+
+  for (let f = 0; f < 90; f++) sim.step(1 / 60);
+
+  assert.equal(sim.getParticleCount(), count);
+  assert.equal(totalMass(sim), mass);
+  assertFinite(sim);
+
+  // Color mixing moves color around but keeps each particle's total at 1
+  const mix = sim.getMixFractions();
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let m = 0; m < MATERIAL_COUNT; m++) sum += mix[i * MATERIAL_COUNT + m];
+    assert.ok(Math.abs(sum - 1) < 1e-4, `mix of particle ${i} sums to ${sum}`);
+  }
+});
+
+// The equation of state is soft for these units: under its own weight a
+// column slumps onto the floor and settles a little over five times rest
+// density at the default stiffness (about 4.3 at the softest allowed, 3.9
+// at the stiffest). The band pins the default down, so a change to the
+// pressure or the kernels shows up here. Move it when the solver gets
+// stiffer.
+test('a settled column stays within its density error bound', (t) => {
+  const spacing = 10;
+  const cols = 12;
+  const rows = 16;
+  const width = cols * spacing + 40;
+  const height = 400;
+
+  // Rest density of a particle on the spawn lattice, so the column starts
+  // at rest density
+  const sim = new SPHSimulation(width, height, { seed: 1 });
+  let restDensity = 0;
+  for (let i = -4; i <= 4; i++) {
+    for (let j = -4; j <= 4; j++) {
+      const r2 = (i * spacing) ** 2 + (j * spacing) ** 2;
+      if (r2 < sim.h2) restDensity += sim.params.particleMass * sim.poly6Coeff * (sim.h2 - r2) ** 3;
+    }
+  }
+  sim.setParams({ restDensity });
+
+  // Walls with boundary particles on three sides
+  const left = 20 - spacing / 2;
+  const right = width - 20 + spacing / 2;
+  const floor = height - 20 + spacing / 2;
+  sim.addObstacle(new SegmentShape(left, 0, left, floor, 2));
+  sim.addObstacle(new SegmentShape(right, 0, right, floor, 2));
+  sim.addObstacle(new SegmentShape(0, floor, width, floor, 2));
+  sim.spawnGrid(width / 2 + spacing / 2, floor - spacing / 2 - rows * spacing / 2, cols, rows, spacing);
+
+  for (let f = 0; f < 300; f++) sim.step(1 / 60);
+
+  const n = sim.getParticleCount();
+  const vel = sim.getVelocities();
+  let density = 0;
+  let maxSpeed = 0;
+  for (let i = 0; i < n; i++) {
+    density += sim.getDensities()[i];
+    maxSpeed = Math.max(maxSpeed, Math.hypot(vel[2 * i], vel[2 * i + 1]));
+  }
+  const error = density / n / restDensity - 1;
+  t.diagnostic(`density error ${error.toFixed(3)}, max speed ${maxSpeed.toFixed(1)} px/s`);
+  assert.ok(maxSpeed < 5, `column has not settled (max speed ${maxSpeed.toFixed(1)} px/s)`);
+  assert.ok(error > 4.1 && error < 4.25, `density error ${error.toFixed(3)} out of bounds`);
+});
+
+test('integrate() keeps particles inside the tank and out of obstacles', () => {
+  const width = 400;
+  const height = 300;
+  const sim = new SPHSimulation(width, height, { seed: 2 });
+  const rock = new CircleShape(200, 150, 50);
+  sim.addObstacle(rock, { restitution: 0.8 });
+
+  // Fast particles aimed at the walls and the rock
+  for (let i = 0; i < 200; i++) {
+    const angle = (i / 200) * Math.PI * 2;
+    const x = 200 + Math.cos(angle) * 90;
+    const y = 150 + Math.sin(angle) * 90;
+    const speed = i % 2 === 0 ? 4000 : -4000;
+    sim.addParticle(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed);
+  }
+
+  const normal = { x: 0, y: 0 };
+  for (let f = 0; f < 60; f++) {
+    sim.step(1 / 60);
+    const pos = sim.getPositions();
+    for (let i = 0; i < sim.getParticleCount(); i++) {
+      const x = pos[2 * i];
+      const y = pos[2 * i + 1];
+      assert.ok(x >= 0 && x <= width && y >= 0 && y <= height, `particle ${i} left the tank: (${x}, ${y})`);
+      assert.ok(rock.distance(x, y, normal) >= -1e-3, `particle ${i} inside the rock`);
+    }
+  }
+});
+
+test('a hand at the mirror axis of a symmetric fluid pushes symmetrically', () => {
+  const sim = new SPHSimulation(400, 300, { seed: 3 });
+  sim.gravityEnabled = false;
+  const axis = 200;
+  for (let i = 0; i < 60; i++) {
+    const x = axis - 5 - sim.random.next() * 80;
+    const y = 100 + sim.random.next() * 100;
+    sim.addParticle(x, y, 0, 0);
+    sim.addParticle(2 * axis - x, y, 0, 0);
+  }
+  sim.substep();
+  const fluidOnly = sim.forces.slice();
+  sim.setHandForces([{ x: axis, y: 150, vx: 0, vy: 300, radius: 80 }]);
+  sim.substep();
+
+  const forces = sim.forces;
+  let scale = 0;
+  for (let i = 0; i < sim.getParticleCount() * 2; i++) scale = Math.max(scale, Math.abs(forces[i]));
+  const tolerance = scale * 1e-4;
+
+  for (let i = 0; i < sim.getParticleCount(); i += 2) {
+    const j = i + 1;
+    assert.ok(Math.abs(forces[2 * i] + forces[2 * j]) <= tolerance, `x forces of pair ${i} not mirrored`);
+    assert.ok(Math.abs(forces[2 * i + 1] - forces[2 * j + 1]) <= tolerance, `y forces of pair ${i} differ`);
+  }
+
+  // The hand's share pushes outward: left particles left, right ones right
+  const pos = sim.getPositions();
+  let pushed = 0;
+  for (let i = 0; i < sim.getParticleCount(); i++) {
+    const d = Math.hypot(pos[2 * i] - axis, pos[2 * i + 1] - 150);
+    if (d < 60) {
+      const push = forces[2 * i] - fluidOnly[2 * i];
+      assert.ok(Math.sign(push) === Math.sign(pos[2 * i] - axis), `particle ${i} pulled inward`);
+      pushed++;
+    }
+  }
+  assert.ok(pushed > 0);
+});
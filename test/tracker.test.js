@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HandTracker, HandTrackerError, TRACKER_DEFAULTS, validateTrackerOptions,
+} from '../handtracker.js';
+
+test('tracker options default to the CDN and two hands', () => {
+  const config = new HandTracker().config;
+  assert.deepEqual(config, TRACKER_DEFAULTS);
+});
+
+test('tracker options take a local asset folder and more hands', () => {
+  const config = validateTrackerOptions({
+    assetBase: 'vendor/mediapipe/hands', maxNumHands: 4, modelComplexity: 0, deviceId: 'cam-2',
+  });
+  assert.equal(config.assetBase, 'vendor/mediapipe/hands/');
+  assert.equal(config.maxNumHands, 4);
+  assert.equal(config.modelComplexity, 0);
+  assert.equal(config.deviceId, 'cam-2');
+  assert.equal(config.minDetectionConfidence, TRACKER_DEFAULTS.minDetectionConfidence);
+});
+
+test('out-of-range tracker options are rejected', () => {
+  assert.throws(() => validateTrackerOptions({ maxNumHands: 0 }), /maxNumHands/);
+  assert.throws(() => validateTrackerOptions({ maxNumHands: 2.5 }), /maxNumHands/);
+  assert.throws(() => validateTrackerOptions({ modelComplexity: 2 }), /modelComplexity/);
+  assert.throws(() => validateTrackerOptions({ minTrackingConfidence: 1.5 }), /minTrackingConfidence/);
+  assert.throws(() => validateTrackerOptions({ cameraWidth: -640 }), /cameraWidth/);
+  assert.throws(() => validateTrackerOptions({ assetBase: '' }), /assetBase/);
+});
+
+test('tracker errors carry a code and a readable message', () => {
+  const err = new HandTrackerError('script-load', 'vendor/hands.js');
+  assert.equal(err.code, 'script-load');
+  assert.match(err.message, /could not be loaded: vendor\/hands\.js/);
+  assert.ok(err instanceof Error);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPHSimulation } from '../sph.js';
+import { Whitewater, SPRAY, FOAM, BUBBLE } from '../whitewater.js';
+
+// A settled-looking pool: a grid of particles at rest, gravity off
+function poolSim() {
+  const sim = new SPHSimulation(400, 300, { seed: 3 });
+  sim.gravityEnabled = false;
+  sim.spawnGrid(200, 200, 16, 8, 10);
+  sim.getVelocities().fill(0);
+  return sim;
+}
+
+// Updates `whitewater` against `sim` without moving the fluid
+function update(sim, whitewater, dt) {
+  sim.getGrid().build(sim.getPositions(), sim.getParticleCount());
+  whitewater.update(sim, dt);
+}
+
+test('options are checked', () => {
+  assert.throws(() => new Whitewater({ capacity: 0 }), RangeError);
+  assert.throws(() => new Whitewater({ capacity: 2.5 }), RangeError);
+});
+
+test('still water sheds nothing, fast colliding water does', () => {
+  const calm = poolSim();
+  const quiet = new Whitewater();
+  for (let f = 0; f < 10; f++) update(calm, quiet, 1 / 60);
+  assert.equal(quiet.getCount(), 0);
+
+  const sim = new SPHSimulation(400, 300, { seed: 3 });
+  sim.gravityEnabled = false;
+  sim.spawnGrid(170, 150, 5, 5, 10);
+  sim.spawnGrid(230, 150, 5, 5, 10);
+  const n = sim.getParticleCount();
+  const vel = sim.getVelocities();
+  for (let i = 0; i < n; i++) vel[2 * i] = i < n / 2 ? 1500 : -1500;
+  sim.setWhitewater(true);
+  sim.step(1 / 60);
+  assert.ok(sim.getWhitewater().getCount() > 0);
+});
+
+test('spray falls, bubbles rise and foam rides the fluid', () => {
+  const sim = poolSim();
+  sim.gravityEnabled = true;
+  const whitewater = new Whitewater();
+  whitewater.spawn(200, 50, 0, 0.001, 0.001, sim.h, 0);   // in the air
+  whitewater.spawn(200, 200, 0, 0.001, 0.001, sim.h, 0);  // mid pool
+  const positions = whitewater.getPositions();
+  const start = Array.from(positions.subarray(0, 4));
+  for (let f = 0; f < 10; f++) update(sim, whitewater, 1 / 60);
+
+  assert.equal(whitewater.getCount(), 2);
+  assert.deepEqual(Array.from(whitewater.getKinds().subarray(0, 2)), [SPRAY, BUBBLE]);
+  assert.ok(positions[1] > start[1], 'spray falls');
+  assert.ok(positions[3] < start[3], 'bubble rises');
+
+  // At the edge of the pool a particle has only a few neighbours
+  const edge = new Whitewater();
+  edge.spawn(200, 200 - 4 * 10 - 12, 0, 0.001, 0.001, sim.h, 0);
+  update(sim, edge, 1 / 60);
+  assert.equal(edge.getKinds()[0], FOAM);
+});
+
+test('diffuse particles age out', () => {
+  const sim = new SPHSimulation(400, 300, { seed: 3 });
+  sim.gravityEnabled = false;
+  const whitewater = new Whitewater({ lifetime: [0.5, 0.5] });
+  whitewater.spawn(200, 150, 0, 0.001, 0.001, sim.h, 0);
+  update(sim, whitewater, 0.5);
+  assert.equal(whitewater.getCount(), 1);
+  for (let f = 0; f < 4; f++) update(sim, whitewater, 0.25);
+  assert.equal(whitewater.getCount(), 0);
+});
+
+test('whitewater does not change the fluid', () => {
+  const run = (enabled) => {
+    const sim = new SPHSimulation(400, 300, { seed: 5 });
+    sim.spawnBlob(200, 100, 150, 50);
+    sim.setWhitewater(enabled);
+    for (let f = 0; f < 30; f++) sim.step(1 / 60);
+    return Array.from(sim.getPositions().subarray(0, sim.getParticleCount() * 2));
+  };
+  assert.deepEqual(run(true), run(false));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipWriter, crc32 } from '../zip.js';
+
+const text = (s) => new TextEncoder().encode(s);
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(text('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('archives list their files in the central directory', () => {
+  const zip = new ZipWriter();
+  zip.add('frame-0000.png', text('first'), new Date(2024, 4, 17, 12, 30, 10));
+  zip.add('frame-0001.png', text('second!'));
+  const bytes = concat(zip.finish());
+  const view = new DataView(bytes.buffer);
+
+  // End of central directory record
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const size = view.getUint32(end + 12, true);
+  let o = view.getUint32(end + 16, true);
+  assert.equal(o + size, end);
+
+  const files = [];
+  while (o < end) {
+    assert.equal(view.getUint32(o, true), 0x02014b50);
+    const nameLength = view.getUint16(o + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(o + 46, o + 46 + nameLength));
+    const local = view.getUint32(o + 42, true);
+    const length = view.getUint32(o + 24, true);
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + length);
+    assert.equal(crc32(data), view.getUint32(o + 16, true));
+    files.push([name, new TextDecoder().decode(data)]);
+    o += 46 + nameLength;
+  }
+  assert.deepEqual(files, [['frame-0000.png', 'first'], ['frame-0001.png', 'second!']]);
+
+  // 2024-05-17 12:30:10 in MS-DOS form
+  assert.equal(view.getUint16(10, true), (12 << 11) | (30 << 5) | 5);
+  assert.equal(view.getUint16(12, true), (44 << 9) | (5 << 5) | 17);
+});
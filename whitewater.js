@@ -0,0 +1,339 @@
+// ============================================================
+// Whitewater - spray, foam and bubbles
+// ============================================================
+// Secondary particles after Ihmsen et al. 2012, "Unified Spray, Foam and
+// Bubbles for Particle-Based Fluids". Fluid particles that trap air (their
+// neighbours rush at them), ride a wave crest or move fast shed diffuse
+// particles. Each diffuse particle is sorted every step by how many fluid
+// particles surround it:
+//   spray  - few neighbours: flies ballistically under gravity
+//   foam   - some: carried along with the fluid at the surface
+//   bubble - many: rises against gravity, dragged by the fluid
+// They read the fluid through the solver's neighbour grid but never push
+// back, so the pressure solve is unchanged. All of them age and vanish.
+
+import { SeededRandom } from './random.js';
+
+export const DIFFUSE_KINDS = ['spray', 'foam', 'bubble'];
+export const SPRAY = 0;
+export const FOAM = 1;
+export const BUBBLE = 2;
+
+export const WHITEWATER_DEFAULTS = {
+  capacity: 3000,      // most diffuse particles alive at once
+  trappedAirRate: 60,  // particles/s from a fluid particle at full trapped-air potential
+  crestRate: 60,       // the same at a full wave crest
+  lifetime: [1, 3],    // s, drawn per particle
+  seed: 1,
+};
+
+// Potential ranges mapped to 0..1 (Ihmsen's clamping thresholds), each
+// averaged over the neighbours: trapped air as a closing speed (px/s),
+// wave crest curvature (0..2), kinetic energy per mass (px²/s²)
+const TRAPPED_AIR = [500, 2500];
+const CREST = [0.5, 1.2];
+const ENERGY = [0.5 * 350 * 350, 0.5 * 1200 * 1200];
+// A crest only foams where the water moves out through its surface
+const CREST_ALIGNMENT = 0.6;
+// Neighbour counts that separate spray, foam and bubbles, as fractions of
+// the fluid particles' average count (how densely the fluid packs depends
+// on its parameters)
+const SPRAY_NEIGHBORS = 0.1;
+const BUBBLE_NEIGHBORS = 0.6;
+// Bubble buoyancy (fraction of gravity, upward) and how fast they and
+// foam take on the fluid's velocity (1/s)
+const BUOYANCY = 1.5;
+const BUBBLE_DRAG = 8;
+// Aging speed per kind: foam lasts its lifetime, spray and bubbles longer
+const AGING = [0.6, 1, 0.6];
+
+function clampPotential(value, [min, max]) {
+  return (Math.min(value, max) - Math.min(value, min)) / (max - min);
+}
+
+export class Whitewater {
+  constructor(options = {}) {
+    const { capacity, trappedAirRate, crestRate, lifetime, seed } = { ...WHITEWATER_DEFAULTS, ...options };
+    if (!(Number.isInteger(capacity) && capacity > 0)) {
+      throw new RangeError(`Whitewater capacity must be a positive integer: ${capacity}`);
+    }
+    this.capacity = capacity;
+    this.trappedAirRate = trappedAirRate;
+    this.crestRate = crestRate;
+    this.lifetime = lifetime;
+    this.random = new SeededRandom(seed);
+
+    this.count = 0;
+    this.positions = new Float32Array(capacity * 2);
+    this.velocities = new Float32Array(capacity * 2);
+    this.life = new Float32Array(capacity);       // seconds left
+    this.kinds = new Uint8Array(capacity);        // SPRAY, FOAM or BUBBLE
+    this.fluidNormals = new Float32Array(0);      // per fluid particle, outward
+    this.meanNeighbors = 0;                       // of a fluid particle
+  }
+
+  clear() {
+    this.count = 0;
+  }
+
+  getCount() {
+    return this.count;
+  }
+
+  getPositions() {
+    return this.positions;
+  }
+
+  getKinds() {
+    return this.kinds;
+  }
+
+  // Seconds left per particle; divide by the upper lifetime for a fade
+  getLifetimes() {
+    return this.life;
+  }
+
+  // Advances by `dt` seconds after the fluid moved. The solver's grid must
+  // be built for the fluid's current positions.
+  update(sim, dt) {
+    if (dt <= 0) return;
+    this.computeNormals(sim);
+    this.advect(sim, dt);
+    this.emit(sim, dt);
+  }
+
+  // Outward surface normals of the fluid from the neighbour distribution
+  // (near zero inside, unit length at the surface) and the mean neighbour
+  // count
+  computeNormals(sim) {
+    const n = sim.getParticleCount();
+    if (this.fluidNormals.length < n * 2) this.fluidNormals = new Float32Array(n * 4);
+    const normals = this.fluidNormals;
+    const pos = sim.getPositions();
+    const grid = sim.getGrid();
+    const { cols, rows, cellStart, sorted } = grid;
+    const h = sim.h;
+    const h2 = h * h;
+    let neighbors = 0;
+
+    for (let i = 0; i < n; i++) {
+      const xi = pos[2 * i];
+      const yi = pos[2 * i + 1];
+      let nx = 0, ny = 0, weight = 0;
+      const cx = grid.cellX(xi);
+      const cy = grid.cellY(yi);
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      for (let gy = cy > 0 ? cy - 1 : 0; gy <= (cy < rows - 1 ? cy + 1 : cy); gy++) {
+        const row = gy * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let k = cellStart[row + (cx > 0 ? cx - 1 : 0)]; k < end; k++) {
+          const j = sorted[k];
+          if (j === i) continue;
+          const dx = xi - pos[2 * j];
+          const dy = yi - pos[2 * j + 1];
+          const r2 = dx * dx + dy * dy;
+          if (r2 >= h2 || r2 < 1e-6) continue;
+          const r = Math.sqrt(r2);
+          const w = 1 - r / h;
+          neighbors++;
+          nx += (dx / r) * w;
+          ny += (dy / r) * w;
+          weight += w;
+        }
+      }
+      // Balanced neighbours cancel; one-sided ones leave a normal of length ~1
+      const scale = weight > 0 ? 1 / weight : 0;
+      normals[2 * i] = nx * scale;
+      normals[2 * i + 1] = ny * scale;
+    }
+    this.meanNeighbors = n > 0 ? neighbors / n : 0;
+  }
+
+  // Sheds new diffuse particles from fluid particles with high potential
+  emit(sim, dt) {
+    const n = sim.getParticleCount();
+    if (n === 0) return;
+    const normals = this.fluidNormals;
+    const pos = sim.getPositions();
+    const vel = sim.getVelocities();
+    const grid = sim.getGrid();
+    const { cols, rows, cellStart, sorted } = grid;
+    const h = sim.h;
+    const h2 = h * h;
+    const random = this.random;
+
+    for (let i = 0; i < n; i++) {
+      const vxi = vel[2 * i];
+      const vyi = vel[2 * i + 1];
+      const energy = clampPotential(0.5 * (vxi * vxi + vyi * vyi), ENERGY);
+      if (energy === 0) continue;
+
+      const xi = pos[2 * i];
+      const yi = pos[2 * i + 1];
+      const nxi = normals[2 * i];
+      const nyi = normals[2 * i + 1];
+      const nLen = Math.hypot(nxi, nyi);
+      const speed = Math.hypot(vxi, vyi);
+      // Crests: surface particles moving out through the surface
+      const crestCandidate = nLen > 0.3 && (vxi * nxi + vyi * nyi) / (speed * nLen) >= CREST_ALIGNMENT;
+      let trappedAir = 0;
+      let curvature = 0;
+      let weight = 0;
+
+      const cx = grid.cellX(xi);
+      const cy = grid.cellY(yi);
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      for (let gy = cy > 0 ? cy - 1 : 0; gy <= (cy < rows - 1 ? cy + 1 : cy); gy++) {
+        const row = gy * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let k = cellStart[row + (cx > 0 ? cx - 1 : 0)]; k < end; k++) {
+          const j = sorted[k];
+          if (j === i) continue;
+          const dx = xi - pos[2 * j];
+          const dy = yi - pos[2 * j + 1];
+          const r2 = dx * dx + dy * dy;
+          if (r2 >= h2 || r2 < 1e-6) continue;
+          const r = Math.sqrt(r2);
+          const w = 1 - r / h;
+          weight += w;
+
+          // Neighbours closing in fast trap air between them
+          const dvx = vxi - vel[2 * j];
+          const dvy = vyi - vel[2 * j + 1];
+          const dv = Math.hypot(dvx, dvy);
+          if (dv > 0) trappedAir += dv * (1 - (dvx * dx + dvy * dy) / (dv * r)) * w;
+
+          // Convex surface: neighbours behind the normal, facing other ways
+          if (crestCandidate && dx * nxi + dy * nyi > 0) {
+            const nxj = normals[2 * j];
+            const nyj = normals[2 * j + 1];
+            const nLenJ = Math.hypot(nxj, nyj);
+            if (nLenJ > 0) curvature += (1 - (nxi * nxj + nyi * nyj) / (nLen * nLenJ)) * w;
+          }
+        }
+      }
+
+      if (weight > 0) {
+        trappedAir /= weight;
+        curvature /= weight;
+      }
+      const rate = energy * (this.trappedAirRate * clampPotential(trappedAir, TRAPPED_AIR) +
+        this.crestRate * clampPotential(curvature, CREST));
+      if (rate === 0) continue;
+
+      // Whole particles now, the fraction with a matching chance
+      let spawn = rate * dt;
+      while (spawn > 0 && this.count < this.capacity) {
+        if (spawn < 1 && random.next() >= spawn) break;
+        spawn -= 1;
+        this.spawn(xi, yi, vxi, vyi, speed, h, dt);
+      }
+    }
+  }
+
+  // A diffuse particle somewhere in the cylinder the fluid particle sweeps
+  // this step, moving with it
+  spawn(x, y, vx, vy, speed, h, dt) {
+    const random = this.random;
+    const k = this.count++;
+    const side = (random.next() - 0.5) * h * 0.5;
+    const along = random.next() * dt;
+    const ux = vx / speed;
+    const uy = vy / speed;
+    this.positions[2 * k] = x - uy * side + vx * along;
+    this.positions[2 * k + 1] = y + ux * side + vy * along;
+    this.velocities[2 * k] = vx;
+    this.velocities[2 * k + 1] = vy;
+    const [minLife, maxLife] = this.lifetime;
+    this.life[k] = minLife + random.next() * (maxLife - minLife);
+    this.kinds[k] = SPRAY;
+  }
+
+  // Sorts each particle into spray, foam or bubble and moves it
+  advect(sim, dt) {
+    const sprayBelow = SPRAY_NEIGHBORS * this.meanNeighbors;
+    const bubbleFrom = BUBBLE_NEIGHBORS * this.meanNeighbors;
+    const pos = this.positions;
+    const vel = this.velocities;
+    const fluidPos = sim.getPositions();
+    const fluidVel = sim.getVelocities();
+    const grid = sim.getGrid();
+    const { cols, rows, cellStart, sorted } = grid;
+    const h = sim.h;
+    const h2 = h * h;
+    const gx = sim.gravityEnabled ? sim.gravity.x : 0;
+    const gy = sim.gravityEnabled ? sim.gravity.y : 0;
+    const { width, height } = sim;
+    const drag = Math.min(1, BUBBLE_DRAG * dt);
+
+    let k = 0;
+    while (k < this.count) {
+      const x = pos[2 * k];
+      const y = pos[2 * k + 1];
+      let neighbors = 0;
+      let fvx = 0, fvy = 0, weight = 0;
+      const cx = grid.cellX(x);
+      const cy = grid.cellY(y);
+      const x1 = cx < cols - 1 ? cx + 1 : cx;
+      for (let ry = cy > 0 ? cy - 1 : 0; ry <= (cy < rows - 1 ? cy + 1 : cy); ry++) {
+        const row = ry * cols;
+        const end = cellStart[row + x1 + 1];
+        for (let c = cellStart[row + (cx > 0 ? cx - 1 : 0)]; c < end; c++) {
+          const j = sorted[c];
+          const dx = x - fluidPos[2 * j];
+          const dy = y - fluidPos[2 * j + 1];
+          const r2 = dx * dx + dy * dy;
+          if (r2 >= h2) continue;
+          const w = 1 - Math.sqrt(r2) / h;
+          neighbors++;
+          fvx += fluidVel[2 * j] * w;
+          fvy += fluidVel[2 * j + 1] * w;
+          weight += w;
+        }
+      }
+      if (weight > 0) {
+        fvx /= weight;
+        fvy /= weight;
+      }
+
+      let kind;
+      if (neighbors < sprayBelow || neighbors === 0) {
+        kind = SPRAY;
+        vel[2 * k] += gx * dt;
+        vel[2 * k + 1] += gy * dt;
+      } else if (neighbors < bubbleFrom) {
+        kind = FOAM;
+        vel[2 * k] = fvx;
+        vel[2 * k + 1] = fvy;
+      } else {
+        kind = BUBBLE;
+        vel[2 * k] += -BUOYANCY * gx * dt + (fvx - vel[2 * k]) * drag;
+        vel[2 * k + 1] += -BUOYANCY * gy * dt + (fvy - vel[2 * k + 1]) * drag;
+      }
+      this.kinds[k] = kind;
+      pos[2 * k] += vel[2 * k] * dt;
+      pos[2 * k + 1] += vel[2 * k + 1] * dt;
+      this.life[k] -= AGING[kind] * dt;
+
+      const nx = pos[2 * k];
+      const ny = pos[2 * k + 1];
+      if (this.life[k] <= 0 || nx < 0 || nx > width || ny > height) {
+        this.remove(k);
+      } else {
+        k++;
+      }
+    }
+  }
+
+  // Swaps the last particle into slot k
+  remove(k) {
+    const last = --this.count;
+    if (k === last) return;
+    this.positions[2 * k] = this.positions[2 * last];
+    this.positions[2 * k + 1] = this.positions[2 * last + 1];
+    this.velocities[2 * k] = this.velocities[2 * last];
+    this.velocities[2 * k + 1] = this.velocities[2 * last + 1];
+    this.life[k] = this.life[last];
+    this.kinds[k] = this.kinds[last];
+  }
+}
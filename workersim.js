@@ -0,0 +1,369 @@
+// ============================================================
+// Worker-backed Simulation Proxy
+// ============================================================
+// Same surface as SPHSimulation for everything the app and renderer use,
+// but the solver runs in simworker.js. Calls are fire-and-forget; positions
+// lag the solver by at most one step. Shared memory is used when the page is
+// cross-origin isolated, transferable buffers otherwise.
+
+import { DEFAULT_PARAMS, validateParams } from './sph.js';
+import { getMaterial } from './materials.js';
+import { shapeFromJSON } from './boundaries.js';
+import { bodyFromJSON } from './rigidbody.js';
+import { emitterFromJSON } from './sources.js';
+import { normalizeForce } from './forcefields.js';
+
+export class WorkerSimulation {
+  // Same options as SPHSimulation, except that an injected `random` cannot
+  // cross into the worker; pass a `seed` instead
+  constructor(width, height, options = {}) {
+    const { seed, random, ...params } = options;
+    if (random) throw new TypeError('WorkerSimulation takes a seed, not a random source');
+    validateParams(params);
+
+    this.width = width;
+    this.height = height;
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.h = this.params.h;
+    this.gravity = { x: 0, y: 400 };
+    this._gravityEnabled = true;
+
+    this.count = 0;
+    this.positions = new Float32Array(0);
+    this.materials = new Uint8Array(0);
+    this.obstacles = [];       // mirrored locally so the renderer can draw them
+    this.nextObstacleId = 1;
+    this.bodies = [];          // shapes kept here, poses updated from each frame
+    this.nextBodyId = 1;
+    this.emitters = [];        // emitters and drains are mirrored like obstacles
+    this.nextEmitterId = 1;
+    this.drains = [];
+    this.nextDrainId = 1;
+    this.handForces = [];
+    this.stepPending = false;
+    this.skippedTime = 0;      // frame time that arrived while a step was running
+    this.stats = { substeps: 0, dt: 0, simTime: 0 };
+    this.recycle = null;       // last transferred buffer, returned on next step
+    this.sharedView = null;
+    this.onError = null;       // (Error) => void
+    this.stateRequests = [];   // pending getState() promises, answered in order
+
+    this.shared = typeof SharedArrayBuffer !== 'undefined' &&
+      globalThis.crossOriginIsolated === true;
+
+    this.worker = new Worker(new URL('./simworker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.onMessage(e.data);
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this.fail(new Error(e.message || 'Simulation worker failed to load'));
+    };
+    this.worker.postMessage({ type: 'init', width, height, options, shared: this.shared });
+  }
+
+  onMessage(msg) {
+    if (msg.type === 'error') {
+      this.fail(new Error(msg.message));
+      return;
+    }
+    if (msg.type === 'state') {
+      this.stateRequests.shift().resolve(msg.state);
+      return;
+    }
+    if (msg.type !== 'frame') return;
+
+    this.stepPending = false;
+    this.count = msg.count;
+    this.stats = msg.stats;
+    this.materials = msg.materials;
+    this.updateBodies(msg.bodies);
+    if (this.shared) {
+      if (msg.shared) this.sharedView = new Float32Array(msg.shared);
+      const start = msg.front * msg.capacity;
+      this.positions = this.sharedView.subarray(start, start + msg.capacity);
+    } else {
+      this.recycle = this.positions.buffer.byteLength > 0 ? this.positions.buffer : null;
+      this.positions = new Float32Array(msg.positions);
+    }
+  }
+
+  updateBodies(poses) {
+    const byId = new Map(this.bodies.map((b) => [b.id, b]));
+    for (const pose of poses) {
+      const body = byId.get(pose.id);
+      if (!body) continue;
+      body.x = pose.x;
+      body.y = pose.y;
+      body.angle = pose.angle;
+    }
+  }
+
+  fail(err) {
+    this.stepPending = false;
+    for (const request of this.stateRequests.splice(0)) request.reject(err);
+    if (this.onError) this.onError(err);
+    else console.error('Simulation worker error:', err);
+  }
+
+  call(method, ...args) {
+    this.worker.postMessage({ type: 'call', method, args });
+  }
+
+  get gravityEnabled() {
+    return this._gravityEnabled;
+  }
+
+  set gravityEnabled(enabled) {
+    this._gravityEnabled = enabled;
+    this.worker.postMessage({ type: 'gravity', gravity: this.gravity, enabled });
+  }
+
+  setGravity(x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new RangeError(`Gravity must be finite: ${x}, ${y}`);
+    }
+    this.gravity = { x, y };
+    this.worker.postMessage({ type: 'gravity', gravity: this.gravity, enabled: this._gravityEnabled });
+  }
+
+  addVelocity(vx, vy) {
+    if (!Number.isFinite(vx) || !Number.isFinite(vy)) {
+      throw new RangeError(`Velocity must be finite: ${vx}, ${vy}`);
+    }
+    this.call('addVelocity', vx, vy);
+  }
+
+  setParams(params) {
+    validateParams(params);
+    Object.assign(this.params, params);
+    this.h = this.params.h;
+    this.call('setParams', params);
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.call('resize', width, height);
+  }
+
+  spawnBlob(cx, cy, count = 200, spread = 80, material = 0) {
+    getMaterial(material);
+    this.call('spawnBlob', cx, cy, count, spread, material);
+  }
+
+  spawnGrid(cx, cy, cols, rows, spacing = 10, material = 0) {
+    getMaterial(material);
+    this.call('spawnGrid', cx, cy, cols, rows, spacing, material);
+  }
+
+  spawnPoints(points, vx = 0, vy = 0, material = 0) {
+    getMaterial(material);
+    this.call('spawnPoints', Array.from(points), vx, vy, material);
+  }
+
+  // Obstacle ids are assigned here and passed along so both sides agree
+  addObstacle(shape, { restitution = 0.3, friction = 0.1 } = {}) {
+    const id = this.nextObstacleId++;
+    this.obstacles.push({ id, shape, restitution, friction });
+    this.call('addObstacle', shape, { restitution, friction, id });
+    return id;
+  }
+
+  removeObstacle(id) {
+    const index = this.obstacles.findIndex((o) => o.id === id);
+    if (index === -1) return false;
+    this.obstacles.splice(index, 1);
+    this.call('removeObstacle', id);
+    return true;
+  }
+
+  clearObstacles() {
+    this.obstacles = [];
+    this.call('clearObstacles');
+  }
+
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  addBody(body) {
+    const id = this.nextBodyId++;
+    body.id = id;
+    this.bodies.push(body);
+    this.call('addBody', body.toJSON(), { id });
+    return id;
+  }
+
+  removeBody(id) {
+    const index = this.bodies.findIndex((b) => b.id === id);
+    if (index === -1) return false;
+    this.bodies.splice(index, 1);
+    this.call('removeBody', id);
+    return true;
+  }
+
+  clearBodies() {
+    this.bodies = [];
+    this.call('clearBodies');
+  }
+
+  getBodies() {
+    return this.bodies;
+  }
+
+  addEmitter(emitter) {
+    const id = this.nextEmitterId++;
+    emitter.id = id;
+    this.emitters.push(emitter);
+    this.call('addEmitter', emitter.toJSON(), { id });
+    return id;
+  }
+
+  removeEmitter(id) {
+    const index = this.emitters.findIndex((e) => e.id === id);
+    if (index === -1) return false;
+    this.emitters.splice(index, 1);
+    this.call('removeEmitter', id);
+    return true;
+  }
+
+  clearEmitters() {
+    this.emitters = [];
+    this.call('clearEmitters');
+  }
+
+  getEmitters() {
+    return this.emitters;
+  }
+
+  addDrain(shape) {
+    const id = this.nextDrainId++;
+    this.drains.push({ id, shape });
+    this.call('addDrain', shape, { id });
+    return id;
+  }
+
+  removeDrain(id) {
+    const index = this.drains.findIndex((d) => d.id === id);
+    if (index === -1) return false;
+    this.drains.splice(index, 1);
+    this.call('removeDrain', id);
+    return true;
+  }
+
+  clearDrains() {
+    this.drains = [];
+    this.call('clearDrains');
+  }
+
+  getDrains() {
+    return this.drains;
+  }
+
+  // Resolves with the worker simulation's getState()
+  getState() {
+    return new Promise((resolve, reject) => {
+      this.stateRequests.push({ resolve, reject });
+      this.worker.postMessage({ type: 'getState' });
+    });
+  }
+
+  // Mirrors what the renderer needs from the state, then hands it over.
+  // Particles show up with the next frame.
+  setState(state) {
+    validateParams(state.params);
+    this.params = { ...DEFAULT_PARAMS, ...state.params };
+    this.h = this.params.h;
+    this.gravity = { x: state.gravity.x, y: state.gravity.y };
+    this._gravityEnabled = state.gravity.enabled;
+
+    const nextId = (items) => items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    this.obstacles = (state.obstacles || []).map((o) => ({ ...o, shape: shapeFromJSON(o.shape) }));
+    this.nextObstacleId = nextId(this.obstacles);
+    this.bodies = (state.bodies || []).map((data) => {
+      const body = bodyFromJSON(data);
+      body.id = data.id;
+      return body;
+    });
+    this.nextBodyId = nextId(this.bodies);
+    this.emitters = (state.emitters || []).map((data) => {
+      const emitter = emitterFromJSON(data);
+      emitter.id = data.id;
+      return emitter;
+    });
+    this.nextEmitterId = nextId(this.emitters);
+    this.drains = (state.drains || []).map((d) => ({ id: d.id, shape: shapeFromJSON(d.shape) }));
+    this.nextDrainId = nextId(this.drains);
+
+    this.count = 0;
+    this.call('setState', state);
+  }
+
+  setBoundaryParticles(enabled) {
+    this.call('setBoundaryParticles', enabled);
+  }
+
+  setHandForces(forces) {
+    this.handForces = forces.map(normalizeForce);
+    this.call('setHandForces', forces);
+  }
+
+  // Requests one solver step. While the previous one is still running the
+  // request is skipped so a slow worker never builds up a backlog; its frame
+  // time is carried over to the next step (the solver caps the catch-up).
+  step(elapsed) {
+    if (this.stepPending) {
+      if (elapsed !== undefined) this.skippedTime += elapsed;
+      return;
+    }
+    this.stepPending = true;
+
+    if (elapsed !== undefined) {
+      elapsed += this.skippedTime;
+      this.skippedTime = 0;
+    }
+
+    const recycle = this.recycle;
+    this.recycle = null;
+    this.worker.postMessage({ type: 'step', elapsed, recycle }, recycle ? [recycle] : []);
+  }
+
+  getParticleCount() {
+    return this.count;
+  }
+
+  getPositions() {
+    return this.positions;
+  }
+
+  getMaterials() {
+    return this.materials;
+  }
+
+  // Mix fractions stay in the worker; the renderer colors by material only
+  getMixFractions() {
+    return null;
+  }
+
+  // The fields last sent to the worker
+  getHandForces() {
+    return this.handForces;
+  }
+
+  getStats() {
+    return this.stats;
+  }
+
+  reset() {
+    this.count = 0;
+    this.bodies = [];
+    this.call('reset');
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
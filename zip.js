@@ -0,0 +1,101 @@
+// ============================================================
+// Zip Writer - uncompressed archives for frame captures
+// ============================================================
+// Builds a .zip from named byte arrays with the files stored as they are
+// (PNGs are compressed already). finish() returns the archive as a list of
+// parts, so a browser can wrap them in a Blob without copying hundreds of
+// megabytes into one buffer. No Zip64: at most 65535 files and 4 GiB.
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+const UTF8_NAMES = 0x0800;
+
+let crcTable = null;
+
+// CRC-32 (IEEE) of a byte array, as zip stores it
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date words for `date` (local time, 2 s resolution)
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];  // { name, crc, size, offset, time, day }
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  add(name, data, date = new Date()) {
+    if (this.entries.length >= MAX_ENTRIES) throw new RangeError(`A zip holds at most ${MAX_ENTRIES} files`);
+    if (this.offset + data.length > MAX_SIZE) throw new RangeError('Zip archive would exceed 4 GiB');
+    const nameBytes = this.encoder.encode(name);
+    const { time, day } = dosDateTime(date);
+    const entry = { nameBytes, crc: crc32(data), size: data.length, offset: this.offset, time, day };
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);           // version needed: 2.0
+    view.setUint16(6, UTF8_NAMES, true);
+    view.setUint16(8, 0, true);            // stored
+    view.setUint16(10, time, true);
+    view.setUint16(12, day, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, entry.size, true);  // compressed size
+    view.setUint32(22, entry.size, true);
+    view.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    this.parts.push(header, data);
+    this.entries.push(entry);
+    this.offset += header.length + data.length;
+  }
+
+  // The whole archive: local entries, central directory, end record
+  finish() {
+    const directoryOffset = this.offset;
+    const directorySize = this.entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const directory = new Uint8Array(directorySize + 22);
+    const view = new DataView(directory.buffer);
+    let o = 0;
+    for (const e of this.entries) {
+      view.setUint32(o, 0x02014b50, true);
+      view.setUint16(o + 4, 20, true);     // made by
+      view.setUint16(o + 6, 20, true);     // needed
+      view.setUint16(o + 8, UTF8_NAMES, true);
+      view.setUint16(o + 10, 0, true);
+      view.setUint16(o + 12, e.time, true);
+      view.setUint16(o + 14, e.day, true);
+      view.setUint32(o + 16, e.crc, true);
+      view.setUint32(o + 20, e.size, true);
+      view.setUint32(o + 24, e.size, true);
+      view.setUint16(o + 28, e.nameBytes.length, true);
+      view.setUint32(o + 42, e.offset, true);
+      directory.set(e.nameBytes, o + 46);
+      o += 46 + e.nameBytes.length;
+    }
+    view.setUint32(o, 0x06054b50, true);
+    view.setUint16(o + 8, this.entries.length, true);
+    view.setUint16(o + 10, this.entries.length, true);
+    view.setUint32(o + 12, directorySize, true);
+    view.setUint32(o + 16, directoryOffset, true);
+    return [...this.parts, directory];
+  }
+}